@@ -0,0 +1,175 @@
+/**
+ * Queue Benchmark
+ * Compares the original array/shift() Queue with the ring-buffer Queue
+ */
+
+// In the browser Queue comes from the earlier <script> tag; under CommonJS require it
+const RingQueue = typeof module !== 'undefined' && module.exports ? require('./classes/Queue.js') : Queue;
+
+/**
+ * The original Queue implementation, kept here as the benchmark baseline.
+ * dequeue() uses Array.prototype.shift(), which is O(n).
+ */
+class LegacyQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    enqueue(item) {
+        this.items.push(item);
+        return true;
+    }
+
+    dequeue() {
+        if (this.items.length === 0) {
+            return null;
+        }
+        return this.items.shift();
+    }
+
+    size() {
+        return this.items.length;
+    }
+}
+
+class QueueBenchmark {
+    constructor() {
+        this.runBtn = document.getElementById('benchmarkRunBtn');
+        this.timeLimitInput = document.getElementById('benchmarkTimeLimit');
+        this.resultsBody = document.getElementById('benchmarkResults');
+        this.statusDisplay = document.getElementById('benchmarkStatus');
+
+        this.sizes = [10000, 100000, 1000000];
+        this.chunkSize = 10000; // Operations between yields to the browser
+        this.isRunning = false;
+
+        this.runBtn?.addEventListener('click', () => this.run());
+    }
+
+    /**
+     * Create a fresh queue for an implementation.
+     * 'ring' is the demo's own Queue, so its times include the event emit and the
+     * CostCounter wrapper around every enqueue/dequeue; with no listeners attached
+     * neither builds an event, but the calls are still part of the measurement.
+     * @param {string} implementation - 'legacy' or 'ring'
+     * @returns {Object} - Queue instance
+     */
+    createQueue(implementation) {
+        if (implementation === 'legacy') {
+            return new LegacyQueue();
+        }
+
+        const queue = new RingQueue();
+        queue.maxSize = Infinity; // The demo limit would stop us at 50
+        return queue;
+    }
+
+    /**
+     * Yield to the event loop so the page stays responsive
+     * @returns {Promise} - Resolves on the next macrotask
+     */
+    yieldToBrowser() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    /**
+     * Time n enqueues followed by n dequeues.
+     * Only the time spent inside the loops is counted, not the yields.
+     * @param {string} implementation - 'legacy' or 'ring'
+     * @param {number} operations - Number of enqueues (and dequeues)
+     * @param {number} timeLimit - Give up after this many milliseconds
+     * @returns {Promise<Object>} - { elapsed, completed }
+     */
+    async measure(implementation, operations, timeLimit) {
+        const queue = this.createQueue(implementation);
+        let elapsed = 0;
+
+        const runPhase = async (step) => {
+            for (let done = 0; done < operations; done += this.chunkSize) {
+                const end = Math.min(done + this.chunkSize, operations);
+                const start = performance.now();
+                for (let i = done; i < end; i++) {
+                    step(i);
+                }
+                elapsed += performance.now() - start;
+
+                if (elapsed > timeLimit) {
+                    return false;
+                }
+                await this.yieldToBrowser();
+            }
+            return true;
+        };
+
+        const completed = await runPhase(i => queue.enqueue(i)) &&
+                          await runPhase(() => queue.dequeue());
+
+        return { elapsed, completed };
+    }
+
+    /**
+     * Format a measurement for display
+     * @param {Object} result - { elapsed, completed }
+     * @returns {string} - Human readable time
+     */
+    formatResult(result) {
+        if (!result.completed) {
+            return `> ${(result.elapsed / 1000).toFixed(1)} s (stopped)`;
+        }
+        return `${result.elapsed.toFixed(1)} ms`;
+    }
+
+    /**
+     * Run every size for both implementations and fill the results table
+     */
+    async run() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.runBtn.disabled = true;
+        this.resultsBody.innerHTML = '';
+
+        const timeLimit = (parseInt(this.timeLimitInput?.value, 10) || 30) * 1000;
+
+        for (const size of this.sizes) {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${size.toLocaleString()}</td>
+                <td class="benchmark-legacy">…</td>
+                <td class="benchmark-ring">…</td>
+                <td class="benchmark-speedup">…</td>
+            `;
+            this.resultsBody.appendChild(row);
+
+            this.statusDisplay.textContent = `Running ring buffer with ${size.toLocaleString()} operations...`;
+            const ring = await this.measure('ring', size, timeLimit);
+            row.querySelector('.benchmark-ring').textContent = this.formatResult(ring);
+
+            this.statusDisplay.textContent = `Running shift() baseline with ${size.toLocaleString()} operations...`;
+            const legacy = await this.measure('legacy', size, timeLimit);
+            row.querySelector('.benchmark-legacy').textContent = this.formatResult(legacy);
+
+            const speedup = legacy.elapsed / Math.max(ring.elapsed, 0.01);
+            row.querySelector('.benchmark-speedup').textContent =
+                `${legacy.completed ? '' : '> '}${speedup.toFixed(1)}x`;
+        }
+
+        this.statusDisplay.textContent = 'Done';
+        this.runBtn.disabled = false;
+        this.isRunning = false;
+    }
+}
+
+// Initialize when DOM is loaded (there is no document under CommonJS)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (document.getElementById('benchmarkResults')) {
+            window.queueBenchmark = new QueueBenchmark();
+        }
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LegacyQueue, QueueBenchmark };
+}
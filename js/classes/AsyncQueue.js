@@ -0,0 +1,301 @@
+/**
+ * Async Queue
+ * Bounded FIFO channel between async producers and consumers
+ *
+ * `await dequeue()` waits while the queue is empty and `await enqueue()`
+ * waits while it is full (backpressure), instead of failing like Queue.
+ * Waiters are served in arrival order. Either call can give up after
+ * `timeout` milliseconds (TimeoutError) or when its AbortSignal fires
+ * (rejects with the signal's reason).
+ *
+ * close() stops new enqueues. Items already buffered can still be dequeued;
+ * consumers waiting on an empty queue, and producers still waiting for room,
+ * are rejected with ClosedError. `for await (const item of queue)` yields
+ * items until the queue is closed and empty.
+ *
+ * Events (see EventEmitter.js): enqueue, dequeue, wait, cancel and close.
+ */
+
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const EventEmitter = isCommonJS ? require('./EventEmitter.js') : window.EventEmitter;
+    const Queue = isCommonJS ? require('./Queue.js') : window.Queue;
+    const { isValidElement } = isCommonJS ? require('./Collection.js') : window;
+    const {
+        InvalidElementError,
+        ClosedError,
+        TimeoutError
+    } = isCommonJS ? require('./StructureError.js') : window;
+
+    class AsyncQueue extends EventEmitter {
+        /**
+         * @param {Object} [options] - Queue options
+         * @param {number} [options.maxSize=10] - Items buffered before enqueue waits
+         */
+        constructor(options = {}) {
+            super();
+            this.buffer = new Queue();
+            this.buffer.maxSize = options.maxSize || 10;
+            this.consumers = []; // Waiting dequeue calls, oldest first
+            this.producers = []; // Waiting enqueue calls with their items, oldest first
+            this.closed = false;
+        }
+
+        /**
+         * Snapshot of the queue for error reports
+         * @param {string} operation - Operation that failed
+         * @param {*} [element] - Element involved, if any
+         * @returns {Object} - Error state
+         */
+        errorState(operation, element) {
+            return { structure: 'AsyncQueue', operation, size: this.size(), maxSize: this.getMaxSize(), element };
+        }
+
+        /**
+         * Add an item, waiting while the queue is full
+         * @param {*} item - Element to add
+         * @param {Object} [options] - Wait options
+         * @param {number} [options.timeout] - Give up after this many milliseconds
+         * @param {AbortSignal} [options.signal] - Give up when aborted
+         * @returns {Promise<boolean>} - Resolves true once the item is in the queue
+         * @throws {InvalidElementError} - Empty value
+         * @throws {ClosedError} - Queue closed before or while waiting
+         * @throws {TimeoutError} - No room within the timeout
+         */
+        async enqueue(item, options = {}) {
+            if (!isValidElement(item)) {
+                throw new InvalidElementError(this.errorState('enqueue', item));
+            }
+            if (this.closed) {
+                throw new ClosedError(this.errorState('enqueue', item));
+            }
+
+            if (!this.buffer.isFull()) {
+                this.add(item);
+                this.settle();
+                return true;
+            }
+
+            return this.wait(this.producers, 'enqueue', options, item);
+        }
+
+        /**
+         * Remove the front item, waiting while the queue is empty
+         * @param {Object} [options] - Wait options
+         * @param {number} [options.timeout] - Give up after this many milliseconds
+         * @param {AbortSignal} [options.signal] - Give up when aborted
+         * @returns {Promise<*>} - Resolves with the front item
+         * @throws {ClosedError} - Queue closed and empty, before or while waiting
+         * @throws {TimeoutError} - No item within the timeout
+         */
+        async dequeue(options = {}) {
+            if (!this.buffer.isEmpty()) {
+                const item = this.remove();
+                this.settle();
+                return item;
+            }
+            if (this.closed) {
+                throw new ClosedError(this.errorState('dequeue'));
+            }
+
+            return this.wait(this.consumers, 'dequeue', options);
+        }
+
+        /**
+         * Park a call until settle() serves it, it times out or it is aborted
+         * @param {Array} waiters - this.consumers or this.producers
+         * @param {string} operation - 'enqueue' or 'dequeue'
+         * @param {Object} options - { timeout, signal }
+         * @param {*} [item] - Item a producer is waiting to add
+         * @returns {Promise<*>} - Settled by the waiter's resolve or reject
+         */
+        wait(waiters, operation, { timeout, signal } = {}, item) {
+            if (signal?.aborted) {
+                return Promise.reject(signal.reason);
+            }
+
+            return new Promise((resolve, reject) => {
+                let timer = null;
+                const onAbort = () => cancel(signal.reason, 'abort');
+
+                const waiter = {
+                    item,
+                    resolve: (value) => {
+                        cleanup();
+                        resolve(value);
+                    },
+                    reject: (error) => {
+                        cleanup();
+                        reject(error);
+                    }
+                };
+
+                const cleanup = () => {
+                    clearTimeout(timer);
+                    signal?.removeEventListener('abort', onAbort);
+                };
+
+                const cancel = (error, reason) => {
+                    const index = waiters.indexOf(waiter);
+                    if (index === -1) return; // Already served
+                    waiters.splice(index, 1);
+                    this.emit('cancel', { operation, reason, value: item, size: this.size() });
+                    waiter.reject(error);
+                };
+
+                if (timeout !== undefined) {
+                    timer = setTimeout(
+                        () => cancel(new TimeoutError({ ...this.errorState(operation, item), timeout }), 'timeout'),
+                        timeout
+                    );
+                }
+                signal?.addEventListener('abort', onAbort, { once: true });
+
+                waiters.push(waiter);
+                this.emit('wait', { operation, value: item, waiting: waiters.length, size: this.size() });
+            });
+        }
+
+        /**
+         * Serve waiters while possible: hand buffered items to waiting consumers
+         * and let waiting producers into the room that frees up
+         */
+        settle() {
+            let progressed = true;
+            while (progressed) {
+                progressed = false;
+
+                if (this.consumers.length > 0 && !this.buffer.isEmpty()) {
+                    this.consumers.shift().resolve(this.remove());
+                    progressed = true;
+                }
+                if (this.producers.length > 0 && !this.buffer.isFull()) {
+                    const producer = this.producers.shift();
+                    this.add(producer.item);
+                    producer.resolve(true);
+                    progressed = true;
+                }
+            }
+        }
+
+        /**
+         * Buffer an item and report it
+         * @param {*} item - Element to add
+         */
+        add(item) {
+            this.buffer.enqueue(item);
+            this.emit('enqueue', { value: item, size: this.size() });
+        }
+
+        /**
+         * Take the front item from the buffer and report it
+         * @returns {*} - Front item
+         */
+        remove() {
+            const item = this.buffer.dequeue();
+            this.emit('dequeue', { value: item, size: this.size() });
+            return item;
+        }
+
+        /**
+         * Stop accepting items and release every waiting call with ClosedError.
+         * Buffered items stay available to dequeue.
+         */
+        close() {
+            if (this.closed) return;
+            this.closed = true;
+
+            const consumers = this.consumers.splice(0);
+            const producers = this.producers.splice(0);
+            consumers.forEach(consumer => consumer.reject(new ClosedError(this.errorState('dequeue'))));
+            producers.forEach(producer => producer.reject(new ClosedError(this.errorState('enqueue', producer.item))));
+
+            this.emit('close', { size: this.size(), consumers: consumers.length, producers: producers.length });
+        }
+
+        /**
+         * Check if close() has been called
+         * @returns {boolean} - True if closed
+         */
+        isClosed() {
+            return this.closed;
+        }
+
+        /**
+         * Number of buffered items
+         * @returns {number} - Size of queue
+         */
+        size() {
+            return this.buffer.size();
+        }
+
+        /**
+         * Check if the buffer is empty
+         * @returns {boolean} - True if empty
+         */
+        isEmpty() {
+            return this.buffer.isEmpty();
+        }
+
+        /**
+         * Check if the buffer is full, so enqueue would wait
+         * @returns {boolean} - True if full
+         */
+        isFull() {
+            return this.buffer.isFull();
+        }
+
+        /**
+         * Get the maximum number of buffered items
+         * @returns {number} - Maximum size
+         */
+        getMaxSize() {
+            return this.buffer.getMaxSize();
+        }
+
+        /**
+         * Get array copy of buffered items (for visualization)
+         * @returns {Array} - Buffered items, front first
+         */
+        toArray() {
+            return this.buffer.toArray();
+        }
+
+        /**
+         * Get queue statistics
+         * @returns {Object} - Statistics object
+         */
+        getStats() {
+            return {
+                size: this.size(),
+                maxSize: this.getMaxSize(),
+                closed: this.closed,
+                waitingConsumers: this.consumers.length,
+                waitingProducers: this.producers.length
+            };
+        }
+
+        /**
+         * Async iterator: dequeue until the queue is closed and empty
+         */
+        async *[Symbol.asyncIterator]() {
+            while (true) {
+                try {
+                    yield await this.dequeue();
+                } catch (error) {
+                    if (error instanceof ClosedError) return;
+                    throw error;
+                }
+            }
+        }
+    }
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AsyncQueue;
+    } else if (typeof window !== 'undefined') {
+        window.AsyncQueue = AsyncQueue;
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Collection Interface Contract
+ * Common surface shared by Stack, Queue, Deque and their linked variants so tooling
+ * can treat them generically
+ *
+ * Ordering rules every collection follows:
+ * - toArray() and at(index) use insertion order: index 0 is the oldest element
+ *   (Stack bottom, Queue front), negative indices count from the newest.
+ * - Iteration yields elements in removal order (Stack: top to bottom,
+ *   Queue: front to rear).
+ * - search(element) returns the distance from the removal end (0 = next element
+ *   to be removed), or -1 when the element is not present.
+ * - setMaxSize(size) takes an integer of at least 1 and trims the elements
+ *   farthest from the removal end (Stack: bottom, Queue: rear).
+ * - merge(other) returns a new collection with other's elements added after
+ *   this one's, stopping when the collection is full.
+ * - toJSON() includes a `type` tag ('Stack', 'Queue', 'Deque', 'LinkedStack',
+ *   'LinkedQueue', 'MinMaxStack') that the matching static fromJSON(json) validates before
+ *   rebuilding the collection.
+ * - Adding undefined, null or '' fails with InvalidElementError, adding to a
+ *   full collection with OverflowError and removing from an empty one with
+ *   UnderflowError. In lenient mode ({ strict: false }) these return a
+ *   sentinel instead: false for adds, null for removals.
+ * - The `overflowPolicy` option decides what adding to a full collection does:
+ *   'reject' fails as above, 'drop-oldest' evicts the oldest element first
+ *   (sliding window), 'drop-newest' discards the incoming element and 'grow'
+ *   doubles maxSize. Evicted elements are reported through an 'evict' event.
+ *
+ * @interface Collection
+ */
+
+/**
+ * Method names every collection must provide
+ * @type {string[]}
+ */
+const COLLECTION_METHODS = [
+    'isEmpty',
+    'size',
+    'clear',
+    'toArray',
+    'toString',
+    'contains',
+    'search',
+    'at',
+    'getMaxSize',
+    'setMaxSize',
+    'isFull',
+    'getRemainingCapacity',
+    'clone',
+    'merge',
+    'reverse',
+    'getStats',
+    'isValid',
+    'toJSON'
+];
+
+/**
+ * Supported values for the `overflowPolicy` option
+ * @type {string[]}
+ */
+const OVERFLOW_POLICIES = ['reject', 'drop-oldest', 'drop-newest', 'grow'];
+
+/**
+ * Validate an overflow policy name
+ * @param {string} policy - Policy name
+ * @returns {string} - The policy, if valid
+ */
+function assertOverflowPolicy(policy) {
+    if (!OVERFLOW_POLICIES.includes(policy)) {
+        throw new Error(`Invalid overflow policy: Expected one of ${OVERFLOW_POLICIES.join(', ')}`);
+    }
+    return policy;
+}
+
+/**
+ * Check whether a value may be stored in a collection
+ * @param {*} element - Candidate element
+ * @returns {boolean} - False for undefined, null and empty strings
+ */
+function isValidElement(element) {
+    return element !== undefined && element !== null && element !== '';
+}
+
+/**
+ * Check whether an object satisfies the Collection contract
+ * @param {*} candidate - Object to check
+ * @returns {boolean} - True if every contract method and the iterator exist
+ */
+function isCollection(candidate) {
+    if (!candidate || typeof candidate !== 'object') {
+        return false;
+    }
+
+    return COLLECTION_METHODS.every(method => typeof candidate[method] === 'function') &&
+           typeof candidate[Symbol.iterator] === 'function' &&
+           typeof candidate.constructor?.fromJSON === 'function';
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COLLECTION_METHODS,
+        OVERFLOW_POLICIES,
+        assertOverflowPolicy,
+        isValidElement,
+        isCollection
+    };
+} else if (typeof window !== 'undefined') {
+    window.COLLECTION_METHODS = COLLECTION_METHODS;
+    window.OVERFLOW_POLICIES = OVERFLOW_POLICIES;
+    window.assertOverflowPolicy = assertOverflowPolicy;
+    window.isValidElement = isValidElement;
+    window.isCollection = isCollection;
+}
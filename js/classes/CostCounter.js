@@ -0,0 +1,125 @@
+/**
+ * Cost Counter
+ * Counts the element moves and comparisons an operation performs, so the
+ * demos can set measured cost next to the theoretical complexity
+ *
+ * A move is one element written, removed or copied; for linked lists, one
+ * node linked, unlinked or re-pointed, or stepped over on the way to the far
+ * end. A comparison is one element compared against another or against a
+ * search target. Each instrumented class owns a counter as `this.cost` and
+ * calls move()/compare() at the points where the work happens.
+ *
+ * Operations may call each other (merge clones, contains searches): only the
+ * outermost one is reported, with the inner work included. Reports go to the
+ * counter's own 'measure' listeners rather than the structure's events, so
+ * demos that re-render on '*' do not see them.
+ *
+ * Events (see EventEmitter.js): measure.
+ */
+
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const EventEmitter = isCommonJS ? require('./EventEmitter.js') : window.EventEmitter;
+
+    class CostCounter extends EventEmitter {
+        /**
+         * @param {Object} owner - Structure being measured
+         */
+        constructor(owner) {
+            super();
+            this.owner = owner;
+            this.depth = 0; // Nesting of instrumented calls in progress
+            this.moves = 0;
+            this.comparisons = 0;
+        }
+
+        /**
+         * Run an operation and report its cost when it is the outermost one
+         * @param {string} operation - Method name, e.g. 'push'
+         * @param {Function} run - Performs the operation
+         * @returns {*} - Whatever run returns
+         */
+        measure(operation, run) {
+            if (this.depth === 0) {
+                this.moves = 0;
+                this.comparisons = 0;
+            }
+
+            this.depth++;
+            try {
+                return run();
+            } finally {
+                // Failed operations are reported too: the checks before the failure still cost
+                this.depth--;
+                if (this.depth === 0) {
+                    this.report(operation);
+                }
+            }
+        }
+
+        /**
+         * Emit the cost of the operation that just finished
+         * @param {string} operation - Method name
+         */
+        report(operation) {
+            // Nobody watching: skip building the event so benchmarks stay unaffected
+            if (this.listenerCount('measure') === 0) return;
+
+            this.emit('measure', {
+                operation,
+                moves: this.moves,
+                comparisons: this.comparisons,
+                size: this.owner.size(),
+                complexity: this.owner.constructor.COMPLEXITY?.[operation] || null
+            });
+        }
+
+        /**
+         * Count element moves
+         * @param {number} [count=1] - Number of moves
+         */
+        move(count = 1) {
+            if (this.depth > 0) {
+                this.moves += count;
+            }
+        }
+
+        /**
+         * Count comparisons
+         * @param {number} [count=1] - Number of comparisons
+         */
+        compare(count = 1) {
+            if (this.depth > 0) {
+                this.comparisons += count;
+            }
+        }
+
+        /**
+         * Wrap prototype methods so each call is measured. The class constructor
+         * must create `this.cost = new CostCounter(this)`.
+         * @param {Function} Class - Structure class
+         * @param {string[]} operations - Method names to measure
+         */
+        static instrument(Class, operations) {
+            operations.forEach(operation => {
+                const original = Class.prototype[operation];
+                if (typeof original !== 'function') {
+                    throw new Error(`Invalid operation: ${Class.name} has no method "${operation}"`);
+                }
+
+                Class.prototype[operation] = function (...args) {
+                    return this.cost.measure(operation, () => original.apply(this, args));
+                };
+            });
+        }
+    }
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CostCounter;
+    } else if (typeof window !== 'undefined') {
+        window.CostCounter = CostCounter;
+    }
+}
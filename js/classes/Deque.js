@@ -0,0 +1,330 @@
+/**
+ * Deque (Double-Ended Queue) Data Structure Implementation
+ * Insert and remove at both the front and the back
+ *
+ * Shares Queue's growable ring buffer (see RingBuffer.js), with `head` moving
+ * backwards on pushFront, so all four end operations are amortised O(1).
+ *
+ * Follows the shared Collection contract (see Collection.js) with both ends
+ * treated as removal ends: toArray(), at() and iteration run front to back,
+ * search() counts from the front and setMaxSize() trims from the back.
+ * The 'drop-oldest' overflow policy evicts from the end opposite the insert.
+ *
+ * Events (see EventEmitter.js): pushFront, pushBack, popFront, popBack,
+ * clear, overflow, underflow, evict, resize and reverse.
+ */
+
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const CostCounter = isCommonJS ? require('./CostCounter.js') : window.CostCounter;
+    const RingBuffer = isCommonJS ? require('./RingBuffer.js') : window.RingBuffer;
+    const { assertOverflowPolicy, isValidElement } = isCommonJS ? require('./Collection.js') : window;
+    const {
+        OverflowError,
+        UnderflowError,
+        InvalidElementError
+    } = isCommonJS ? require('./StructureError.js') : window;
+
+    class Deque extends RingBuffer {
+        /**
+         * @param {Object} [options] - Deque options
+         * @param {boolean} [options.strict=true] - Throw on errors instead of returning a sentinel
+         * @param {string} [options.overflowPolicy='reject'] - reject, drop-oldest, drop-newest or grow
+         */
+        constructor(options = {}) {
+            super();
+            this.maxSize = 10; // Maximum size for visualization
+            this.strict = options.strict !== false;
+            this.overflowPolicy = assertOverflowPolicy(options.overflowPolicy || 'reject');
+        }
+
+        /**
+         * Change what happens when pushing onto a full deque
+         * @param {string} policy - reject, drop-oldest, drop-newest or grow
+         */
+        setOverflowPolicy(policy) {
+            this.overflowPolicy = assertOverflowPolicy(policy);
+        }
+
+        /**
+         * Report elements removed by the overflow policy or a smaller maxSize
+         * @param {Array} values - Evicted elements
+         * @param {string} reason - 'overflow' or 'resize'
+         * @param {string} end - 'front' or 'back'
+         */
+        evict(values, reason, end) {
+            this.emit('evict', { values, reason, end, policy: this.overflowPolicy, size: this.count });
+        }
+
+        /**
+         * Throw the error in strict mode, otherwise return the sentinel
+         * @param {StructureError} error - Error describing the failure
+         * @param {*} sentinel - Value returned in lenient mode
+         * @returns {*} - The sentinel
+         */
+        fail(error, sentinel) {
+            if (this.strict) {
+                throw error;
+            }
+            return sentinel;
+        }
+
+        /**
+         * Snapshot of the deque for error reports
+         * @param {string} operation - Operation that failed
+         * @param {*} [element] - Element involved, if any
+         * @returns {Object} - Error state
+         */
+        errorState(operation, element) {
+            return { structure: 'Deque', operation, size: this.count, maxSize: this.maxSize, element };
+        }
+
+        /**
+         * Validate an element and make room for it according to the overflow policy
+         * @param {string} operation - 'pushFront' or 'pushBack'
+         * @param {*} element - Element about to be added
+         * @returns {boolean} - True if the element may be stored
+         */
+        prepareInsert(operation, element) {
+            if (!isValidElement(element)) {
+                return this.fail(new InvalidElementError(this.errorState(operation, element)), false);
+            }
+
+            if (this.count >= this.maxSize) {
+                this.emit('overflow', {
+                    value: element,
+                    size: this.count,
+                    maxSize: this.maxSize,
+                    policy: this.overflowPolicy
+                });
+
+                switch (this.overflowPolicy) {
+                    case 'drop-oldest': {
+                        // Make room at the end opposite the insert
+                        const end = operation === 'pushFront' ? 'back' : 'front';
+                        this.evict([end === 'back' ? this.removeBack() : this.removeFront()], 'overflow', end);
+                        break;
+                    }
+                    case 'drop-newest':
+                        this.evict([element], 'overflow', operation === 'pushFront' ? 'front' : 'back');
+                        return false;
+                    case 'grow': {
+                        const previousMaxSize = this.maxSize;
+                        this.maxSize *= 2;
+                        this.emit('resize', { maxSize: this.maxSize, previousMaxSize, removed: [], size: this.count });
+                        break;
+                    }
+                    default:
+                        return this.fail(new OverflowError(this.errorState(operation, element)), false);
+                }
+            }
+
+            if (this.count === this.capacity) {
+                this.grow();
+            }
+            return true;
+        }
+
+        /**
+         * Add element to the front of the deque
+         * @param {*} element - Element to add
+         * @returns {boolean} - Success status (false when rejected or dropped)
+         * @throws {InvalidElementError} - Empty value, in strict mode
+         * @throws {OverflowError} - Deque is full under the 'reject' policy, in strict mode
+         */
+        pushFront(element) {
+            if (!this.prepareInsert('pushFront', element)) {
+                return false;
+            }
+
+            this.head = this.slotAt(-1);
+            this.buffer[this.head] = element;
+            this.count++;
+            this.cost.move();
+            this.emit('pushFront', { value: element, index: 0, size: this.count });
+            return true;
+        }
+
+        /**
+         * Add element to the back of the deque
+         * @param {*} element - Element to add
+         * @returns {boolean} - Success status (false when rejected or dropped)
+         * @throws {InvalidElementError} - Empty value, in strict mode
+         * @throws {OverflowError} - Deque is full under the 'reject' policy, in strict mode
+         */
+        pushBack(element) {
+            if (!this.prepareInsert('pushBack', element)) {
+                return false;
+            }
+
+            this.buffer[this.slotAt(this.count)] = element;
+            this.count++;
+            this.cost.move();
+            this.emit('pushBack', { value: element, index: this.count - 1, size: this.count });
+            return true;
+        }
+
+        /**
+         * Remove and return the front element
+         * @returns {*} - Front element (null in lenient mode when empty)
+         * @throws {UnderflowError} - Deque is empty, in strict mode
+         */
+        popFront() {
+            if (this.isEmpty()) {
+                this.emit('underflow', { size: 0 });
+                return this.fail(new UnderflowError(this.errorState('popFront')), null);
+            }
+
+            const element = this.removeFront();
+            this.emit('popFront', { value: element, index: 0, size: this.count });
+            return element;
+        }
+
+        /**
+         * Remove and return the back element
+         * @returns {*} - Back element (null in lenient mode when empty)
+         * @throws {UnderflowError} - Deque is empty, in strict mode
+         */
+        popBack() {
+            if (this.isEmpty()) {
+                this.emit('underflow', { size: 0 });
+                return this.fail(new UnderflowError(this.errorState('popBack')), null);
+            }
+
+            const element = this.removeBack();
+            this.emit('popBack', { value: element, index: this.count, size: this.count });
+            return element;
+        }
+
+        /**
+         * Return the front element without removing it
+         * @returns {*} - Front element or null if empty
+         */
+        peekFront() {
+            if (this.isEmpty()) {
+                return null;
+            }
+            return this.buffer[this.head];
+        }
+
+        /**
+         * Return the back element without removing it
+         * @returns {*} - Back element or null if empty
+         */
+        peekBack() {
+            if (this.isEmpty()) {
+                return null;
+            }
+            return this.buffer[this.slotAt(this.count - 1)];
+        }
+
+        /**
+         * Convert deque to string representation
+         * @returns {string} - String representation
+         */
+        toString() {
+            if (this.isEmpty()) {
+                return 'Deque: []';
+            }
+            return `Deque: front <-> [${this.toArray().join(', ')}] <-> back`;
+        }
+
+        /**
+         * Get deque statistics
+         * @returns {Object} - Statistics object
+         */
+        getStats() {
+            return {
+                size: this.size(),
+                maxSize: this.maxSize,
+                isEmpty: this.isEmpty(),
+                isFull: this.isFull(),
+                remainingCapacity: this.getRemainingCapacity(),
+                front: this.peekFront(),
+                back: this.peekBack()
+            };
+        }
+
+        /**
+         * Convert to JSON representation
+         * @returns {Object} - JSON object
+         */
+        toJSON() {
+            return {
+                type: 'Deque',
+                items: this.toArray(),
+                maxSize: this.maxSize,
+                overflowPolicy: this.overflowPolicy,
+                size: this.size(),
+                front: this.peekFront(),
+                back: this.peekBack()
+            };
+        }
+
+        /**
+         * Create Deque from JSON representation
+         * @param {Object} json - JSON object
+         * @returns {Deque} - New Deque instance
+         */
+        static fromJSON(json) {
+            if (!json || json.type !== 'Deque') {
+                throw new Error('Invalid JSON: Not a Deque representation');
+            }
+
+            const deque = new Deque({ overflowPolicy: json.overflowPolicy });
+            deque.maxSize = json.maxSize || 10;
+            (json.items || []).forEach(item => deque.pushBack(item));
+
+            return deque;
+        }
+
+        /**
+         * Merge two deques (other deque's elements join at the back)
+         * @param {Deque} other - Another deque to merge
+         * @returns {Deque} - New merged deque
+         */
+        merge(other) {
+            if (!(other instanceof Deque)) {
+                throw new Error('Invalid parameter: Expected Deque instance');
+            }
+
+            const merged = this.clone();
+
+            for (const item of other) {
+                if (!merged.isFull()) {
+                    merged.pushBack(item);
+                    this.cost.move();
+                } else {
+                    break;
+                }
+            }
+
+            return merged;
+        }
+    }
+
+    // Theoretical cost of each measured operation (see CostCounter.js).
+    // Pushes are amortised: a full buffer is copied once, then doubles.
+    Deque.COMPLEXITY = {
+        pushFront: 'O(1) amortised',
+        pushBack: 'O(1) amortised',
+        popFront: 'O(1)',
+        popBack: 'O(1)',
+        clear: 'O(1)',
+        search: 'O(n)',
+        contains: 'O(n)',
+        clone: 'O(n)',
+        reverse: 'O(n)',
+        merge: 'O(n + m)'
+    };
+    CostCounter.instrument(Deque, Object.keys(Deque.COMPLEXITY));
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Deque;
+    } else if (typeof window !== 'undefined') {
+        window.Deque = Deque;
+    }
+}
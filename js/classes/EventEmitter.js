@@ -0,0 +1,111 @@
+/**
+ * Event Emitter
+ * Minimal observer implementation shared by the data structure classes
+ *
+ * Listeners receive a single event object, e.g.
+ * { type: 'push', value: 'A', index: 0, size: 1 }.
+ * Subscribing to '*' receives every event after the specific listeners ran.
+ */
+
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name, or '*' for all events
+     * @param {Function} listener - Called with the event object
+     * @returns {EventEmitter} - This instance for chaining
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error('Invalid listener: Expected a function');
+        }
+
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return this;
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} [listener] - Listener to remove; omit to remove all for the event
+     * @returns {EventEmitter} - This instance for chaining
+     */
+    off(event, listener) {
+        if (!this.listeners[event]) {
+            return this;
+        }
+
+        if (!listener) {
+            delete this.listeners[event];
+            return this;
+        }
+
+        this.listeners[event] = this.listeners[event].filter(
+            registered => registered !== listener && registered.original !== listener
+        );
+        return this;
+    }
+
+    /**
+     * Subscribe to a single occurrence of an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called once with the event object
+     * @returns {EventEmitter} - This instance for chaining
+     */
+    once(event, listener) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        wrapper.original = listener; // Lets off(event, listener) find the wrapper
+
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Notify listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} [details] - Extra fields merged into the event object
+     * @returns {boolean} - True if any listener was called
+     */
+    emit(event, details = {}) {
+        const payload = { type: event, ...details };
+        const listeners = [
+            ...(this.listeners[event] || []),
+            ...(event !== '*' ? this.listeners['*'] || [] : [])
+        ];
+
+        listeners.forEach(listener => {
+            // A failing listener must not leave the data structure half-updated
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Listener for "${event}" failed:`, error);
+            }
+        });
+
+        return listeners.length > 0;
+    }
+
+    /**
+     * Count listeners for an event
+     * @param {string} event - Event name
+     * @returns {number} - Number of listeners
+     */
+    listenerCount(event) {
+        return (this.listeners[event] || []).length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventEmitter;
+} else if (typeof window !== 'undefined') {
+    window.EventEmitter = EventEmitter;
+}
@@ -0,0 +1,498 @@
+/**
+ * Linked Queue Data Structure Implementation
+ * FIFO - First In, First Out on a singly linked list
+ *
+ * `head` references the front node and `tail` the rear node; nodes link from
+ * front to rear, so enqueue reassigns `tail.next` and `tail`, and dequeue
+ * reassigns `head`. Same public API and events as Queue; implements the shared
+ * Collection contract (see Collection.js).
+ *
+ * Events (see EventEmitter.js): enqueue, dequeue, clear, overflow, underflow,
+ * evict, resize and reverse.
+ */
+
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const EventEmitter = isCommonJS ? require('./EventEmitter.js') : window.EventEmitter;
+    const CostCounter = isCommonJS ? require('./CostCounter.js') : window.CostCounter;
+    const ListNode = isCommonJS ? require('./ListNode.js') : window.ListNode;
+    const { assertOverflowPolicy, isValidElement } = isCommonJS ? require('./Collection.js') : window;
+    const {
+        OverflowError,
+        UnderflowError,
+        InvalidElementError
+    } = isCommonJS ? require('./StructureError.js') : window;
+
+    class LinkedQueue extends EventEmitter {
+        /**
+         * Initialize empty queue
+         * @param {Object} [options] - Queue options
+         * @param {boolean} [options.strict=true] - Throw on errors instead of returning a sentinel
+         * @param {string} [options.overflowPolicy='reject'] - reject, drop-oldest, drop-newest or grow
+         */
+        constructor(options = {}) {
+            super();
+            this.strict = options.strict !== false;
+            this.overflowPolicy = assertOverflowPolicy(options.overflowPolicy || 'reject');
+            this.head = null;
+            this.tail = null;
+            this.length = 0;
+            this.maxSize = 50; // Prevent memory issues in demo
+            this.cost = new CostCounter(this);
+        }
+
+        /**
+         * Change what happens when enqueueing onto a full queue
+         * @param {string} policy - reject, drop-oldest, drop-newest or grow
+         */
+        setOverflowPolicy(policy) {
+            this.overflowPolicy = assertOverflowPolicy(policy);
+        }
+
+        /**
+         * Report elements removed by the overflow policy or a smaller maxSize
+         * @param {Array} values - Evicted elements
+         * @param {string} reason - 'overflow' or 'resize'
+         */
+        evict(values, reason) {
+            this.emit('evict', { values, reason, policy: this.overflowPolicy, size: this.length });
+        }
+
+        /**
+         * Throw the error in strict mode, otherwise return the sentinel
+         * @param {StructureError} error - Error describing the failure
+         * @param {*} sentinel - Value returned in lenient mode
+         * @returns {*} - The sentinel
+         */
+        fail(error, sentinel) {
+            if (this.strict) {
+                throw error;
+            }
+            return sentinel;
+        }
+
+        /**
+         * Snapshot of the queue for error reports
+         * @param {string} operation - Operation that failed
+         * @param {*} [element] - Element involved, if any
+         * @returns {Object} - Error state
+         */
+        errorState(operation, element) {
+            return { structure: 'LinkedQueue', operation, size: this.length, maxSize: this.maxSize, element };
+        }
+
+        /**
+         * Unlink the front node
+         * @returns {*} - Its value
+         */
+        removeHead() {
+            const node = this.head;
+            this.head = node.next;
+            node.next = null;
+            this.length--;
+            this.cost.move();
+
+            if (this.head === null) {
+                this.tail = null;
+            }
+            return node.value;
+        }
+
+        /**
+         * Add element to rear of queue
+         * @param {*} item - Element to add
+         * @returns {boolean} - Success status (false when rejected or dropped)
+         * @throws {InvalidElementError} - Empty value, in strict mode
+         * @throws {OverflowError} - Queue is full under the 'reject' policy, in strict mode
+         */
+        enqueue(item) {
+            if (!isValidElement(item)) {
+                return this.fail(new InvalidElementError(this.errorState('enqueue', item)), false);
+            }
+
+            if (this.length >= this.maxSize) {
+                this.emit('overflow', {
+                    value: item,
+                    size: this.size(),
+                    maxSize: this.maxSize,
+                    policy: this.overflowPolicy
+                });
+
+                switch (this.overflowPolicy) {
+                    case 'drop-oldest':
+                        this.evict([this.removeHead()], 'overflow');
+                        break;
+                    case 'drop-newest':
+                        this.evict([item], 'overflow');
+                        return false;
+                    case 'grow': {
+                        const previousMaxSize = this.maxSize;
+                        this.maxSize *= 2;
+                        this.emit('resize', { maxSize: this.maxSize, previousMaxSize, removed: [], size: this.length });
+                        break;
+                    }
+                    default:
+                        return this.fail(new OverflowError(this.errorState('enqueue', item)), false);
+                }
+            }
+
+            const node = new ListNode(item);
+            if (this.tail) {
+                this.tail.next = node;
+            } else {
+                this.head = node;
+            }
+            this.tail = node;
+            this.length++;
+            this.cost.move();
+
+            this.emit('enqueue', { value: item, index: this.length - 1, size: this.length });
+            return true;
+        }
+
+        /**
+         * Remove and return front element
+         * @returns {*} - Front element (null in lenient mode when empty)
+         * @throws {UnderflowError} - Queue is empty, in strict mode
+         */
+        dequeue() {
+            if (this.isEmpty()) {
+                this.emit('underflow', { size: 0 });
+                return this.fail(new UnderflowError(this.errorState('dequeue')), null);
+            }
+
+            const item = this.removeHead();
+            this.emit('dequeue', { value: item, index: 0, size: this.length });
+            return item;
+        }
+
+        /**
+         * Return front element without removing it
+         * @returns {*} - Front element or null if empty
+         */
+        front() {
+            return this.head ? this.head.value : null;
+        }
+
+        /**
+         * Return rear element without removing it
+         * @returns {*} - Rear element or null if empty
+         */
+        rear() {
+            return this.tail ? this.tail.value : null;
+        }
+
+        /**
+         * Check if queue is empty
+         * @returns {boolean} - True if empty
+         */
+        isEmpty() {
+            return this.length === 0;
+        }
+
+        /**
+         * Get number of elements in queue
+         * @returns {number} - Size of queue
+         */
+        size() {
+            return this.length;
+        }
+
+        /**
+         * Remove all elements from queue
+         */
+        clear() {
+            const removed = this.toArray();
+            this.head = null;
+            this.tail = null;
+            this.length = 0;
+            this.emit('clear', { values: removed, size: 0 });
+        }
+
+        /**
+         * Get the nodes from front to rear (for visualization)
+         * @returns {ListNode[]} - Nodes, front first
+         */
+        getNodes() {
+            const nodes = [];
+            for (let node = this.head; node; node = node.next) {
+                nodes.push(node);
+            }
+            return nodes;
+        }
+
+        /**
+         * Get array copy of queue items (for visualization)
+         * @returns {Array} - Copy of queue items, front first
+         */
+        toArray() {
+            return this.getNodes().map(node => node.value);
+        }
+
+        /**
+         * Convert queue to string representation
+         * @returns {string} - String representation
+         */
+        toString() {
+            if (this.isEmpty()) {
+                return 'LinkedQueue: []';
+            }
+            return `LinkedQueue: head -> [${this.toArray().join(' -> ')}] <- tail`;
+        }
+
+        /**
+         * Search for element in queue
+         * @param {*} item - Element to search for
+         * @returns {number} - Index of element from the front, -1 if not found
+         */
+        search(item) {
+            let index = 0;
+            for (let node = this.head; node; node = node.next, index++) {
+                this.cost.compare();
+                if (node.value === item) {
+                    return index;
+                }
+            }
+            return -1;
+        }
+
+        /**
+         * Check if queue contains element
+         * @param {*} item - Element to check
+         * @returns {boolean} - True if contains element
+         */
+        contains(item) {
+            // Same semantics as Array.prototype.includes (SameValueZero, so NaN matches)
+            for (let node = this.head; node; node = node.next) {
+                this.cost.compare();
+                if (node.value === item || (node.value !== node.value && item !== item)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        /**
+         * Get element at specific index (0 = front, -1 = rear)
+         * @param {number} index - Index position
+         * @returns {*} - Element at index
+         */
+        at(index) {
+            if (index < 0) {
+                index += this.length;
+            }
+            if (index < 0 || index >= this.length) {
+                return undefined;
+            }
+
+            let node = this.head;
+            for (let i = 0; i < index; i++) {
+                node = node.next;
+            }
+            return node.value;
+        }
+
+        /**
+         * Get the maximum capacity of the queue
+         * @returns {number} - Maximum size
+         */
+        getMaxSize() {
+            return this.maxSize;
+        }
+
+        /**
+         * Set the maximum capacity of the queue
+         * @param {number} size - New maximum size
+         * @returns {Array} - Rear elements removed to fit the new size
+         */
+        setMaxSize(size) {
+            if (!Number.isInteger(size) || size < 1) {
+                throw new Error('Invalid size: Maximum size must be an integer of at least 1');
+            }
+
+            const previousMaxSize = this.maxSize;
+            this.maxSize = size;
+
+            // Trim from the rear: the node at position size - 1 becomes the new tail
+            const removed = [];
+            if (this.length > size) {
+                let node = this.head;
+                for (let i = 1; i < size; i++) {
+                    node = node.next;
+                }
+                for (let rest = node.next; rest; rest = rest.next) {
+                    removed.push(rest.value);
+                }
+                node.next = null;
+                this.tail = node;
+                this.length = size;
+                this.evict(removed, 'resize');
+            }
+
+            this.emit('resize', { maxSize: size, previousMaxSize, removed, size: this.length });
+            return removed;
+        }
+
+        /**
+         * Check if queue is full
+         * @returns {boolean} - True if full
+         */
+        isFull() {
+            return this.length >= this.maxSize;
+        }
+
+        /**
+         * Get remaining capacity
+         * @returns {number} - Number of elements that can still be added
+         */
+        getRemainingCapacity() {
+            return this.maxSize - this.length;
+        }
+
+        /**
+         * Create a copy of the queue
+         * @returns {LinkedQueue} - New queue instance with same elements
+         */
+        clone() {
+            const newQueue = new LinkedQueue({ strict: this.strict, overflowPolicy: this.overflowPolicy });
+            newQueue.maxSize = this.maxSize;
+            this.toArray().forEach(item => newQueue.enqueue(item));
+            this.cost.move(this.length);
+            return newQueue;
+        }
+
+        /**
+         * Reverse the order of elements in the queue by flipping every next pointer
+         */
+        reverse() {
+            let previous = null;
+            let node = this.head;
+            this.tail = this.head;
+            while (node) {
+                const next = node.next;
+                node.next = previous;
+                this.cost.move();
+                previous = node;
+                node = next;
+            }
+            this.head = previous;
+            this.emit('reverse', { size: this.length });
+        }
+
+        /**
+         * Get queue statistics
+         * @returns {Object} - Statistics object
+         */
+        getStats() {
+            return {
+                size: this.size(),
+                maxSize: this.maxSize,
+                isEmpty: this.isEmpty(),
+                isFull: this.isFull(),
+                remainingCapacity: this.getRemainingCapacity(),
+                front: this.front(),
+                rear: this.rear()
+            };
+        }
+
+        /**
+         * Validate queue integrity: node count matches length and tail is the last node
+         * @returns {boolean} - True if queue is valid
+         */
+        isValid() {
+            const nodes = this.getNodes();
+            return nodes.length === this.length &&
+                   (nodes[nodes.length - 1] || null) === this.tail &&
+                   this.length <= this.maxSize &&
+                   this.maxSize > 0;
+        }
+
+        /**
+         * Iterator to make queue iterable (from front to rear)
+         */
+        *[Symbol.iterator]() {
+            for (let node = this.head; node; node = node.next) {
+                yield node.value;
+            }
+        }
+
+        /**
+         * Convert to JSON representation
+         * @returns {Object} - JSON object
+         */
+        toJSON() {
+            return {
+                type: 'LinkedQueue',
+                items: this.toArray(),
+                maxSize: this.maxSize,
+                overflowPolicy: this.overflowPolicy,
+                size: this.size(),
+                front: this.front(),
+                rear: this.rear()
+            };
+        }
+
+        /**
+         * Create LinkedQueue from JSON representation
+         * @param {Object} json - JSON object
+         * @returns {LinkedQueue} - New LinkedQueue instance
+         */
+        static fromJSON(json) {
+            if (!json || json.type !== 'LinkedQueue') {
+                throw new Error('Invalid JSON: Not a LinkedQueue representation');
+            }
+
+            const queue = new LinkedQueue({ overflowPolicy: json.overflowPolicy });
+            queue.maxSize = json.maxSize || 50;
+            (json.items || []).forEach(item => queue.enqueue(item));
+
+            return queue;
+        }
+
+        /**
+         * Merge two queues (other queue's elements join at the rear)
+         * @param {LinkedQueue} other - Another queue to merge
+         * @returns {LinkedQueue} - New merged queue
+         */
+        merge(other) {
+            if (!(other instanceof LinkedQueue)) {
+                throw new Error('Invalid parameter: Expected LinkedQueue instance');
+            }
+
+            const merged = this.clone();
+
+            for (const item of other) {
+                if (!merged.isFull()) {
+                    merged.enqueue(item);
+                    this.cost.move();
+                } else {
+                    break;
+                }
+            }
+
+            return merged;
+        }
+    }
+
+    // Theoretical cost of each measured operation (see CostCounter.js)
+    LinkedQueue.COMPLEXITY = {
+        enqueue: 'O(1)',
+        dequeue: 'O(1)',
+        clear: 'O(1)',
+        search: 'O(n)',
+        contains: 'O(n)',
+        clone: 'O(n)',
+        reverse: 'O(n)',
+        merge: 'O(n + m)'
+    };
+    CostCounter.instrument(LinkedQueue, Object.keys(LinkedQueue.COMPLEXITY));
+
+    // Export for use in other files
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LinkedQueue;
+    } else if (typeof window !== 'undefined') {
+        window.LinkedQueue = LinkedQueue;
+    }
+}
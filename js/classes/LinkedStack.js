@@ -0,0 +1,477 @@
+/**
+ * Linked Stack Data Structure Implementation
+ * LIFO (Last In, First Out) on a singly linked list
+ *
+ * `top` references the newest node and every node's `next` points one step
+ * further down, so push and pop only reassign `top`. Same public API and
+ * events as Stack; implements the shared Collection contract (see Collection.js).
+ *
+ * Events (see EventEmitter.js): push, pop, clear, overflow, underflow,
+ * evict, resize and reverse.
+ */
+
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const EventEmitter = isCommonJS ? require('./EventEmitter.js') : window.EventEmitter;
+    const CostCounter = isCommonJS ? require('./CostCounter.js') : window.CostCounter;
+    const ListNode = isCommonJS ? require('./ListNode.js') : window.ListNode;
+    const { assertOverflowPolicy, isValidElement } = isCommonJS ? require('./Collection.js') : window;
+    const {
+        OverflowError,
+        UnderflowError,
+        InvalidElementError
+    } = isCommonJS ? require('./StructureError.js') : window;
+
+    class LinkedStack extends EventEmitter {
+        /**
+         * @param {Object} [options] - Stack options
+         * @param {boolean} [options.strict=true] - Throw on errors instead of returning a sentinel
+         * @param {string} [options.overflowPolicy='reject'] - reject, drop-oldest, drop-newest or grow
+         */
+        constructor(options = {}) {
+            super();
+            this.top = null;
+            this.length = 0;
+            this.maxSize = 10; // Maximum size for visualization
+            this.strict = options.strict !== false;
+            this.overflowPolicy = assertOverflowPolicy(options.overflowPolicy || 'reject');
+            this.cost = new CostCounter(this);
+        }
+
+        /**
+         * Change what happens when pushing onto a full stack
+         * @param {string} policy - reject, drop-oldest, drop-newest or grow
+         */
+        setOverflowPolicy(policy) {
+            this.overflowPolicy = assertOverflowPolicy(policy);
+        }
+
+        /**
+         * Report elements removed by the overflow policy or a smaller maxSize
+         * @param {Array} values - Evicted elements
+         * @param {string} reason - 'overflow' or 'resize'
+         */
+        evict(values, reason) {
+            this.emit('evict', { values, reason, policy: this.overflowPolicy, size: this.size() });
+        }
+
+        /**
+         * Throw the error in strict mode, otherwise return the sentinel
+         * @param {StructureError} error - Error describing the failure
+         * @param {*} sentinel - Value returned in lenient mode
+         * @returns {*} - The sentinel
+         */
+        fail(error, sentinel) {
+            if (this.strict) {
+                throw error;
+            }
+            return sentinel;
+        }
+
+        /**
+         * Snapshot of the stack for error reports
+         * @param {string} operation - Operation that failed
+         * @param {*} [element] - Element involved, if any
+         * @returns {Object} - Error state
+         */
+        errorState(operation, element) {
+            return { structure: 'LinkedStack', operation, size: this.size(), maxSize: this.maxSize, element };
+        }
+
+        /**
+         * Cut the list after `keep` nodes from the top
+         * @param {number} keep - Number of nodes to keep (at least 1)
+         * @returns {Array} - Removed values, bottom first
+         */
+        truncate(keep) {
+            // Walks past every node once, then unlinks the rest in one step
+            this.cost.move(this.length);
+
+            let node = this.top;
+            for (let i = 1; i < keep; i++) {
+                node = node.next;
+            }
+
+            const removed = [];
+            for (let rest = node.next; rest; rest = rest.next) {
+                removed.unshift(rest.value);
+            }
+
+            node.next = null;
+            this.length = keep;
+            return removed;
+        }
+
+        /**
+         * Add an element to the top of the stack
+         * @param {*} element - Element to push
+         * @returns {boolean} - Success status (false when rejected or dropped)
+         * @throws {InvalidElementError} - Empty value, in strict mode
+         * @throws {OverflowError} - Stack is full under the 'reject' policy, in strict mode
+         */
+        push(element) {
+            if (!isValidElement(element)) {
+                return this.fail(new InvalidElementError(this.errorState('push', element)), false);
+            }
+
+            if (this.length >= this.maxSize) {
+                this.emit('overflow', {
+                    value: element,
+                    size: this.size(),
+                    maxSize: this.maxSize,
+                    policy: this.overflowPolicy
+                });
+
+                switch (this.overflowPolicy) {
+                    case 'drop-oldest':
+                        // The oldest node is at the bottom: O(n) walk on a singly linked list
+                        this.evict(this.length === 1 ? this.clearNodes() : this.truncate(this.length - 1), 'overflow');
+                        break;
+                    case 'drop-newest':
+                        this.evict([element], 'overflow');
+                        return false;
+                    case 'grow': {
+                        const previousMaxSize = this.maxSize;
+                        this.maxSize *= 2;
+                        this.emit('resize', { maxSize: this.maxSize, previousMaxSize, removed: [], size: this.size() });
+                        break;
+                    }
+                    default:
+                        return this.fail(new OverflowError(this.errorState('push', element)), false);
+                }
+            }
+
+            this.top = new ListNode(element, this.top);
+            this.length++;
+            this.cost.move();
+            this.emit('push', { value: element, index: this.length - 1, size: this.size() });
+            return true;
+        }
+
+        /**
+         * Remove and return the top element from the stack
+         * @returns {*} - The popped element (null in lenient mode when empty)
+         * @throws {UnderflowError} - Stack is empty, in strict mode
+         */
+        pop() {
+            if (this.isEmpty()) {
+                this.emit('underflow', { size: 0 });
+                return this.fail(new UnderflowError(this.errorState('pop')), null);
+            }
+
+            const node = this.top;
+            this.top = node.next;
+            node.next = null;
+            this.length--;
+            this.cost.move();
+            this.emit('pop', { value: node.value, index: this.length, size: this.size() });
+            return node.value;
+        }
+
+        /**
+         * Return the top element without removing it
+         * @returns {*} - The top element
+         */
+        peek() {
+            return this.top ? this.top.value : null;
+        }
+
+        /**
+         * Check if the stack is empty
+         * @returns {boolean} - True if empty
+         */
+        isEmpty() {
+            return this.length === 0;
+        }
+
+        /**
+         * Get the size of the stack
+         * @returns {number} - Number of elements
+         */
+        size() {
+            return this.length;
+        }
+
+        /**
+         * Drop every node
+         * @returns {Array} - Removed values, bottom first
+         */
+        clearNodes() {
+            const removed = this.toArray();
+            this.top = null;
+            this.length = 0;
+            return removed;
+        }
+
+        /**
+         * Clear all elements from the stack
+         */
+        clear() {
+            const removed = this.clearNodes();
+            this.emit('clear', { values: removed, size: 0 });
+        }
+
+        /**
+         * Get the nodes from top to bottom (for visualization)
+         * @returns {ListNode[]} - Nodes, top first
+         */
+        getNodes() {
+            const nodes = [];
+            for (let node = this.top; node; node = node.next) {
+                nodes.push(node);
+            }
+            return nodes;
+        }
+
+        /**
+         * Convert stack to array (bottom to top)
+         * @returns {Array} - Array representation
+         */
+        toArray() {
+            return this.getNodes().map(node => node.value).reverse();
+        }
+
+        /**
+         * Get string representation of the stack
+         * @returns {string} - String representation
+         */
+        toString() {
+            return this.toArray().join(' <- ');
+        }
+
+        /**
+         * Check if stack contains an element
+         * @param {*} element - Element to search for
+         * @returns {boolean} - True if found
+         */
+        contains(element) {
+            return this.search(element) !== -1;
+        }
+
+        /**
+         * Get element at specific index (0 = bottom, -1 = top)
+         * @param {number} index - Index position
+         * @returns {*} - Element at index
+         */
+        at(index) {
+            if (index < 0) {
+                index += this.length;
+            }
+            if (index < 0 || index >= this.length) {
+                return undefined;
+            }
+
+            // Nodes are linked from the top, so walk length - 1 - index steps
+            let node = this.top;
+            for (let i = this.length - 1; i > index; i--) {
+                node = node.next;
+            }
+            return node.value;
+        }
+
+        /**
+         * Get the maximum capacity of the stack
+         * @returns {number} - Maximum size
+         */
+        getMaxSize() {
+            return this.maxSize;
+        }
+
+        /**
+         * Set the maximum capacity of the stack
+         * @param {number} size - New maximum size
+         * @returns {Array} - Bottom elements removed to fit the new size
+         */
+        setMaxSize(size) {
+            if (!Number.isInteger(size) || size < 1) {
+                throw new Error('Invalid size: Maximum size must be an integer of at least 1');
+            }
+
+            const previousMaxSize = this.maxSize;
+            this.maxSize = size;
+
+            let removed = [];
+            if (this.length > size) {
+                removed = this.truncate(size);
+                this.evict(removed, 'resize');
+            }
+
+            this.emit('resize', { maxSize: size, previousMaxSize, removed, size: this.size() });
+            return removed;
+        }
+
+        /**
+         * Check if stack is full
+         * @returns {boolean} - True if full
+         */
+        isFull() {
+            return this.length >= this.maxSize;
+        }
+
+        /**
+         * Get remaining capacity
+         * @returns {number} - Number of elements that can still be added
+         */
+        getRemainingCapacity() {
+            return this.maxSize - this.length;
+        }
+
+        /**
+         * Create a copy of the stack
+         * @returns {LinkedStack} - New stack instance with same elements
+         */
+        clone() {
+            const newStack = new LinkedStack({ strict: this.strict, overflowPolicy: this.overflowPolicy });
+            newStack.maxSize = this.maxSize;
+            this.toArray().forEach(item => newStack.push(item));
+            this.cost.move(this.length);
+            return newStack;
+        }
+
+        /**
+         * Reverse the order of elements in the stack by flipping every next pointer
+         */
+        reverse() {
+            let previous = null;
+            let node = this.top;
+            while (node) {
+                const next = node.next;
+                node.next = previous;
+                this.cost.move();
+                previous = node;
+                node = next;
+            }
+            this.top = previous;
+            this.emit('reverse', { size: this.size() });
+        }
+
+        /**
+         * Search for an element and return its position from the top (0-based)
+         * @param {*} element - Element to search for
+         * @returns {number} - Position from top, -1 if not found
+         */
+        search(element) {
+            let position = 0;
+            for (let node = this.top; node; node = node.next, position++) {
+                this.cost.compare();
+                if (node.value === element) {
+                    return position;
+                }
+            }
+            return -1;
+        }
+
+        /**
+         * Get stack statistics
+         * @returns {Object} - Statistics object
+         */
+        getStats() {
+            return {
+                size: this.size(),
+                maxSize: this.maxSize,
+                isEmpty: this.isEmpty(),
+                isFull: this.isFull(),
+                remainingCapacity: this.getRemainingCapacity(),
+                top: this.peek(),
+                bottom: this.length > 0 ? this.at(0) : null
+            };
+        }
+
+        /**
+         * Validate stack integrity: the node count matches length
+         * @returns {boolean} - True if stack is valid
+         */
+        isValid() {
+            return this.getNodes().length === this.length &&
+                   this.length <= this.maxSize &&
+                   this.maxSize > 0;
+        }
+
+        /**
+         * Iterator to make stack iterable (from top to bottom)
+         */
+        *[Symbol.iterator]() {
+            for (let node = this.top; node; node = node.next) {
+                yield node.value;
+            }
+        }
+
+        /**
+         * Convert to JSON representation
+         * @returns {Object} - JSON object
+         */
+        toJSON() {
+            return {
+                type: 'LinkedStack',
+                items: this.toArray(),
+                maxSize: this.maxSize,
+                overflowPolicy: this.overflowPolicy,
+                size: this.size(),
+                top: this.peek()
+            };
+        }
+
+        /**
+         * Create LinkedStack from JSON representation
+         * @param {Object} json - JSON object
+         * @returns {LinkedStack} - New LinkedStack instance
+         */
+        static fromJSON(json) {
+            if (!json || json.type !== 'LinkedStack') {
+                throw new Error('Invalid JSON: Not a LinkedStack representation');
+            }
+
+            const stack = new LinkedStack({ overflowPolicy: json.overflowPolicy });
+            stack.maxSize = json.maxSize || 10;
+            (json.items || []).forEach(item => stack.push(item));
+
+            return stack;
+        }
+
+        /**
+         * Merge two stacks (other stack's elements go on top)
+         * @param {LinkedStack} other - Another stack to merge
+         * @returns {LinkedStack} - New merged stack
+         */
+        merge(other) {
+            if (!(other instanceof LinkedStack)) {
+                throw new Error('Invalid parameter: Expected LinkedStack instance');
+            }
+
+            const merged = this.clone();
+
+            for (const item of other.toArray()) {
+                if (!merged.isFull()) {
+                    merged.push(item);
+                    this.cost.move();
+                } else {
+                    break;
+                }
+            }
+
+            return merged;
+        }
+    }
+
+    // Theoretical cost of each measured operation (see CostCounter.js)
+    LinkedStack.COMPLEXITY = {
+        push: 'O(1)',
+        pop: 'O(1)',
+        clear: 'O(1)',
+        search: 'O(n)',
+        contains: 'O(n)',
+        clone: 'O(n)',
+        reverse: 'O(n)',
+        merge: 'O(n + m)'
+    };
+    CostCounter.instrument(LinkedStack, Object.keys(LinkedStack.COMPLEXITY));
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LinkedStack;
+    } else if (typeof window !== 'undefined') {
+        window.LinkedStack = LinkedStack;
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * Linked List Node
+ * Building block for LinkedStack and LinkedQueue: a value plus a `next` reference
+ */
+
+class ListNode {
+    /**
+     * @param {*} value - Value stored in the node
+     * @param {ListNode|null} [next=null] - Following node
+     */
+    constructor(value, next = null) {
+        this.value = value;
+        this.next = next;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ListNode;
+} else if (typeof window !== 'undefined') {
+    window.ListNode = ListNode;
+}
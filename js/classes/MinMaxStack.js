@@ -0,0 +1,269 @@
+/**
+ * Min/Max Stack Implementation
+ * Stack that answers getMin() and getMax() in O(1)
+ *
+ * Two auxiliary stacks run alongside the items: `minStack` holds every value
+ * that was a minimum when it was pushed, `maxStack` every value that was a
+ * maximum, so their tops are always the extremes of the current items. A value
+ * equal to the current extreme is pushed again, which keeps duplicates
+ * correct when one of them is popped.
+ *
+ * Removing from the bottom (drop-oldest, a smaller maxSize) or reversing
+ * breaks that invariant, so those rebuild both auxiliary stacks in O(n).
+ *
+ * Events (see EventEmitter.js): those of Stack, plus extremes after the
+ * auxiliary stacks changed. The auxiliary stacks emit their own push, pop and
+ * clear events.
+ */
+
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const CostCounter = isCommonJS ? require('./CostCounter.js') : window.CostCounter;
+    const Stack = isCommonJS ? require('./Stack.js') : window.Stack;
+
+    class MinMaxStack extends Stack {
+        /**
+         * @param {Object} [options] - Stack options
+         * @param {boolean} [options.strict=true] - Throw on errors instead of returning a sentinel
+         * @param {string} [options.overflowPolicy='reject'] - reject, drop-oldest, drop-newest or grow
+         * @param {Function} [options.comparator] - (a, b) => negative, 0 or positive; defaults to < and >
+         */
+        constructor(options = {}) {
+            super(options);
+            this.comparator = options.comparator || MinMaxStack.defaultComparator;
+
+            // 'grow': an auxiliary stack never holds more than the items, so it must not reject
+            this.minStack = new Stack({ overflowPolicy: 'grow' });
+            this.maxStack = new Stack({ overflowPolicy: 'grow' });
+        }
+
+        /**
+         * Default comparator using the < and > operators
+         * @param {*} a - First value
+         * @param {*} b - Second value
+         * @returns {number} - Negative if a < b, positive if a > b, 0 otherwise
+         */
+        static defaultComparator(a, b) {
+            if (a < b) return -1;
+            if (a > b) return 1;
+            return 0;
+        }
+
+        /**
+         * Compare two values with the comparator, counting the comparison
+         * @param {*} a - First value
+         * @param {*} b - Second value
+         * @returns {number} - Comparator result
+         */
+        compareValues(a, b) {
+            this.cost.compare();
+            return this.comparator(a, b);
+        }
+
+        /**
+         * Record a value that has just been pushed onto the items
+         * @param {*} element - Pushed value
+         * @returns {Object} - { min, max }: whether each auxiliary stack grew
+         */
+        track(element) {
+            const min = this.minStack.isEmpty() || this.compareValues(element, this.minStack.peek()) <= 0;
+            const max = this.maxStack.isEmpty() || this.compareValues(element, this.maxStack.peek()) >= 0;
+
+            if (min) {
+                this.minStack.push(element);
+                this.cost.move();
+            }
+            if (max) {
+                this.maxStack.push(element);
+                this.cost.move();
+            }
+            return { min, max };
+        }
+
+        /**
+         * Forget a value that has just been popped from the items
+         * @param {*} element - Popped value
+         * @returns {Object} - { min, max }: whether each auxiliary stack shrank
+         */
+        untrack(element) {
+            const min = this.compareValues(element, this.minStack.peek()) === 0;
+            const max = this.compareValues(element, this.maxStack.peek()) === 0;
+
+            if (min) {
+                this.minStack.pop();
+                this.cost.move();
+            }
+            if (max) {
+                this.maxStack.pop();
+                this.cost.move();
+            }
+            return { min, max };
+        }
+
+        /**
+         * Rebuild both auxiliary stacks from the items, bottom to top
+         */
+        rebuildExtremes() {
+            this.minStack.clear();
+            this.maxStack.clear();
+            this.items.forEach(item => this.track(item));
+            this.emit('extremes', { operation: 'rebuild', min: this.getMin(), max: this.getMax(), size: this.size() });
+        }
+
+        /**
+         * Add an element to the top of the stack
+         * @param {*} element - Element to push
+         * @returns {boolean} - Success status (false when rejected or dropped)
+         * @throws {InvalidElementError} - Empty value, in strict mode
+         * @throws {OverflowError} - Stack is full under the 'reject' policy, in strict mode
+         */
+        push(element) {
+            const added = super.push(element);
+            if (added) {
+                const changed = this.track(element);
+                this.emit('extremes', { operation: 'push', value: element, changed, min: this.getMin(), max: this.getMax(), size: this.size() });
+            }
+            return added;
+        }
+
+        /**
+         * Remove and return the top element from the stack
+         * @returns {*} - The popped element (null in lenient mode when empty)
+         * @throws {UnderflowError} - Stack is empty, in strict mode
+         */
+        pop() {
+            const wasEmpty = this.isEmpty();
+            const element = super.pop();
+            if (!wasEmpty) {
+                const changed = this.untrack(element);
+                this.emit('extremes', { operation: 'pop', value: element, changed, min: this.getMin(), max: this.getMax(), size: this.size() });
+            }
+            return element;
+        }
+
+        /**
+         * Clear all elements and both auxiliary stacks
+         */
+        clear() {
+            super.clear();
+            this.minStack.clear();
+            this.maxStack.clear();
+        }
+
+        /**
+         * Report evicted elements; a removed bottom invalidates the auxiliary stacks
+         * @param {Array} values - Evicted elements
+         * @param {string} reason - 'overflow' or 'resize'
+         */
+        evict(values, reason) {
+            super.evict(values, reason);
+
+            // drop-newest discards the incoming value, the items are untouched
+            if (!(reason === 'overflow' && this.overflowPolicy === 'drop-newest')) {
+                this.rebuildExtremes();
+            }
+        }
+
+        /**
+         * Reverse the order of elements and rebuild the auxiliary stacks
+         */
+        reverse() {
+            super.reverse();
+            this.rebuildExtremes();
+        }
+
+        /**
+         * Smallest element according to the comparator
+         * @returns {*} - Minimum, or null when empty
+         */
+        getMin() {
+            return this.minStack.peek();
+        }
+
+        /**
+         * Largest element according to the comparator
+         * @returns {*} - Maximum, or null when empty
+         */
+        getMax() {
+            return this.maxStack.peek();
+        }
+
+        /**
+         * Create a copy of the stack, comparator included
+         * @returns {MinMaxStack} - New stack instance with same elements
+         */
+        clone() {
+            const newStack = new MinMaxStack({
+                strict: this.strict,
+                overflowPolicy: this.overflowPolicy,
+                comparator: this.comparator
+            });
+            newStack.maxSize = this.maxSize;
+            newStack.items = [...this.items];
+            newStack.rebuildExtremes();
+            this.cost.move(this.items.length);
+            return newStack;
+        }
+
+        /**
+         * Get stack statistics
+         * @returns {Object} - Statistics object, with min and max
+         */
+        getStats() {
+            return { ...super.getStats(), min: this.getMin(), max: this.getMax() };
+        }
+
+        /**
+         * Validate stack integrity, auxiliary stacks included
+         * @returns {boolean} - True if stack is valid
+         */
+        isValid() {
+            return super.isValid() &&
+                   this.minStack.size() <= this.items.length &&
+                   this.maxStack.size() <= this.items.length &&
+                   this.minStack.isEmpty() === this.isEmpty() &&
+                   this.maxStack.isEmpty() === this.isEmpty();
+        }
+
+        /**
+         * Convert to JSON representation
+         * @returns {Object} - JSON object
+         */
+        toJSON() {
+            return { ...super.toJSON(), type: 'MinMaxStack', min: this.getMin(), max: this.getMax() };
+        }
+
+        /**
+         * Create MinMaxStack from JSON representation
+         * @param {Object} json - JSON object
+         * @param {Function} [comparator] - Comparator, which JSON cannot carry
+         * @returns {MinMaxStack} - New MinMaxStack instance
+         */
+        static fromJSON(json, comparator) {
+            if (!json || json.type !== 'MinMaxStack') {
+                throw new Error('Invalid JSON: Not a MinMaxStack representation');
+            }
+
+            const stack = new MinMaxStack({ overflowPolicy: json.overflowPolicy, comparator });
+            stack.maxSize = json.maxSize || 10;
+            stack.items = [...(json.items || [])];
+            stack.rebuildExtremes();
+
+            return stack;
+        }
+    }
+
+    // Theoretical cost of each measured operation (see CostCounter.js).
+    // Inherited methods are already measured through Stack's wrappers.
+    MinMaxStack.COMPLEXITY = { ...Stack.COMPLEXITY };
+    CostCounter.instrument(MinMaxStack, ['push', 'pop', 'clear', 'reverse', 'clone']);
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MinMaxStack;
+    } else if (typeof window !== 'undefined') {
+        window.MinMaxStack = MinMaxStack;
+    }
+}
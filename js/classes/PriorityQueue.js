@@ -0,0 +1,465 @@
+/**
+ * Priority Queue Data Structure Implementation
+ * Binary heap: the element with the best priority is always at index 0
+ *
+ * Elements are stored as { value, priority, order } entries in an array where
+ * the children of index i live at 2i + 1 and 2i + 2. `order` is an insertion
+ * counter used to break ties, so equal priorities come out first-in first-out.
+ *
+ * Events (see EventEmitter.js): enqueue, dequeue, remove, change, clear,
+ * overflow and underflow, plus step events so visualizations can replay an
+ * operation: 'insert' (appended at the end), 'replace' (last entry moved into
+ * a removed slot) and 'swap' ({ from, to, direction }) for every sift step.
+ */
+
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const EventEmitter = isCommonJS ? require('./EventEmitter.js') : window.EventEmitter;
+    const CostCounter = isCommonJS ? require('./CostCounter.js') : window.CostCounter;
+    const { isValidElement } = isCommonJS ? require('./Collection.js') : window;
+    const {
+        OverflowError,
+        UnderflowError,
+        InvalidElementError
+    } = isCommonJS ? require('./StructureError.js') : window;
+
+    class PriorityQueue extends EventEmitter {
+        /**
+         * @param {Object} [options] - Priority queue options
+         * @param {string} [options.mode='min'] - 'min' serves the smallest priority first, 'max' the largest
+         * @param {Function} [options.comparator] - (a, b) => negative/0/positive, compares two priorities
+         * @param {boolean} [options.strict=true] - Throw on errors instead of returning a sentinel
+         */
+        constructor(options = {}) {
+            super();
+            this.heap = [];
+            this.maxSize = 15; // Four full levels of the tree for visualization
+            this.insertCounter = 0;
+            this.strict = options.strict !== false;
+            this.comparator = options.comparator || PriorityQueue.defaultComparator;
+            this.cost = new CostCounter(this); // Before setMode, which is measured
+            this.setMode(options.mode || 'min');
+        }
+
+        /**
+         * Default priority comparison: numbers and strings in ascending order
+         * @param {*} a - First priority
+         * @param {*} b - Second priority
+         * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+         */
+        static defaultComparator(a, b) {
+            if (a < b) return -1;
+            if (a > b) return 1;
+            return 0;
+        }
+
+        /**
+         * Switch between min-heap and max-heap ordering and rebuild the heap
+         * @param {string} mode - 'min' or 'max'
+         */
+        setMode(mode) {
+            if (mode !== 'min' && mode !== 'max') {
+                throw new Error("Invalid mode: Expected 'min' or 'max'");
+            }
+
+            this.mode = mode;
+
+            // Re-heapify bottom-up; silent because this is a bulk rebuild, not a user step
+            for (let i = Math.floor(this.heap.length / 2) - 1; i >= 0; i--) {
+                this.siftDown(i, true);
+            }
+        }
+
+        /**
+         * Throw the error in strict mode, otherwise return the sentinel
+         * @param {StructureError} error - Error describing the failure
+         * @param {*} sentinel - Value returned in lenient mode
+         * @returns {*} - The sentinel
+         */
+        fail(error, sentinel) {
+            if (this.strict) {
+                throw error;
+            }
+            return sentinel;
+        }
+
+        /**
+         * Snapshot of the priority queue for error reports
+         * @param {string} operation - Operation that failed
+         * @param {*} [element] - Element involved, if any
+         * @returns {Object} - Error state
+         */
+        errorState(operation, element) {
+            return { structure: 'PriorityQueue', operation, size: this.size(), maxSize: this.maxSize, element };
+        }
+
+        /**
+         * Check whether entry a should be served before entry b
+         * @param {Object} a - Heap entry
+         * @param {Object} b - Heap entry
+         * @returns {boolean} - True if a has precedence
+         */
+        precedes(a, b) {
+            this.cost.compare();
+            let result = this.comparator(a.priority, b.priority);
+            if (this.mode === 'max') {
+                result = -result;
+            }
+            // Equal priorities: earlier insertion wins, which keeps the queue stable
+            return result < 0 || (result === 0 && a.order < b.order);
+        }
+
+        /**
+         * Swap two heap slots and report the step
+         * @param {number} i - First index
+         * @param {number} j - Second index
+         * @param {string} direction - 'up' or 'down'
+         * @param {boolean} silent - Skip the swap event
+         */
+        swap(i, j, direction, silent) {
+            [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
+            this.cost.move(2);
+            if (!silent) {
+                this.emit('swap', { from: i, to: j, direction });
+            }
+        }
+
+        /**
+         * Move the entry at index up until its parent has precedence
+         * @param {number} index - Starting index
+         * @param {boolean} [silent=false] - Skip swap events
+         * @returns {number} - Final index
+         */
+        siftUp(index, silent = false) {
+            while (index > 0) {
+                const parent = Math.floor((index - 1) / 2);
+                if (!this.precedes(this.heap[index], this.heap[parent])) {
+                    break;
+                }
+                this.swap(index, parent, 'up', silent);
+                index = parent;
+            }
+            return index;
+        }
+
+        /**
+         * Move the entry at index down until both children come after it
+         * @param {number} index - Starting index
+         * @param {boolean} [silent=false] - Skip swap events
+         * @returns {number} - Final index
+         */
+        siftDown(index, silent = false) {
+            const length = this.heap.length;
+
+            while (true) {
+                const left = 2 * index + 1;
+                const right = left + 1;
+                let best = index;
+
+                if (left < length && this.precedes(this.heap[left], this.heap[best])) {
+                    best = left;
+                }
+                if (right < length && this.precedes(this.heap[right], this.heap[best])) {
+                    best = right;
+                }
+                if (best === index) {
+                    return index;
+                }
+
+                this.swap(index, best, 'down', silent);
+                index = best;
+            }
+        }
+
+        /**
+         * Restore heap order for an entry whose position or priority changed
+         * @param {number} index - Index of the entry
+         * @returns {number} - Final index
+         */
+        reposition(index) {
+            const moved = this.siftUp(index);
+            return moved === index ? this.siftDown(index) : moved;
+        }
+
+        /**
+         * Add an element with a priority
+         * @param {*} value - Element to add
+         * @param {*} [priority=value] - Priority; defaults to the value itself
+         * @returns {boolean} - Success status (false in lenient mode when rejected)
+         * @throws {InvalidElementError} - Empty value, in strict mode
+         * @throws {OverflowError} - Queue is full, in strict mode
+         */
+        enqueue(value, priority = value) {
+            if (!isValidElement(value) || !isValidElement(priority)) {
+                return this.fail(new InvalidElementError(this.errorState('enqueue', value)), false);
+            }
+
+            if (this.isFull()) {
+                this.emit('overflow', { value, size: this.size(), maxSize: this.maxSize });
+                return this.fail(new OverflowError(this.errorState('enqueue', value)), false);
+            }
+
+            const entry = { value, priority, order: this.insertCounter++ };
+            this.heap.push(entry);
+            this.cost.move();
+            this.emit('insert', { value, priority, index: this.heap.length - 1 });
+
+            const index = this.siftUp(this.heap.length - 1);
+            this.emit('enqueue', { value, priority, index, size: this.size() });
+            return true;
+        }
+
+        /**
+         * Remove and return the element with the best priority
+         * @returns {*} - Element value (null in lenient mode when empty)
+         * @throws {UnderflowError} - Queue is empty, in strict mode
+         */
+        dequeue() {
+            if (this.isEmpty()) {
+                this.emit('underflow', { size: 0 });
+                return this.fail(new UnderflowError(this.errorState('dequeue')), null);
+            }
+
+            const { value, priority } = this.removeAt(0);
+            this.emit('dequeue', { value, priority, index: 0, size: this.size() });
+            return value;
+        }
+
+        /**
+         * Take the entry at index out of the heap, filling the hole with the last entry
+         * @param {number} index - Index to remove
+         * @returns {Object} - Removed entry
+         */
+        removeAt(index) {
+            const removed = this.heap[index];
+            const last = this.heap.pop();
+            this.cost.move(); // The last entry fills the hole, or is itself the one removed
+
+            if (index < this.heap.length) {
+                this.heap[index] = last;
+                this.emit('replace', { index, from: this.heap.length, value: last.value });
+                this.reposition(index);
+            }
+
+            return removed;
+        }
+
+        /**
+         * Return the element with the best priority without removing it
+         * @returns {*} - Element value or null if empty
+         */
+        peek() {
+            return this.isEmpty() ? null : this.heap[0].value;
+        }
+
+        /**
+         * Return the best priority without removing anything
+         * @returns {*} - Priority or null if empty
+         */
+        peekPriority() {
+            return this.isEmpty() ? null : this.heap[0].priority;
+        }
+
+        /**
+         * Find the heap index of the first entry holding value
+         * @param {*} value - Element to look for
+         * @returns {number} - Heap index, -1 if not found
+         */
+        indexOf(value) {
+            for (let i = 0; i < this.heap.length; i++) {
+                this.cost.compare();
+                if (this.heap[i].value === value) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+
+        /**
+         * Change the priority of an element already in the queue
+         * @param {*} value - Element whose priority changes
+         * @param {*} priority - New priority
+         * @returns {boolean} - True if the element was found
+         */
+        changePriority(value, priority) {
+            const index = this.indexOf(value);
+            if (index === -1) {
+                return false;
+            }
+
+            if (!isValidElement(priority)) {
+                return this.fail(new InvalidElementError(this.errorState('changePriority', value)), false);
+            }
+
+            const previousPriority = this.heap[index].priority;
+            this.heap[index].priority = priority;
+            this.emit('change', { value, priority, previousPriority, index });
+
+            this.reposition(index);
+            return true;
+        }
+
+        /**
+         * Remove an element from anywhere in the queue
+         * @param {*} value - Element to remove
+         * @returns {boolean} - True if the element was found and removed
+         */
+        remove(value) {
+            const index = this.indexOf(value);
+            if (index === -1) {
+                return false;
+            }
+
+            const { priority } = this.removeAt(index);
+            this.emit('remove', { value, priority, index, size: this.size() });
+            return true;
+        }
+
+        /**
+         * Check if the queue is empty
+         * @returns {boolean} - True if empty
+         */
+        isEmpty() {
+            return this.heap.length === 0;
+        }
+
+        /**
+         * Get number of elements in the queue
+         * @returns {number} - Size of queue
+         */
+        size() {
+            return this.heap.length;
+        }
+
+        /**
+         * Check if the queue is full
+         * @returns {boolean} - True if full
+         */
+        isFull() {
+            return this.heap.length >= this.maxSize;
+        }
+
+        /**
+         * Remove all elements from the queue
+         */
+        clear() {
+            const removed = this.heap.map(entry => entry.value);
+            this.heap = [];
+            this.emit('clear', { values: removed, size: 0 });
+        }
+
+        /**
+         * Check if the queue contains an element
+         * @param {*} value - Element to check
+         * @returns {boolean} - True if found
+         */
+        contains(value) {
+            return this.indexOf(value) !== -1;
+        }
+
+        /**
+         * Get a copy of the backing array (heap order, not sorted)
+         * @returns {Array} - Array of { value, priority } entries
+         */
+        toArray() {
+            return this.heap.map(({ value, priority }) => ({ value, priority }));
+        }
+
+        /**
+         * Get the entries in the order they would be dequeued
+         * @returns {Array} - Array of { value, priority } entries
+         */
+        toSortedArray() {
+            return [...this.heap]
+                .sort((a, b) => (this.precedes(a, b) ? -1 : 1))
+                .map(({ value, priority }) => ({ value, priority }));
+        }
+
+        /**
+         * Get string representation of the queue
+         * @returns {string} - String representation
+         */
+        toString() {
+            if (this.isEmpty()) {
+                return 'PriorityQueue: []';
+            }
+            const entries = this.toSortedArray().map(entry => `${entry.value}(${entry.priority})`);
+            return `PriorityQueue (${this.mode}): [${entries.join(', ')}]`;
+        }
+
+        /**
+         * Validate the heap property
+         * @returns {boolean} - True if no child has precedence over its parent
+         */
+        isValid() {
+            for (let i = 1; i < this.heap.length; i++) {
+                if (this.precedes(this.heap[i], this.heap[Math.floor((i - 1) / 2)])) {
+                    return false;
+                }
+            }
+            return this.heap.length <= this.maxSize;
+        }
+
+        /**
+         * Iterator in dequeue order
+         */
+        *[Symbol.iterator]() {
+            for (const entry of this.toSortedArray()) {
+                yield entry.value;
+            }
+        }
+
+        /**
+         * Convert to JSON representation (custom comparators are not serialized)
+         * @returns {Object} - JSON object
+         */
+        toJSON() {
+            return {
+                type: 'PriorityQueue',
+                mode: this.mode,
+                items: this.toSortedArray(),
+                maxSize: this.maxSize,
+                size: this.size()
+            };
+        }
+
+        /**
+         * Create PriorityQueue from JSON representation
+         * @param {Object} json - JSON object
+         * @param {Function} [comparator] - Comparator to restore, if a custom one was used
+         * @returns {PriorityQueue} - New PriorityQueue instance
+         */
+        static fromJSON(json, comparator) {
+            if (!json || json.type !== 'PriorityQueue') {
+                throw new Error('Invalid JSON: Not a PriorityQueue representation');
+            }
+
+            const queue = new PriorityQueue({ mode: json.mode, comparator });
+            queue.maxSize = json.maxSize || 15;
+            (json.items || []).forEach(({ value, priority }) => queue.enqueue(value, priority));
+
+            return queue;
+        }
+    }
+
+    // Theoretical cost of each measured operation (see CostCounter.js)
+    PriorityQueue.COMPLEXITY = {
+        enqueue: 'O(log n)',
+        dequeue: 'O(log n)',
+        changePriority: 'O(n)',
+        remove: 'O(n)',
+        contains: 'O(n)',
+        clear: 'O(1)',
+        setMode: 'O(n)'
+    };
+    CostCounter.instrument(PriorityQueue, Object.keys(PriorityQueue.COMPLEXITY));
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PriorityQueue;
+    } else if (typeof window !== 'undefined') {
+        window.PriorityQueue = PriorityQueue;
+    }
+}
@@ -1,129 +1,276 @@
 /**
  * Queue Data Structure Implementation
  * FIFO - First In, First Out
- * 
+ *
+ * Backed by the growable ring buffer in RingBuffer.js, so enqueue and
+ * dequeue are amortised O(1) instead of paying for Array.prototype.shift().
+ *
+ * Implements the shared Collection contract (see Collection.js).
+ *
+ * Events (see EventEmitter.js): enqueue, dequeue, clear, overflow, underflow,
+ * evict, resize and reverse.
+ *
  * @author Your Name
- * @version 1.0.0
+ * @version 1.1.0
  */
 
-class Queue {
-    /**
-     * Initialize empty queue
-     */
-    constructor() {
-        this.items = [];
-        this.maxSize = 50; // Prevent memory issues in demo
-    }
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const CostCounter = isCommonJS ? require('./CostCounter.js') : window.CostCounter;
+    const RingBuffer = isCommonJS ? require('./RingBuffer.js') : window.RingBuffer;
+    const { assertOverflowPolicy, isValidElement } = isCommonJS ? require('./Collection.js') : window;
+    const {
+        OverflowError,
+        UnderflowError,
+        InvalidElementError
+    } = isCommonJS ? require('./StructureError.js') : window;
 
-    /**
-     * Add element to rear of queue
-     * @param {*} item - Element to add
-     * @returns {boolean} - Success status
-     */
-    enqueue(item) {
-        if (this.size() >= this.maxSize) {
-            throw new Error(`Queue overflow! Maximum size is ${this.maxSize}`);
+    class Queue extends RingBuffer {
+        /**
+         * Initialize empty queue
+         * @param {Object} [options] - Queue options
+         * @param {boolean} [options.strict=true] - Throw on errors instead of returning a sentinel
+         * @param {string} [options.overflowPolicy='reject'] - reject, drop-oldest, drop-newest or grow
+         */
+        constructor(options = {}) {
+            super();
+            this.strict = options.strict !== false;
+            this.overflowPolicy = assertOverflowPolicy(options.overflowPolicy || 'reject');
+            this.maxSize = 50; // Prevent memory issues in demo
         }
-        
-        this.items.push(item);
-        return true;
-    }
 
-    /**
-     * Remove and return front element
-     * @returns {*} - Front element or null if empty
-     */
-    dequeue() {
-        if (this.isEmpty()) {
-            return null;
+        /**
+         * Change what happens when enqueueing onto a full queue
+         * @param {string} policy - reject, drop-oldest, drop-newest or grow
+         */
+        setOverflowPolicy(policy) {
+            this.overflowPolicy = assertOverflowPolicy(policy);
         }
-        return this.items.shift();
-    }
 
-    /**
-     * Return front element without removing it
-     * @returns {*} - Front element or null if empty
-     */
-    front() {
-        if (this.isEmpty()) {
-            return null;
+        /**
+         * Report elements removed by the overflow policy or a smaller maxSize
+         * @param {Array} values - Evicted elements
+         * @param {string} reason - 'overflow' or 'resize'
+         */
+        evict(values, reason) {
+            this.emit('evict', { values, reason, policy: this.overflowPolicy, size: this.count });
         }
-        return this.items[0];
-    }
 
-    /**
-     * Return rear element without removing it
-     * @returns {*} - Rear element or null if empty
-     */
-    rear() {
-        if (this.isEmpty()) {
-            return null;
+        /**
+         * Throw the error in strict mode, otherwise return the sentinel
+         * @param {StructureError} error - Error describing the failure
+         * @param {*} sentinel - Value returned in lenient mode
+         * @returns {*} - The sentinel
+         */
+        fail(error, sentinel) {
+            if (this.strict) {
+                throw error;
+            }
+            return sentinel;
         }
-        return this.items[this.items.length - 1];
-    }
 
-    /**
-     * Check if queue is empty
-     * @returns {boolean} - True if empty
-     */
-    isEmpty() {
-        return this.items.length === 0;
-    }
+        /**
+         * Snapshot of the queue for error reports
+         * @param {string} operation - Operation that failed
+         * @param {*} [element] - Element involved, if any
+         * @returns {Object} - Error state
+         */
+        errorState(operation, element) {
+            return { structure: 'Queue', operation, size: this.count, maxSize: this.maxSize, element };
+        }
 
-    /**
-     * Get number of elements in queue
-     * @returns {number} - Size of queue
-     */
-    size() {
-        return this.items.length;
-    }
+        /**
+         * Add element to rear of queue
+         * @param {*} item - Element to add
+         * @returns {boolean} - Success status (false when rejected or dropped)
+         * @throws {InvalidElementError} - Empty value, in strict mode
+         * @throws {OverflowError} - Queue is full under the 'reject' policy, in strict mode
+         */
+        enqueue(item) {
+            if (!isValidElement(item)) {
+                return this.fail(new InvalidElementError(this.errorState('enqueue', item)), false);
+            }
 
-    /**
-     * Remove all elements from queue
-     */
-    clear() {
-        this.items = [];
-    }
+            if (this.size() >= this.maxSize) {
+                this.emit('overflow', {
+                    value: item,
+                    size: this.size(),
+                    maxSize: this.maxSize,
+                    policy: this.overflowPolicy
+                });
 
-    /**
-     * Get array copy of queue items (for visualization)
-     * @returns {Array} - Copy of queue items
-     */
-    toArray() {
-        return [...this.items];
-    }
+                switch (this.overflowPolicy) {
+                    case 'drop-oldest':
+                        this.evict([this.removeFront()], 'overflow');
+                        break;
+                    case 'drop-newest':
+                        this.evict([item], 'overflow');
+                        return false;
+                    case 'grow': {
+                        const previousMaxSize = this.maxSize;
+                        this.maxSize *= 2;
+                        this.emit('resize', { maxSize: this.maxSize, previousMaxSize, removed: [], size: this.count });
+                        break;
+                    }
+                    default:
+                        return this.fail(new OverflowError(this.errorState('enqueue', item)), false);
+                }
+            }
+
+            if (this.count === this.capacity) {
+                this.grow();
+            }
 
-    /**
-     * Convert queue to string representation
-     * @returns {string} - String representation
-     */
-    toString() {
-        if (this.isEmpty()) {
-            return 'Queue: []';
+            this.buffer[this.slotAt(this.count)] = item;
+            this.count++;
+            this.cost.move();
+            this.emit('enqueue', { value: item, index: this.count - 1, size: this.count });
+            return true;
         }
-        return `Queue: front -> [${this.items.join(', ')}] <- rear`;
-    }
 
-    /**
-     * Search for element in queue
-     * @param {*} item - Element to search for
-     * @returns {number} - Index of element, -1 if not found
-     */
-    search(item) {
-        return this.items.indexOf(item);
+        /**
+         * Remove and return front element
+         * @returns {*} - Front element (null in lenient mode when empty)
+         * @throws {UnderflowError} - Queue is empty, in strict mode
+         */
+        dequeue() {
+            if (this.isEmpty()) {
+                this.emit('underflow', { size: 0 });
+                return this.fail(new UnderflowError(this.errorState('dequeue')), null);
+            }
+
+            const item = this.removeFront();
+            this.emit('dequeue', { value: item, index: 0, size: this.count });
+            return item;
+        }
+
+        /**
+         * Return front element without removing it
+         * @returns {*} - Front element or null if empty
+         */
+        front() {
+            if (this.isEmpty()) {
+                return null;
+            }
+            return this.buffer[this.head];
+        }
+
+        /**
+         * Return rear element without removing it
+         * @returns {*} - Rear element or null if empty
+         */
+        rear() {
+            if (this.isEmpty()) {
+                return null;
+            }
+            return this.buffer[this.slotAt(this.count - 1)];
+        }
+
+        /**
+         * Convert queue to string representation
+         * @returns {string} - String representation
+         */
+        toString() {
+            if (this.isEmpty()) {
+                return 'Queue: []';
+            }
+            return `Queue: front -> [${this.toArray().join(', ')}] <- rear`;
+        }
+
+        /**
+         * Get queue statistics
+         * @returns {Object} - Statistics object
+         */
+        getStats() {
+            return {
+                size: this.size(),
+                maxSize: this.maxSize,
+                isEmpty: this.isEmpty(),
+                isFull: this.isFull(),
+                remainingCapacity: this.getRemainingCapacity(),
+                front: this.front(),
+                rear: this.rear()
+            };
+        }
+
+        /**
+         * Convert to JSON representation
+         * @returns {Object} - JSON object
+         */
+        toJSON() {
+            return {
+                type: 'Queue',
+                items: this.toArray(),
+                maxSize: this.maxSize,
+                overflowPolicy: this.overflowPolicy,
+                size: this.size(),
+                front: this.front(),
+                rear: this.rear()
+            };
+        }
+
+        /**
+         * Create Queue from JSON representation
+         * @param {Object} json - JSON object
+         * @returns {Queue} - New Queue instance
+         */
+        static fromJSON(json) {
+            if (!json || json.type !== 'Queue') {
+                throw new Error('Invalid JSON: Not a Queue representation');
+            }
+
+            const queue = new Queue({ overflowPolicy: json.overflowPolicy });
+            queue.maxSize = json.maxSize || 50;
+            (json.items || []).forEach(item => queue.enqueue(item));
+
+            return queue;
+        }
+
+        /**
+         * Merge two queues (other queue's elements join at the rear)
+         * @param {Queue} other - Another queue to merge
+         * @returns {Queue} - New merged queue
+         */
+        merge(other) {
+            if (!(other instanceof Queue)) {
+                throw new Error('Invalid parameter: Expected Queue instance');
+            }
+
+            const merged = this.clone();
+
+            for (const item of other) {
+                if (!merged.isFull()) {
+                    merged.enqueue(item);
+                    this.cost.move();
+                } else {
+                    break;
+                }
+            }
+
+            return merged;
+        }
     }
 
-    /**
-     * Check if queue contains element
-     * @param {*} item - Element to check
-     * @returns {boolean} - True if contains element
-     */
-    contains(item) {
-        return this.items.includes(item);
+    // Theoretical cost of each measured operation (see CostCounter.js).
+    // enqueue is amortised: a full buffer is copied once, then doubles.
+    Queue.COMPLEXITY = {
+        enqueue: 'O(1) amortised',
+        dequeue: 'O(1)',
+        clear: 'O(1)',
+        search: 'O(n)',
+        contains: 'O(n)',
+        clone: 'O(n)',
+        reverse: 'O(n)',
+        merge: 'O(n + m)'
+    };
+    CostCounter.instrument(Queue, Object.keys(Queue.COMPLEXITY));
+
+    // Export for use in other files
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Queue;
+    } else if (typeof window !== 'undefined') {
+        window.Queue = Queue;
     }
 }
-
-// Export for use in other files
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Queue;
-}
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * Stack built from Queues
+ * LIFO - Last In, First Out, using only enqueue and dequeue
+ *
+ * Push does the work so that the top is always at the front of a queue and
+ * pop is a single dequeue:
+ * - With two queues, the new element is enqueued onto the empty queue, every
+ *   element of the other queue is moved behind it, and the two swap roles.
+ * - With one queue, the new element is enqueued at the rear and the queue is
+ *   rotated (dequeue then enqueue) size - 1 times to bring it to the front.
+ * Either way push moves every existing element: O(n), with pop O(1).
+ *
+ * Events (see EventEmitter.js): push, pop, transfer, clear, overflow and
+ * underflow. The queues emit their own enqueue, dequeue and clear events.
+ */
+
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const EventEmitter = isCommonJS ? require('./EventEmitter.js') : window.EventEmitter;
+    const CostCounter = isCommonJS ? require('./CostCounter.js') : window.CostCounter;
+    const Queue = isCommonJS ? require('./Queue.js') : window.Queue;
+    const { isValidElement } = isCommonJS ? require('./Collection.js') : window;
+    const {
+        OverflowError,
+        UnderflowError,
+        InvalidElementError
+    } = isCommonJS ? require('./StructureError.js') : window;
+
+    class QueueStack extends EventEmitter {
+        /**
+         * @param {Object} [options] - Stack options
+         * @param {boolean} [options.strict=true] - Throw on errors instead of returning a sentinel
+         * @param {number} [options.maxSize=10] - Maximum number of elements
+         * @param {number} [options.queues=2] - Build from 1 or 2 queues
+         */
+        constructor(options = {}) {
+            super();
+            const queues = options.queues || 2;
+            if (!QueueStack.QUEUE_COUNTS.includes(queues)) {
+                throw new Error(`Invalid queue count: Expected one of ${QueueStack.QUEUE_COUNTS.join(', ')}`);
+            }
+
+            this.strict = options.strict !== false;
+            this.maxSize = options.maxSize || 10;
+            this.cost = new CostCounter(this);
+
+            // The limit is enforced here, so no queue may reject on its own
+            this.queues = Array.from({ length: queues }, () => new Queue({ overflowPolicy: 'grow' }));
+            this.primary = 0; // Index of the queue holding the elements, top at its front
+        }
+
+        /**
+         * Throw the error in strict mode, otherwise return the sentinel
+         * @param {StructureError} error - Error describing the failure
+         * @param {*} sentinel - Value returned in lenient mode
+         * @returns {*} - The sentinel
+         */
+        fail(error, sentinel) {
+            if (this.strict) {
+                throw error;
+            }
+            return sentinel;
+        }
+
+        /**
+         * Snapshot of the stack for error reports
+         * @param {string} operation - Operation that failed
+         * @param {*} [element] - Element involved, if any
+         * @returns {Object} - Error state
+         */
+        errorState(operation, element) {
+            return { structure: 'QueueStack', operation, size: this.size(), maxSize: this.maxSize, element };
+        }
+
+        /**
+         * Add an element to the top of the stack
+         * @param {*} element - Element to push
+         * @returns {boolean} - Success status (false when rejected in lenient mode)
+         * @throws {InvalidElementError} - Empty value, in strict mode
+         * @throws {OverflowError} - Stack is full, in strict mode
+         */
+        push(element) {
+            if (!isValidElement(element)) {
+                return this.fail(new InvalidElementError(this.errorState('push', element)), false);
+            }
+
+            if (this.isFull()) {
+                this.emit('overflow', { value: element, size: this.size(), maxSize: this.maxSize });
+                return this.fail(new OverflowError(this.errorState('push', element)), false);
+            }
+
+            const from = this.primary;
+            const to = this.queues.length === 2 ? 1 - from : from;
+            const source = this.queues[from];
+            const target = this.queues[to];
+
+            target.enqueue(element);
+            this.cost.move();
+
+            // One queue: rotate the older elements behind the new one.
+            // Two queues: move them all from the full queue to the other one.
+            const count = to === from ? source.size() - 1 : source.size();
+            const values = [];
+            for (let i = 0; i < count; i++) {
+                const item = source.dequeue();
+                target.enqueue(item);
+                values.push(item);
+            }
+            this.cost.move(2 * values.length); // One dequeue and one enqueue each
+            this.primary = to;
+
+            this.emit('transfer', { values, from, to, size: this.size() });
+            this.emit('push', { value: element, queue: to, transferred: values, from, size: this.size() });
+            return true;
+        }
+
+        /**
+         * Remove and return the top element: one dequeue
+         * @returns {*} - The popped element (null in lenient mode when empty)
+         * @throws {UnderflowError} - Stack is empty, in strict mode
+         */
+        pop() {
+            if (this.isEmpty()) {
+                this.emit('underflow', { size: 0 });
+                return this.fail(new UnderflowError(this.errorState('pop')), null);
+            }
+
+            const element = this.queues[this.primary].dequeue();
+            this.cost.move();
+            this.emit('pop', { value: element, queue: this.primary, size: this.size() });
+            return element;
+        }
+
+        /**
+         * Return the top element without removing it
+         * @returns {*} - Top element or null if empty
+         */
+        peek() {
+            return this.queues[this.primary].front();
+        }
+
+        /**
+         * Check if the stack is empty
+         * @returns {boolean} - True if empty
+         */
+        isEmpty() {
+            return this.size() === 0;
+        }
+
+        /**
+         * Get the size of the stack
+         * @returns {number} - Number of elements (the other queue is empty between operations)
+         */
+        size() {
+            return this.queues[this.primary].size();
+        }
+
+        /**
+         * Check if stack is full
+         * @returns {boolean} - True if full
+         */
+        isFull() {
+            return this.size() >= this.maxSize;
+        }
+
+        /**
+         * Get the maximum capacity of the stack
+         * @returns {number} - Maximum size
+         */
+        getMaxSize() {
+            return this.maxSize;
+        }
+
+        /**
+         * Clear all elements from the stack
+         */
+        clear() {
+            const removed = this.toArray();
+            this.queues.forEach(queue => queue.clear());
+            this.emit('clear', { values: removed, size: 0 });
+        }
+
+        /**
+         * Convert stack to array (bottom to top)
+         * @returns {Array} - Array representation
+         */
+        toArray() {
+            return this.queues[this.primary].toArray().reverse();
+        }
+
+        /**
+         * Iterator to make the stack iterable (from top to bottom)
+         */
+        *[Symbol.iterator]() {
+            yield* this.queues[this.primary];
+        }
+
+        /**
+         * Get stack statistics
+         * @returns {Object} - Statistics object
+         */
+        getStats() {
+            return {
+                size: this.size(),
+                maxSize: this.maxSize,
+                isEmpty: this.isEmpty(),
+                isFull: this.isFull(),
+                queues: this.queues.length,
+                primary: this.primary,
+                top: this.peek()
+            };
+        }
+    }
+
+    // Number of queues a QueueStack may be built from
+    QueueStack.QUEUE_COUNTS = [1, 2];
+
+    // Theoretical cost of each measured operation (see CostCounter.js).
+    // push moves every existing element behind the new one.
+    QueueStack.COMPLEXITY = {
+        push: 'O(n)',
+        pop: 'O(1)',
+        clear: 'O(1)'
+    };
+    CostCounter.instrument(QueueStack, Object.keys(QueueStack.COMPLEXITY));
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = QueueStack;
+    } else if (typeof window !== 'undefined') {
+        window.QueueStack = QueueStack;
+    }
+}
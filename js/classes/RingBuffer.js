@@ -0,0 +1,280 @@
+/**
+ * Ring Buffer Storage
+ * Growable circular buffer shared by Queue and Deque
+ *
+ * `head` points at the front slot and `count` tracks how many slots are in
+ * use. The capacity is a power of two and doubles when the buffer is full,
+ * so adding and removing at either end is amortised O(1).
+ *
+ * Subclasses add the operations for their ends and provide `strict`,
+ * `overflowPolicy`, `maxSize` and evict(values, reason, end); everything that
+ * only reads or rearranges the stored elements lives here.
+ */
+
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const EventEmitter = isCommonJS ? require('./EventEmitter.js') : window.EventEmitter;
+    const CostCounter = isCommonJS ? require('./CostCounter.js') : window.CostCounter;
+
+    class RingBuffer extends EventEmitter {
+        constructor() {
+            super();
+            this.capacity = RingBuffer.INITIAL_CAPACITY;
+            this.buffer = new Array(this.capacity);
+            this.head = 0;
+            this.count = 0;
+            this.cost = new CostCounter(this);
+        }
+
+        /**
+         * Map a logical position (0 = front) to a slot in the buffer
+         * @param {number} offset - Position counted from the front (may be -1)
+         * @returns {number} - Buffer slot index
+         */
+        slotAt(offset) {
+            // Capacity is always a power of two, so masking is a cheap modulo
+            return (this.head + offset) & (this.capacity - 1);
+        }
+
+        /**
+         * Double the buffer capacity, unwrapping items so the front sits at slot 0
+         */
+        grow() {
+            const newBuffer = new Array(this.capacity * 2);
+            this.cost.move(this.count);
+            for (let i = 0; i < this.count; i++) {
+                newBuffer[i] = this.buffer[this.slotAt(i)];
+            }
+
+            this.buffer = newBuffer;
+            this.capacity = newBuffer.length;
+            this.head = 0;
+        }
+
+        /**
+         * Take the front element out of the buffer without emitting events
+         * @returns {*} - Removed element
+         */
+        removeFront() {
+            const element = this.buffer[this.head];
+            this.buffer[this.head] = undefined; // Release reference for GC
+            this.head = this.slotAt(1);
+            this.count--;
+            this.cost.move(); // Array.prototype.shift() would move all the remaining items instead
+            return element;
+        }
+
+        /**
+         * Take the back element out of the buffer without emitting events
+         * @returns {*} - Removed element
+         */
+        removeBack() {
+            const slot = this.slotAt(this.count - 1);
+            const element = this.buffer[slot];
+            this.buffer[slot] = undefined;
+            this.count--;
+            this.cost.move();
+            return element;
+        }
+
+        /**
+         * Check if the buffer holds no elements
+         * @returns {boolean} - True if empty
+         */
+        isEmpty() {
+            return this.count === 0;
+        }
+
+        /**
+         * Get number of stored elements
+         * @returns {number} - Number of elements
+         */
+        size() {
+            return this.count;
+        }
+
+        /**
+         * Remove all elements and shrink back to the initial capacity
+         */
+        clear() {
+            const removed = this.toArray();
+            this.capacity = RingBuffer.INITIAL_CAPACITY;
+            this.buffer = new Array(this.capacity);
+            this.head = 0;
+            this.count = 0;
+            this.emit('clear', { values: removed, size: 0 });
+        }
+
+        /**
+         * Get array copy of the stored elements (for visualization)
+         * @returns {Array} - Copy of the elements, front first
+         */
+        toArray() {
+            const items = new Array(this.count);
+            for (let i = 0; i < this.count; i++) {
+                items[i] = this.buffer[this.slotAt(i)];
+            }
+            return items;
+        }
+
+        /**
+         * Search for an element
+         * @param {*} element - Element to search for
+         * @returns {number} - Index of element from the front, -1 if not found
+         */
+        search(element) {
+            for (let i = 0; i < this.count; i++) {
+                this.cost.compare();
+                if (this.buffer[this.slotAt(i)] === element) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+
+        /**
+         * Check if an element is stored
+         * @param {*} element - Element to check
+         * @returns {boolean} - True if contains element
+         */
+        contains(element) {
+            // Same semantics as Array.prototype.includes (SameValueZero, so NaN matches)
+            for (let i = 0; i < this.count; i++) {
+                const current = this.buffer[this.slotAt(i)];
+                this.cost.compare();
+                if (current === element || (current !== current && element !== element)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        /**
+         * Get element at specific index (0 = front, -1 = back)
+         * @param {number} index - Index position
+         * @returns {*} - Element at index
+         */
+        at(index) {
+            if (index < 0) {
+                index += this.count;
+            }
+            if (index < 0 || index >= this.count) {
+                return undefined;
+            }
+            return this.buffer[this.slotAt(index)];
+        }
+
+        /**
+         * Get the maximum capacity
+         * @returns {number} - Maximum size
+         */
+        getMaxSize() {
+            return this.maxSize;
+        }
+
+        /**
+         * Set the maximum capacity, trimming from the back: the front elements
+         * are the ones next in line
+         * @param {number} size - New maximum size
+         * @returns {Array} - Back elements removed to fit the new size
+         */
+        setMaxSize(size) {
+            if (!Number.isInteger(size) || size < 1) {
+                throw new Error('Invalid size: Maximum size must be an integer of at least 1');
+            }
+
+            const previousMaxSize = this.maxSize;
+            this.maxSize = size;
+
+            const removed = [];
+            while (this.count > size) {
+                removed.unshift(this.removeBack());
+            }
+
+            if (removed.length > 0) {
+                this.evict(removed, 'resize', 'back');
+            }
+
+            this.emit('resize', { maxSize: size, previousMaxSize, removed, size: this.count });
+            return removed;
+        }
+
+        /**
+         * Check if the maximum size is reached
+         * @returns {boolean} - True if full
+         */
+        isFull() {
+            return this.count >= this.maxSize;
+        }
+
+        /**
+         * Get remaining capacity
+         * @returns {number} - Number of elements that can still be added
+         */
+        getRemainingCapacity() {
+            return this.maxSize - this.count;
+        }
+
+        /**
+         * Create a copy with the same settings and elements
+         * @returns {RingBuffer} - New instance of the same class
+         */
+        clone() {
+            const copy = new this.constructor({ strict: this.strict, overflowPolicy: this.overflowPolicy });
+            copy.maxSize = this.maxSize;
+            copy.capacity = this.capacity;
+            copy.buffer = [...this.buffer];
+            copy.head = this.head;
+            copy.count = this.count;
+            this.cost.move(this.count);
+            return copy;
+        }
+
+        /**
+         * Reverse the order of elements (back becomes front)
+         */
+        reverse() {
+            for (let i = 0, j = this.count - 1; i < j; i++, j--) {
+                const left = this.slotAt(i);
+                const right = this.slotAt(j);
+                [this.buffer[left], this.buffer[right]] = [this.buffer[right], this.buffer[left]];
+                this.cost.move(2);
+            }
+            this.emit('reverse', { size: this.count });
+        }
+
+        /**
+         * Validate buffer integrity
+         * @returns {boolean} - True if the buffer is valid
+         */
+        isValid() {
+            return Array.isArray(this.buffer) &&
+                   this.buffer.length === this.capacity &&
+                   (this.capacity & (this.capacity - 1)) === 0 &&
+                   this.count <= this.capacity &&
+                   this.count <= this.maxSize &&
+                   this.maxSize > 0;
+        }
+
+        /**
+         * Iterator over the elements from front to back
+         */
+        *[Symbol.iterator]() {
+            for (let i = 0; i < this.count; i++) {
+                yield this.buffer[this.slotAt(i)];
+            }
+        }
+    }
+
+    // Initial buffer size; must be a power of two
+    RingBuffer.INITIAL_CAPACITY = 16;
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = RingBuffer;
+    } else if (typeof window !== 'undefined') {
+        window.RingBuffer = RingBuffer;
+    }
+}
@@ -1,283 +1,459 @@
 /**
  * Stack Data Structure Implementation
  * LIFO (Last In, First Out) principle
+ *
+ * Implements the shared Collection contract (see Collection.js).
+ *
+ * Events (see EventEmitter.js): push, pop, clear, overflow, underflow,
+ * evict, resize, reverse and reject.
+ *
+ * An optional validator enforces a rule on every push, e.g. Tower of Hanoi's
+ * "never a larger disk on a smaller one": it receives the element and the
+ * current top and returns true to accept, or a reason string to reject.
  */
 
-class Stack {
-    constructor() {
-        this.items = [];
-        this.maxSize = 10; // Maximum size for visualization
-    }
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const EventEmitter = isCommonJS ? require('./EventEmitter.js') : window.EventEmitter;
+    const CostCounter = isCommonJS ? require('./CostCounter.js') : window.CostCounter;
+    const { assertOverflowPolicy, isValidElement } = isCommonJS ? require('./Collection.js') : window;
+    const {
+        OverflowError,
+        UnderflowError,
+        InvalidElementError,
+        RuleViolationError
+    } = isCommonJS ? require('./StructureError.js') : window;
 
-    /**
-     * Add an element to the top of the stack
-     * @param {*} element - Element to push
-     * @returns {boolean} - Success status
-     */
-    push(element) {
-        if (this.items.length >= this.maxSize) {
-            throw new Error('Stack overflow: Maximum size reached');
+    class Stack extends EventEmitter {
+        /**
+         * @param {Object} [options] - Stack options
+         * @param {boolean} [options.strict=true] - Throw on errors instead of returning a sentinel
+         * @param {string} [options.overflowPolicy='reject'] - reject, drop-oldest, drop-newest or grow
+         * @param {Function} [options.validator] - (element, top) => true, or a reason string to reject the push
+         */
+        constructor(options = {}) {
+            super();
+            this.items = [];
+            this.maxSize = 10; // Maximum size for visualization
+            this.strict = options.strict !== false;
+            this.overflowPolicy = assertOverflowPolicy(options.overflowPolicy || 'reject');
+            this.validator = options.validator || null;
+            this.cost = new CostCounter(this);
         }
-        
-        if (element === undefined || element === null || element === '') {
-            throw new Error('Invalid element: Cannot push empty value');
+
+        /**
+         * Change what happens when pushing onto a full stack
+         * @param {string} policy - reject, drop-oldest, drop-newest or grow
+         */
+        setOverflowPolicy(policy) {
+            this.overflowPolicy = assertOverflowPolicy(policy);
         }
-        
-        this.items.push(element);
-        return true;
-    }
 
-    /**
-     * Remove and return the top element from the stack
-     * @returns {*} - The popped element
-     */
-    pop() {
-        if (this.isEmpty()) {
-            throw new Error('Stack underflow: Cannot pop from empty stack');
+        /**
+         * Report elements removed by the overflow policy or a smaller maxSize
+         * @param {Array} values - Evicted elements
+         * @param {string} reason - 'overflow' or 'resize'
+         */
+        evict(values, reason) {
+            this.emit('evict', { values, reason, policy: this.overflowPolicy, size: this.size() });
         }
-        
-        return this.items.pop();
-    }
 
-    /**
-     * Return the top element without removing it
-     * @returns {*} - The top element
-     */
-    peek() {
-        if (this.isEmpty()) {
-            return null;
+        /**
+         * Throw the error in strict mode, otherwise return the sentinel
+         * @param {StructureError} error - Error describing the failure
+         * @param {*} sentinel - Value returned in lenient mode
+         * @returns {*} - The sentinel
+         */
+        fail(error, sentinel) {
+            if (this.strict) {
+                throw error;
+            }
+            return sentinel;
         }
-        
-        return this.items[this.items.length - 1];
-    }
 
-    /**
-     * Check if the stack is empty
-     * @returns {boolean} - True if empty
-     */
-    isEmpty() {
-        return this.items.length === 0;
-    }
+        /**
+         * Snapshot of the stack for error reports
+         * @param {string} operation - Operation that failed
+         * @param {*} [element] - Element involved, if any
+         * @returns {Object} - Error state
+         */
+        errorState(operation, element) {
+            return { structure: 'Stack', operation, size: this.size(), maxSize: this.maxSize, element };
+        }
 
-    /**
-     * Get the size of the stack
-     * @returns {number} - Number of elements
-     */
-    size() {
-        return this.items.length;
-    }
+        /**
+         * Ask the validator whether an element may go on top
+         * @param {*} element - Element about to be pushed
+         * @returns {string|null} - Reason the push breaks the rule, null if allowed
+         */
+        checkRule(element) {
+            if (!this.validator) {
+                return null;
+            }
 
-    /**
-     * Clear all elements from the stack
-     */
-    clear() {
-        this.items = [];
-    }
+            const verdict = this.validator(element, this.peek());
+            if (verdict === true) {
+                return null;
+            }
+            return typeof verdict === 'string' && verdict ? verdict : 'Rejected by validator';
+        }
 
-    /**
-     * Convert stack to array (bottom to top)
-     * @returns {Array} - Array representation
-     */
-    toArray() {
-        return [...this.items];
-    }
+        /**
+         * Add an element to the top of the stack
+         * @param {*} element - Element to push
+         * @returns {boolean} - Success status (false when rejected or dropped)
+         * @throws {InvalidElementError} - Empty value, in strict mode
+         * @throws {RuleViolationError} - The validator rejected the element, in strict mode
+         * @throws {OverflowError} - Stack is full under the 'reject' policy, in strict mode
+         */
+        push(element) {
+            if (!isValidElement(element)) {
+                return this.fail(new InvalidElementError(this.errorState('push', element)), false);
+            }
 
-    /**
-     * Get string representation of the stack
-     * @returns {string} - String representation
-     */
-    toString() {
-        return this.items.join(' <- ');
-    }
+            const reason = this.checkRule(element);
+            if (reason) {
+                this.emit('reject', { value: element, top: this.peek(), reason, size: this.size() });
+                return this.fail(new RuleViolationError({ ...this.errorState('push', element), reason }), false);
+            }
 
-    /**
-     * Check if stack contains an element
-     * @param {*} element - Element to search for
-     * @returns {boolean} - True if found
-     */
-    contains(element) {
-        return this.items.includes(element);
-    }
+            if (this.items.length >= this.maxSize) {
+                this.emit('overflow', {
+                    value: element,
+                    size: this.size(),
+                    maxSize: this.maxSize,
+                    policy: this.overflowPolicy
+                });
+
+                switch (this.overflowPolicy) {
+                    case 'drop-oldest':
+                        // splice(0, 1) removes the bottom and shifts every other item down
+                        this.cost.move(this.items.length);
+                        this.evict(this.items.splice(0, 1), 'overflow');
+                        break;
+                    case 'drop-newest':
+                        this.evict([element], 'overflow');
+                        return false;
+                    case 'grow': {
+                        const previousMaxSize = this.maxSize;
+                        this.maxSize *= 2;
+                        this.emit('resize', { maxSize: this.maxSize, previousMaxSize, removed: [], size: this.size() });
+                        break;
+                    }
+                    default:
+                        return this.fail(new OverflowError(this.errorState('push', element)), false);
+                }
+            }
 
-    /**
-     * Get element at specific index (0 = bottom, -1 = top)
-     * @param {number} index - Index position
-     * @returns {*} - Element at index
-     */
-    at(index) {
-        if (index < 0) {
-            return this.items[this.items.length + index];
+            this.items.push(element);
+            this.cost.move();
+            this.emit('push', { value: element, index: this.items.length - 1, size: this.size() });
+            return true;
         }
-        return this.items[index];
-    }
 
-    /**
-     * Get the maximum capacity of the stack
-     * @returns {number} - Maximum size
-     */
-    getMaxSize() {
-        return this.maxSize;
-    }
+        /**
+         * Remove and return the top element from the stack
+         * @returns {*} - The popped element (null in lenient mode when empty)
+         * @throws {UnderflowError} - Stack is empty, in strict mode
+         */
+        pop() {
+            if (this.isEmpty()) {
+                this.emit('underflow', { size: 0 });
+                return this.fail(new UnderflowError(this.errorState('pop')), null);
+            }
 
-    /**
-     * Set the maximum capacity of the stack
-     * @param {number} size - New maximum size
-     */
-    setMaxSize(size) {
-        if (size < 1) {
-            throw new Error('Invalid size: Maximum size must be at least 1');
+            const element = this.items.pop();
+            this.cost.move();
+            this.emit('pop', { value: element, index: this.items.length, size: this.size() });
+            return element;
         }
-        
-        this.maxSize = size;
-        
-        // Trim stack if it exceeds new max size
-        if (this.items.length > size) {
-            this.items = this.items.slice(-size);
+
+        /**
+         * Return the top element without removing it
+         * @returns {*} - The top element
+         */
+        peek() {
+            if (this.isEmpty()) {
+                return null;
+            }
+
+            return this.items[this.items.length - 1];
         }
-    }
 
-    /**
-     * Check if stack is full
-     * @returns {boolean} - True if full
-     */
-    isFull() {
-        return this.items.length >= this.maxSize;
-    }
+        /**
+         * Check if the stack is empty
+         * @returns {boolean} - True if empty
+         */
+        isEmpty() {
+            return this.items.length === 0;
+        }
 
-    /**
-     * Get remaining capacity
-     * @returns {number} - Number of elements that can still be added
-     */
-    getRemainingCapacity() {
-        return this.maxSize - this.items.length;
-    }
+        /**
+         * Get the size of the stack
+         * @returns {number} - Number of elements
+         */
+        size() {
+            return this.items.length;
+        }
 
-    /**
-     * Create a copy of the stack
-     * @returns {Stack} - New stack instance with same elements
-     */
-    clone() {
-        const newStack = new Stack();
-        newStack.maxSize = this.maxSize;
-        newStack.items = [...this.items];
-        return newStack;
-    }
+        /**
+         * Clear all elements from the stack
+         */
+        clear() {
+            const removed = this.items;
+            this.items = [];
+            this.emit('clear', { values: removed, size: 0 });
+        }
 
-    /**
-     * Reverse the order of elements in the stack
-     */
-    reverse() {
-        this.items.reverse();
-    }
+        /**
+         * Convert stack to array (bottom to top)
+         * @returns {Array} - Array representation
+         */
+        toArray() {
+            return [...this.items];
+        }
 
-    /**
-     * Search for an element and return its position from the top (0-based)
-     * @param {*} element - Element to search for
-     * @returns {number} - Position from top, -1 if not found
-     */
-    search(element) {
-        for (let i = this.items.length - 1; i >= 0; i--) {
-            if (this.items[i] === element) {
-                return this.items.length - 1 - i;
+        /**
+         * Get string representation of the stack
+         * @returns {string} - String representation
+         */
+        toString() {
+            return this.items.join(' <- ');
+        }
+
+        /**
+         * Check if stack contains an element
+         * @param {*} element - Element to search for
+         * @returns {boolean} - True if found
+         */
+        contains(element) {
+            // Same semantics as Array.prototype.includes (SameValueZero, so NaN matches)
+            for (const current of this.items) {
+                this.cost.compare();
+                if (current === element || (current !== current && element !== element)) {
+                    return true;
+                }
             }
+            return false;
         }
-        return -1;
-    }
 
-    /**
-     * Get stack statistics
-     * @returns {Object} - Statistics object
-     */
-    getStats() {
-        return {
-            size: this.size(),
-            maxSize: this.maxSize,
-            isEmpty: this.isEmpty(),
-            isFull: this.isFull(),
-            remainingCapacity: this.getRemainingCapacity(),
-            top: this.peek(),
-            bottom: this.items.length > 0 ? this.items[0] : null
-        };
-    }
+        /**
+         * Get element at specific index (0 = bottom, -1 = top)
+         * @param {number} index - Index position
+         * @returns {*} - Element at index
+         */
+        at(index) {
+            if (index < 0) {
+                return this.items[this.items.length + index];
+            }
+            return this.items[index];
+        }
 
-    /**
-     * Validate stack integrity
-     * @returns {boolean} - True if stack is valid
-     */
-    isValid() {
-        return Array.isArray(this.items) && 
-               this.items.length <= this.maxSize && 
-               this.maxSize > 0;
-    }
+        /**
+         * Get the maximum capacity of the stack
+         * @returns {number} - Maximum size
+         */
+        getMaxSize() {
+            return this.maxSize;
+        }
+
+        /**
+         * Set the maximum capacity of the stack
+         * @param {number} size - New maximum size
+         * @returns {Array} - Bottom elements removed to fit the new size
+         */
+        setMaxSize(size) {
+            if (!Number.isInteger(size) || size < 1) {
+                throw new Error('Invalid size: Maximum size must be an integer of at least 1');
+            }
+
+            const previousMaxSize = this.maxSize;
+            this.maxSize = size;
 
-    /**
-     * Iterator to make stack iterable (from top to bottom)
-     */
-    *[Symbol.iterator]() {
-        for (let i = this.items.length - 1; i >= 0; i--) {
-            yield this.items[i];
+            // Trim stack if it exceeds new max size
+            let removed = [];
+            if (this.items.length > size) {
+                removed = this.items.slice(0, this.items.length - size);
+                this.items = this.items.slice(-size);
+                this.evict(removed, 'resize');
+            }
+
+            this.emit('resize', { maxSize: size, previousMaxSize, removed, size: this.size() });
+            return removed;
         }
-    }
 
-    /**
-     * Convert to JSON representation
-     * @returns {Object} - JSON object
-     */
-    toJSON() {
-        return {
-            type: 'Stack',
-            items: this.items,
-            maxSize: this.maxSize,
-            size: this.size(),
-            top: this.peek()
-        };
-    }
+        /**
+         * Check if stack is full
+         * @returns {boolean} - True if full
+         */
+        isFull() {
+            return this.items.length >= this.maxSize;
+        }
 
-    /**
-     * Create Stack from JSON representation
-     * @param {Object} json - JSON object
-     * @returns {Stack} - New Stack instance
-     */
-    static fromJSON(json) {
-        if (!json || json.type !== 'Stack') {
-            throw new Error('Invalid JSON: Not a Stack representation');
+        /**
+         * Get remaining capacity
+         * @returns {number} - Number of elements that can still be added
+         */
+        getRemainingCapacity() {
+            return this.maxSize - this.items.length;
+        }
+
+        /**
+         * Create a copy of the stack
+         * @returns {Stack} - New stack instance with same elements
+         */
+        clone() {
+            const newStack = new Stack({
+                strict: this.strict,
+                overflowPolicy: this.overflowPolicy,
+                validator: this.validator
+            });
+            newStack.maxSize = this.maxSize;
+            newStack.items = [...this.items];
+            this.cost.move(this.items.length);
+            return newStack;
         }
-        
-        const stack = new Stack();
-        stack.maxSize = json.maxSize || 10;
-        stack.items = json.items || [];
-        
-        return stack;
-    }
 
-    /**
-     * Merge two stacks (other stack's elements go on top)
-     * @param {Stack} other - Another stack to merge
-     * @returns {Stack} - New merged stack
-     */
-    merge(other) {
-        if (!(other instanceof Stack)) {
-            throw new Error('Invalid parameter: Expected Stack instance');
+        /**
+         * Reverse the order of elements in the stack
+         */
+        reverse() {
+            this.items.reverse();
+            this.cost.move(2 * Math.floor(this.items.length / 2)); // Each swap moves two items
+            this.emit('reverse', { size: this.size() });
         }
-        
-        const merged = this.clone();
-        const otherArray = other.toArray();
-        
-        for (const item of otherArray) {
-            if (!merged.isFull()) {
-                merged.push(item);
-            } else {
-                break;
+
+        /**
+         * Search for an element and return its position from the top (0-based)
+         * @param {*} element - Element to search for
+         * @returns {number} - Position from top, -1 if not found
+         */
+        search(element) {
+            for (let i = this.items.length - 1; i >= 0; i--) {
+                this.cost.compare();
+                if (this.items[i] === element) {
+                    return this.items.length - 1 - i;
+                }
             }
+            return -1;
+        }
+
+        /**
+         * Get stack statistics
+         * @returns {Object} - Statistics object
+         */
+        getStats() {
+            return {
+                size: this.size(),
+                maxSize: this.maxSize,
+                isEmpty: this.isEmpty(),
+                isFull: this.isFull(),
+                remainingCapacity: this.getRemainingCapacity(),
+                top: this.peek(),
+                bottom: this.items.length > 0 ? this.items[0] : null
+            };
+        }
+
+        /**
+         * Validate stack integrity
+         * @returns {boolean} - True if stack is valid
+         */
+        isValid() {
+            return Array.isArray(this.items) && 
+                   this.items.length <= this.maxSize && 
+                   this.maxSize > 0;
+        }
+
+        /**
+         * Iterator to make stack iterable (from top to bottom)
+         */
+        *[Symbol.iterator]() {
+            for (let i = this.items.length - 1; i >= 0; i--) {
+                yield this.items[i];
+            }
+        }
+
+        /**
+         * Convert to JSON representation
+         * @returns {Object} - JSON object
+         */
+        toJSON() {
+            return {
+                type: 'Stack',
+                items: [...this.items], // Copy, so the snapshot does not change with the stack
+                maxSize: this.maxSize,
+                overflowPolicy: this.overflowPolicy,
+                size: this.size(),
+                top: this.peek()
+            };
+        }
+
+        /**
+         * Create Stack from JSON representation.
+         * Items are pushed bottom to top, so they pass the same checks as any push.
+         * @param {Object} json - JSON object
+         * @param {Object} [options] - Options that are not serialized
+         * @param {Function} [options.validator] - Push validator for the new stack
+         * @returns {Stack} - New Stack instance
+         * @throws {StructureError} - An item is empty, breaks the validator or does not fit
+         */
+        static fromJSON(json, { validator } = {}) {
+            if (!json || json.type !== 'Stack') {
+                throw new Error('Invalid JSON: Not a Stack representation');
+            }
+
+            const stack = new Stack({ overflowPolicy: json.overflowPolicy, validator });
+            stack.maxSize = json.maxSize || 10;
+            (json.items || []).forEach(item => stack.push(item));
+
+            return stack;
+        }
+
+        /**
+         * Merge two stacks (other stack's elements go on top)
+         * @param {Stack} other - Another stack to merge
+         * @returns {Stack} - New merged stack
+         */
+        merge(other) {
+            if (!(other instanceof Stack)) {
+                throw new Error('Invalid parameter: Expected Stack instance');
+            }
+
+            const merged = this.clone();
+            const otherArray = other.toArray();
+
+            for (const item of otherArray) {
+                if (!merged.isFull()) {
+                    merged.push(item);
+                    this.cost.move();
+                } else {
+                    break;
+                }
+            }
+
+            return merged;
         }
-        
-        return merged;
     }
-}
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Stack;
-} else if (typeof window !== 'undefined') {
-    window.Stack = Stack;
+    // Theoretical cost of each measured operation (see CostCounter.js)
+    Stack.COMPLEXITY = {
+        push: 'O(1)',
+        pop: 'O(1)',
+        clear: 'O(1)',
+        search: 'O(n)',
+        contains: 'O(n)',
+        clone: 'O(n)',
+        reverse: 'O(n)',
+        merge: 'O(n + m)'
+    };
+    CostCounter.instrument(Stack, Object.keys(Stack.COMPLEXITY));
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Stack;
+    } else if (typeof window !== 'undefined') {
+        window.Stack = Stack;
+    }
 }
\ No newline at end of file
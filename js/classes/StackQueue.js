@@ -0,0 +1,236 @@
+/**
+ * Queue built from two Stacks
+ * FIFO - First In, First Out, using only push and pop
+ *
+ * New elements are pushed onto `inbox`. Dequeue pops from `outbox`; when
+ * outbox is empty, every element of inbox is popped and pushed onto it first,
+ * which reverses their order so the oldest ends up on top. Each element is
+ * transferred at most once, so a dequeue that transfers n elements costs O(n)
+ * but any sequence of operations costs O(1) amortised per operation.
+ *
+ * Events (see EventEmitter.js): enqueue, dequeue, transfer, clear, overflow
+ * and underflow. The two stacks emit their own push, pop and clear events.
+ */
+
+// Dependencies are globals from earlier <script> tags in the browser and require()d under
+// CommonJS; the block keeps these bindings, and the class, out of the shared global scope
+{
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const EventEmitter = isCommonJS ? require('./EventEmitter.js') : window.EventEmitter;
+    const CostCounter = isCommonJS ? require('./CostCounter.js') : window.CostCounter;
+    const Stack = isCommonJS ? require('./Stack.js') : window.Stack;
+    const { isValidElement } = isCommonJS ? require('./Collection.js') : window;
+    const {
+        OverflowError,
+        UnderflowError,
+        InvalidElementError
+    } = isCommonJS ? require('./StructureError.js') : window;
+
+    class StackQueue extends EventEmitter {
+        /**
+         * @param {Object} [options] - Queue options
+         * @param {boolean} [options.strict=true] - Throw on errors instead of returning a sentinel
+         * @param {number} [options.maxSize=10] - Maximum number of elements across both stacks
+         */
+        constructor(options = {}) {
+            super();
+            this.strict = options.strict !== false;
+            this.maxSize = options.maxSize || 10;
+            this.cost = new CostCounter(this);
+
+            // The limit is enforced here, so neither stack may reject on its own
+            this.inbox = new Stack({ overflowPolicy: 'grow' });
+            this.outbox = new Stack({ overflowPolicy: 'grow' });
+        }
+
+        /**
+         * Throw the error in strict mode, otherwise return the sentinel
+         * @param {StructureError} error - Error describing the failure
+         * @param {*} sentinel - Value returned in lenient mode
+         * @returns {*} - The sentinel
+         */
+        fail(error, sentinel) {
+            if (this.strict) {
+                throw error;
+            }
+            return sentinel;
+        }
+
+        /**
+         * Snapshot of the queue for error reports
+         * @param {string} operation - Operation that failed
+         * @param {*} [element] - Element involved, if any
+         * @returns {Object} - Error state
+         */
+        errorState(operation, element) {
+            return { structure: 'StackQueue', operation, size: this.size(), maxSize: this.maxSize, element };
+        }
+
+        /**
+         * Add element to rear of queue: one push onto inbox
+         * @param {*} item - Element to add
+         * @returns {boolean} - Success status (false when rejected in lenient mode)
+         * @throws {InvalidElementError} - Empty value, in strict mode
+         * @throws {OverflowError} - Queue is full, in strict mode
+         */
+        enqueue(item) {
+            if (!isValidElement(item)) {
+                return this.fail(new InvalidElementError(this.errorState('enqueue', item)), false);
+            }
+
+            if (this.isFull()) {
+                this.emit('overflow', { value: item, size: this.size(), maxSize: this.maxSize });
+                return this.fail(new OverflowError(this.errorState('enqueue', item)), false);
+            }
+
+            this.inbox.push(item);
+            this.cost.move();
+            this.emit('enqueue', { value: item, size: this.size() });
+            return true;
+        }
+
+        /**
+         * Remove and return front element, refilling outbox first when it is empty
+         * @returns {*} - Front element (null in lenient mode when empty)
+         * @throws {UnderflowError} - Queue is empty, in strict mode
+         */
+        dequeue() {
+            if (this.isEmpty()) {
+                this.emit('underflow', { size: 0 });
+                return this.fail(new UnderflowError(this.errorState('dequeue')), null);
+            }
+
+            if (this.outbox.isEmpty()) {
+                this.transfer();
+            }
+
+            const item = this.outbox.pop();
+            this.cost.move();
+            this.emit('dequeue', { value: item, size: this.size() });
+            return item;
+        }
+
+        /**
+         * Return front element without removing it. Like dequeue, this refills
+         * outbox when it is empty: the front is only reachable from its top.
+         * @returns {*} - Front element or null if empty
+         */
+        front() {
+            if (this.isEmpty()) {
+                return null;
+            }
+
+            if (this.outbox.isEmpty()) {
+                this.transfer();
+            }
+            return this.outbox.peek();
+        }
+
+        /**
+         * Pop every element of inbox and push it onto outbox
+         * @returns {number} - Number of elements transferred
+         */
+        transfer() {
+            const values = [];
+            while (!this.inbox.isEmpty()) {
+                const item = this.inbox.pop();
+                this.outbox.push(item);
+                values.push(item);
+            }
+
+            this.cost.move(2 * values.length); // One pop and one push each
+            this.emit('transfer', { values, from: 'inbox', to: 'outbox', size: this.size() });
+            return values.length;
+        }
+
+        /**
+         * Check if queue is empty
+         * @returns {boolean} - True if empty
+         */
+        isEmpty() {
+            return this.size() === 0;
+        }
+
+        /**
+         * Get number of elements in queue
+         * @returns {number} - Elements in both stacks
+         */
+        size() {
+            return this.inbox.size() + this.outbox.size();
+        }
+
+        /**
+         * Check if queue is full
+         * @returns {boolean} - True if full
+         */
+        isFull() {
+            return this.size() >= this.maxSize;
+        }
+
+        /**
+         * Get the maximum capacity of the queue
+         * @returns {number} - Maximum size
+         */
+        getMaxSize() {
+            return this.maxSize;
+        }
+
+        /**
+         * Remove all elements from both stacks
+         */
+        clear() {
+            const removed = this.toArray();
+            this.inbox.clear();
+            this.outbox.clear();
+            this.emit('clear', { values: removed, size: 0 });
+        }
+
+        /**
+         * Get array copy of queue items without transferring
+         * @returns {Array} - Queue items, front first
+         */
+        toArray() {
+            // outbox is popped top first; inbox holds the newer elements, oldest at the bottom
+            return [...this.outbox.toArray().reverse(), ...this.inbox.toArray()];
+        }
+
+        /**
+         * Iterator to make the queue iterable (from front to rear)
+         */
+        *[Symbol.iterator]() {
+            yield* this.toArray();
+        }
+
+        /**
+         * Get queue statistics
+         * @returns {Object} - Statistics object
+         */
+        getStats() {
+            return {
+                size: this.size(),
+                maxSize: this.maxSize,
+                isEmpty: this.isEmpty(),
+                isFull: this.isFull(),
+                inbox: this.inbox.size(),
+                outbox: this.outbox.size()
+            };
+        }
+    }
+
+    // Theoretical cost of each measured operation (see CostCounter.js).
+    // dequeue and front are amortised: each element is transferred at most once.
+    StackQueue.COMPLEXITY = {
+        enqueue: 'O(1)',
+        dequeue: 'O(1) amortised',
+        front: 'O(1) amortised',
+        clear: 'O(1)'
+    };
+    CostCounter.instrument(StackQueue, Object.keys(StackQueue.COMPLEXITY));
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = StackQueue;
+    } else if (typeof window !== 'undefined') {
+        window.StackQueue = StackQueue;
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Typed errors shared by the data structure classes
+ *
+ * Every error carries a machine-readable `code` and a `state` snapshot of the
+ * structure when it failed, e.g.
+ * { structure: 'Stack', operation: 'push', size: 10, maxSize: 10, element: 'A' }.
+ */
+
+class StructureError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {string} code - Machine readable error code
+     * @param {Object} state - Snapshot of the structure when the error occurred
+     */
+    constructor(message, code, state = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.state = state;
+    }
+}
+
+/**
+ * Thrown when adding to a structure that has reached its maximum size
+ */
+class OverflowError extends StructureError {
+    constructor(state = {}) {
+        super(
+            `${state.structure} overflow: Maximum size of ${state.maxSize} reached`,
+            OverflowError.CODE,
+            state
+        );
+    }
+}
+
+/**
+ * Thrown when removing from an empty structure
+ */
+class UnderflowError extends StructureError {
+    constructor(state = {}) {
+        super(
+            `${state.structure} underflow: Cannot ${state.operation} from empty ${String(state.structure).toLowerCase()}`,
+            UnderflowError.CODE,
+            state
+        );
+    }
+}
+
+/**
+ * Thrown when adding a value the structure does not accept (undefined, null, '')
+ */
+class InvalidElementError extends StructureError {
+    constructor(state = {}) {
+        super(
+            `Invalid element: Cannot ${state.operation} empty value`,
+            InvalidElementError.CODE,
+            state
+        );
+    }
+}
+
+/**
+ * Thrown when a validator rejects an element (see Stack options.validator)
+ */
+class RuleViolationError extends StructureError {
+    constructor(state = {}) {
+        super(
+            `Rule violation: Cannot ${state.operation} ${state.element} (${state.reason})`,
+            RuleViolationError.CODE,
+            state
+        );
+    }
+}
+
+/**
+ * Thrown when using a structure that has been closed (see AsyncQueue.close())
+ */
+class ClosedError extends StructureError {
+    constructor(state = {}) {
+        super(
+            `${state.structure} closed: Cannot ${state.operation} after close()`,
+            ClosedError.CODE,
+            state
+        );
+    }
+}
+
+/**
+ * Thrown when a waiting operation does not complete in time
+ */
+class TimeoutError extends StructureError {
+    constructor(state = {}) {
+        super(
+            `${state.structure} timeout: ${state.operation} did not complete within ${state.timeout}ms`,
+            TimeoutError.CODE,
+            state
+        );
+    }
+}
+
+OverflowError.CODE = 'E_OVERFLOW';
+UnderflowError.CODE = 'E_UNDERFLOW';
+InvalidElementError.CODE = 'E_INVALID_ELEMENT';
+RuleViolationError.CODE = 'E_RULE_VIOLATION';
+ClosedError.CODE = 'E_CLOSED';
+TimeoutError.CODE = 'E_TIMEOUT';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StructureError,
+        OverflowError,
+        UnderflowError,
+        InvalidElementError,
+        RuleViolationError,
+        ClosedError,
+        TimeoutError
+    };
+} else if (typeof window !== 'undefined') {
+    window.StructureError = StructureError;
+    window.OverflowError = OverflowError;
+    window.UnderflowError = UnderflowError;
+    window.InvalidElementError = InvalidElementError;
+    window.RuleViolationError = RuleViolationError;
+    window.ClosedError = ClosedError;
+    window.TimeoutError = TimeoutError;
+}
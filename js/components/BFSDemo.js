@@ -0,0 +1,400 @@
+/**
+ * BFS Demo Component
+ * Breadth-first search on a grid, driven by the Queue class
+ *
+ * The start cell is enqueued first; each step dequeues the front cell and
+ * enqueues its unvisited open neighbours, remembering where each one came
+ * from. Because cells leave the queue in order of distance, the first time
+ * the goal is reached the parent links trace a shortest path.
+ */
+
+class BFSDemo {
+    constructor() {
+        this.grid = document.getElementById('bfsGrid');
+        this.queueView = document.getElementById('bfsQueueView');
+        this.toolSelect = document.getElementById('bfsToolSelect');
+        this.speedInput = document.getElementById('bfsSpeed');
+        this.resultDisplay = document.getElementById('bfsResult');
+        this.visitedDisplay = document.getElementById('bfsVisited');
+        this.queueSizeDisplay = document.getElementById('bfsQueueSize');
+
+        this.runBtn = document.getElementById('bfsRunBtn');
+        this.pauseBtn = document.getElementById('bfsPauseBtn');
+        this.stepBtn = document.getElementById('bfsStepBtn');
+        this.resetSearchBtn = document.getElementById('bfsResetSearchBtn');
+        this.clearWallsBtn = document.getElementById('bfsClearWallsBtn');
+
+        this.rows = BFSDemo.ROWS;
+        this.cols = BFSDemo.COLS;
+        this.walls = new Set();
+        this.timer = null;
+        this.isPainting = false;
+
+        this.buildGrid();
+        this.initializeEventListeners();
+        this.reset();
+    }
+
+    /**
+     * Key used for a cell in sets and maps
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {string} - "row,col"
+     */
+    key(row, col) {
+        return `${row},${col}`;
+    }
+
+    /**
+     * Create one element per grid cell
+     */
+    buildGrid() {
+        if (!this.grid) return;
+
+        this.grid.innerHTML = '';
+        this.grid.style.gridTemplateColumns = `repeat(${this.cols}, 1fr)`;
+        this.cells = new Map();
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const cell = document.createElement('div');
+                cell.className = 'bfs-cell';
+                cell.dataset.row = row;
+                cell.dataset.col = col;
+                cell.title = `(${row}, ${col})`;
+                this.grid.appendChild(cell);
+                this.cells.set(this.key(row, col), cell);
+            }
+        }
+    }
+
+    /**
+     * Initialize event listeners for the grid and controls
+     */
+    initializeEventListeners() {
+        this.runBtn?.addEventListener('click', () => this.run());
+        this.pauseBtn?.addEventListener('click', () => this.pause());
+        this.stepBtn?.addEventListener('click', () => this.step());
+        this.resetSearchBtn?.addEventListener('click', () => this.resetSearch());
+        this.clearWallsBtn?.addEventListener('click', () => {
+            this.walls.clear();
+            this.resetSearch();
+        });
+
+        // Click or drag to paint with the selected tool
+        this.grid?.addEventListener('mousedown', (e) => {
+            const cell = e.target.closest('.bfs-cell');
+            if (!cell) return;
+            e.preventDefault();
+            this.isPainting = true;
+            this.applyTool(Number(cell.dataset.row), Number(cell.dataset.col));
+        });
+
+        this.grid?.addEventListener('mouseover', (e) => {
+            const cell = e.target.closest('.bfs-cell');
+            if (this.isPainting && cell) {
+                this.applyTool(Number(cell.dataset.row), Number(cell.dataset.col));
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            this.isPainting = false;
+        });
+    }
+
+    /**
+     * Apply the selected tool to a cell; any edit restarts the search
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    applyTool(row, col) {
+        const key = this.key(row, col);
+        const tool = this.toolSelect?.value || 'wall';
+        const isEndpoint = key === this.key(...this.start) || key === this.key(...this.goal);
+
+        switch (tool) {
+            case 'start':
+                if (key !== this.key(...this.goal)) {
+                    this.start = [row, col];
+                    this.walls.delete(key);
+                }
+                break;
+            case 'goal':
+                if (key !== this.key(...this.start)) {
+                    this.goal = [row, col];
+                    this.walls.delete(key);
+                }
+                break;
+            case 'erase':
+                this.walls.delete(key);
+                break;
+            default:
+                if (!isEndpoint) {
+                    this.walls.add(key);
+                }
+        }
+
+        this.resetSearch();
+    }
+
+    /**
+     * Put start and goal back in their default places and clear everything else
+     */
+    reset() {
+        this.walls.clear();
+        this.start = [Math.floor(this.rows / 2), 1];
+        this.goal = [Math.floor(this.rows / 2), this.cols - 2];
+        this.resetSearch();
+    }
+
+    /**
+     * Forget the current search but keep start, goal and walls
+     */
+    resetSearch() {
+        this.pause();
+
+        this.queue = new Queue();
+        this.queue.setMaxSize(this.rows * this.cols); // Every cell is enqueued at most once
+        this.queue.on('*', () => this.renderQueue());
+
+        this.visited = new Set([this.key(...this.start)]);
+        this.parent = new Map();
+        this.current = null;
+        this.path = [];
+        this.finished = false;
+        this.found = false;
+
+        this.queue.enqueue(this.start);
+
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent = '';
+            this.resultDisplay.className = 'result';
+            this.resultDisplay.hidden = true;
+        }
+
+        this.renderGrid();
+        this.renderQueue();
+    }
+
+    /**
+     * Open neighbours of a cell (up, right, down, left)
+     * @param {number[]} cell - [row, col]
+     * @returns {number[][]} - Neighbour cells inside the grid and not walls
+     */
+    neighbours([row, col]) {
+        return [[row - 1, col], [row, col + 1], [row + 1, col], [row, col - 1]]
+            .filter(([r, c]) => r >= 0 && r < this.rows && c >= 0 && c < this.cols)
+            .filter(([r, c]) => !this.walls.has(this.key(r, c)));
+    }
+
+    /**
+     * Run one BFS step: dequeue a cell and enqueue its unvisited neighbours
+     * @returns {boolean} - True while the search can continue
+     */
+    step() {
+        if (this.finished) {
+            this.pause();
+            return false;
+        }
+
+        if (this.queue.isEmpty()) {
+            this.finish(false);
+            return false;
+        }
+
+        this.current = this.queue.dequeue();
+
+        if (this.key(...this.current) === this.key(...this.goal)) {
+            this.finish(true);
+            return false;
+        }
+
+        this.neighbours(this.current).forEach(next => {
+            const key = this.key(...next);
+            if (!this.visited.has(key)) {
+                this.visited.add(key);
+                this.parent.set(key, this.current);
+                this.queue.enqueue(next);
+            }
+        });
+
+        this.renderGrid();
+        return true;
+    }
+
+    /**
+     * Keep stepping at the selected speed until the search ends or is paused
+     */
+    run() {
+        if (this.timer || this.finished) return;
+
+        const tick = () => {
+            this.timer = this.step() ? setTimeout(tick, this.getDelay()) : null;
+            this.updateButtons();
+        };
+
+        this.timer = setTimeout(tick, 0);
+        this.updateButtons();
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateButtons();
+    }
+
+    /**
+     * Delay between steps from the speed slider (right = faster)
+     * @returns {number} - Milliseconds
+     */
+    getDelay() {
+        const speed = Number(this.speedInput?.value ?? 5); // 1..10
+        return (11 - speed) * 50;
+    }
+
+    /**
+     * End the search and trace the path back through the parent links
+     * @param {boolean} found - Whether the goal was reached
+     */
+    finish(found) {
+        this.finished = true;
+        this.found = found;
+        this.path = [];
+
+        if (found) {
+            for (let cell = this.goal; cell; cell = this.parent.get(this.key(...cell))) {
+                this.path.unshift(cell);
+            }
+        }
+
+        this.renderGrid();
+        this.pause();
+
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent = found
+                ? `Đường đi ngắn nhất: ${this.path.length - 1} bước, đã thăm ${this.visited.size} ô`
+                : `Không có đường đi tới đích (đã thăm ${this.visited.size} ô)`;
+            this.resultDisplay.className = `result ${found ? 'success' : 'error'}`;
+            this.resultDisplay.hidden = false;
+        }
+    }
+
+    /**
+     * Colour every cell from the search state
+     */
+    renderGrid() {
+        if (!this.cells) return;
+
+        const frontier = new Set(this.queue.toArray().map(cell => this.key(...cell)));
+        const path = new Set(this.path.map(cell => this.key(...cell)));
+        const current = this.current ? this.key(...this.current) : null;
+
+        this.cells.forEach((element, key) => {
+            let state = '';
+            if (key === this.key(...this.start)) state = 'start';
+            else if (key === this.key(...this.goal)) state = 'goal';
+            else if (this.walls.has(key)) state = 'wall';
+            else if (path.has(key)) state = 'path';
+            else if (key === current) state = 'current';
+            else if (frontier.has(key)) state = 'frontier';
+            else if (this.visited.has(key)) state = 'visited';
+
+            element.className = `bfs-cell${state ? ` ${state}` : ''}`;
+        });
+
+        if (this.visitedDisplay) {
+            this.visitedDisplay.textContent = this.visited.size;
+        }
+    }
+
+    /**
+     * Draw the live queue contents the way QueueDemo does, front on the left
+     */
+    renderQueue() {
+        if (this.queueSizeDisplay) {
+            this.queueSizeDisplay.textContent = this.queue.size();
+        }
+        if (!this.queueView) return;
+
+        const items = this.queue.toArray();
+        if (items.length === 0) {
+            this.queueView.innerHTML = `
+                <div class="empty-state">
+                    <p>Queue trống</p>
+                </div>
+            `;
+            return;
+        }
+
+        const renderItem = ([row, col], isFront, isRear) => `
+            <div class="queue-item ${isFront ? 'front-item' : ''} ${isRear ? 'rear-item' : ''}">
+                <span class="item-value">(${row},${col})</span>
+                ${isFront ? '<div class="item-label">Front</div>' : ''}
+                ${isRear ? '<div class="item-label">Rear</div>' : ''}
+            </div>
+        `;
+
+        if (items.length <= BFSDemo.QUEUE_PREVIEW) {
+            this.queueView.innerHTML = items
+                .map((cell, index) => renderItem(cell, index === 0, index === items.length - 1))
+                .join('');
+            return;
+        }
+
+        // Long frontiers are cut in the middle so the rear stays visible; the count still shows the full size
+        const head = items.slice(0, BFSDemo.QUEUE_PREVIEW - 1);
+        this.queueView.innerHTML = head.map((cell, index) => renderItem(cell, index === 0, false)).join('') +
+            `<div class="queue-more">+${items.length - BFSDemo.QUEUE_PREVIEW}</div>` +
+            renderItem(items[items.length - 1], false, true);
+    }
+
+    /**
+     * Enable/disable playback buttons
+     */
+    updateButtons() {
+        const playing = this.timer !== null;
+
+        if (this.runBtn) {
+            this.runBtn.disabled = playing || this.finished;
+        }
+        if (this.pauseBtn) {
+            this.pauseBtn.disabled = !playing;
+        }
+        if (this.stepBtn) {
+            this.stepBtn.disabled = playing || this.finished;
+        }
+    }
+
+    /**
+     * Get current search state for debugging
+     */
+    getState() {
+        return {
+            start: this.start,
+            goal: this.goal,
+            walls: [...this.walls],
+            queue: this.queue.toArray(),
+            visited: this.visited.size,
+            finished: this.finished,
+            found: this.found,
+            path: this.path
+        };
+    }
+}
+
+// Grid size
+BFSDemo.ROWS = 10;
+BFSDemo.COLS = 16;
+
+// Queue items drawn in total; the front ones and the rear stay, the middle is summarised as "+N"
+BFSDemo.QUEUE_PREVIEW = 8;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('bfsGrid')) {
+        window.bfsDemo = new BFSDemo();
+    }
+});
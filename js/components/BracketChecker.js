@@ -0,0 +1,402 @@
+/**
+ * Bracket Checker Component
+ * Checks bracket balance with a Stack and replays every push and pop
+ *
+ * Openers are pushed as { char, index }; a closer pops the top and must match
+ * it. The first failure is one of: a closer with an empty stack, a closer that
+ * does not match the top, or openers left over when the text ends.
+ */
+
+class BracketChecker {
+    constructor() {
+        this.input = document.getElementById('bracketInput');
+        this.pairsInput = document.getElementById('bracketPairsInput');
+        this.textView = document.getElementById('bracketTextView');
+        this.stackView = document.getElementById('bracketStackView');
+        this.stepInfo = document.getElementById('bracketStepInfo');
+        this.resultDisplay = document.getElementById('bracketResult');
+
+        this.checkBtn = document.getElementById('bracketCheckBtn');
+        this.playBtn = document.getElementById('bracketPlayBtn');
+        this.pauseBtn = document.getElementById('bracketPauseBtn');
+        this.stepBtn = document.getElementById('bracketStepBtn');
+
+        this.analysis = null; // Result of check() for the current text
+        this.stepIndex = -1; // Last step shown, -1 before the first
+        this.timer = null;
+        this.stepDelay = 600;
+
+        this.initializeEventListeners();
+        this.clearResult();
+    }
+
+    /**
+     * Initialize event listeners for checker controls
+     */
+    initializeEventListeners() {
+        this.checkBtn?.addEventListener('click', () => this.runToEnd());
+        this.playBtn?.addEventListener('click', () => this.play());
+        this.pauseBtn?.addEventListener('click', () => this.pause());
+        this.stepBtn?.addEventListener('click', () => this.step());
+
+        // Any edit invalidates the recorded steps
+        [this.input, this.pairsInput].forEach(field => {
+            field?.addEventListener('input', () => this.clearResult());
+        });
+    }
+
+    /**
+     * Parse a pair list such as "() [] {} <>" into opener -> closer
+     * @param {string} source - Whitespace-separated two-character pairs
+     * @returns {Map} - Opener to closer
+     * @throws {Error} - When a pair is malformed or a character is reused
+     */
+    static parsePairs(source) {
+        const pairs = new Map();
+        const used = new Set();
+
+        for (const token of source.trim().split(/\s+/).filter(Boolean)) {
+            const chars = Array.from(token);
+            if (chars.length !== 2 || chars[0] === chars[1]) {
+                throw new Error(`Invalid pair: "${token}" must be two different characters`);
+            }
+            if (used.has(chars[0]) || used.has(chars[1])) {
+                throw new Error(`Invalid pair: "${token}" reuses a character`);
+            }
+            chars.forEach(char => used.add(char));
+            pairs.set(chars[0], chars[1]);
+        }
+
+        if (pairs.size === 0) {
+            throw new Error('Invalid pairs: Expected at least one pair');
+        }
+        return pairs;
+    }
+
+    /**
+     * Check text for balanced brackets, recording each stack operation
+     * @param {string} text - Text to check
+     * @param {Map} [pairs] - Opener to closer, defaults to (), [], {} and <>
+     * @returns {Object} - { balanced, error, steps }
+     */
+    static check(text, pairs = BracketChecker.parsePairs(BracketChecker.DEFAULT_PAIRS)) {
+        const closers = new Map([...pairs].map(([open, close]) => [close, open]));
+        const chars = Array.from(text);
+        const steps = [];
+
+        const stack = new Stack({ overflowPolicy: 'grow' });
+        stack.on('push', ({ value }) => steps.push({
+            action: 'push',
+            index: value.index,
+            char: value.char,
+            stack: stack.toArray(),
+            message: `'${value.char}' là dấu mở → push`
+        }));
+        stack.on('pop', ({ value }) => {
+            const last = steps[steps.length - 1];
+            last.stack = stack.toArray();
+            last.matchedIndex = value.index;
+        });
+
+        let error = null;
+
+        for (let index = 0; index < chars.length && !error; index++) {
+            const char = chars[index];
+
+            if (pairs.has(char)) {
+                stack.push({ char, index });
+            } else if (closers.has(char)) {
+                const expectedOpen = closers.get(char);
+
+                if (stack.isEmpty()) {
+                    error = { kind: 'unexpected', index, char };
+                    steps.push({ action: 'error', index, char, stack: [], message: `'${char}' không có dấu mở tương ứng` });
+                } else if (stack.peek().char !== expectedOpen) {
+                    const top = stack.peek();
+                    error = { kind: 'mismatch', index, char, expected: pairs.get(top.char), openIndex: top.index };
+                    steps.push({
+                        action: 'error',
+                        index,
+                        char,
+                        stack: stack.toArray(),
+                        message: `'${char}' không khớp với '${top.char}' ở đỉnh stack (cần '${pairs.get(top.char)}')`
+                    });
+                } else {
+                    // Record first, the pop listener fills in the stack after the pop
+                    steps.push({ action: 'pop', index, char, message: `'${char}' khớp với '${expectedOpen}' → pop` });
+                    stack.pop();
+                }
+            }
+        }
+
+        if (!error && !stack.isEmpty()) {
+            const top = stack.peek();
+            error = { kind: 'unclosed', index: top.index, char: top.char, expected: pairs.get(top.char) };
+            steps.push({
+                action: 'error',
+                index: top.index,
+                char: top.char,
+                stack: stack.toArray(),
+                message: `Hết chuỗi nhưng stack còn ${stack.size()} dấu mở`
+            });
+        }
+
+        return { balanced: !error, error, steps };
+    }
+
+    /**
+     * Analyze the current input if it has not been analyzed yet
+     * @returns {boolean} - False when the pair list is invalid
+     */
+    prepare() {
+        if (this.analysis) return true;
+
+        let pairs;
+        try {
+            pairs = BracketChecker.parsePairs(this.pairsInput?.value || BracketChecker.DEFAULT_PAIRS);
+        } catch (error) {
+            window.notifications?.validationError?.('Cặp dấu', error.message);
+            return false;
+        }
+
+        this.chars = Array.from(this.input?.value ?? '');
+        this.analysis = BracketChecker.check(this.input?.value ?? '', pairs);
+        this.stepIndex = -1;
+        this.renderText();
+        return true;
+    }
+
+    /**
+     * Show the next step
+     * @returns {boolean} - True if a step was shown, false at the end
+     */
+    step() {
+        if (!this.prepare()) return false;
+
+        if (this.stepIndex >= this.analysis.steps.length - 1) {
+            this.showResult();
+            this.pause();
+            return false;
+        }
+
+        this.stepIndex++;
+        this.renderStep();
+        if (this.stepIndex === this.analysis.steps.length - 1) {
+            this.showResult();
+        }
+        this.updateButtons();
+        return true;
+    }
+
+    /**
+     * Step automatically until the end or until paused
+     */
+    play() {
+        if (!this.prepare() || this.timer) return;
+
+        const tick = () => {
+            if (this.step()) {
+                this.timer = setTimeout(tick, this.stepDelay);
+            } else {
+                this.timer = null;
+            }
+        };
+
+        this.timer = setTimeout(tick, 0);
+        this.updateButtons();
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateButtons();
+    }
+
+    /**
+     * Jump straight to the final state and result
+     */
+    runToEnd() {
+        this.pause();
+        if (!this.prepare()) return;
+
+        this.stepIndex = this.analysis.steps.length - 1;
+        this.renderStep();
+        this.showResult();
+        this.updateButtons();
+    }
+
+    /**
+     * Forget the current analysis, highlights and result; keeps the input text
+     */
+    clearResult() {
+        this.pause();
+        this.analysis = null;
+        this.stepIndex = -1;
+        this.chars = Array.from(this.input?.value ?? '');
+
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent = '';
+            this.resultDisplay.className = 'result';
+            this.resultDisplay.hidden = true;
+        }
+        if (this.stepInfo) {
+            this.stepInfo.textContent = '';
+        }
+
+        this.renderText();
+        this.renderStack([]);
+        this.updateButtons();
+    }
+
+    /**
+     * Draw the input text one span per character
+     */
+    renderText() {
+        if (!this.textView) return;
+
+        this.textView.innerHTML = '';
+        this.chars.forEach((char, index) => {
+            const span = document.createElement('span');
+            span.className = 'bracket-char';
+            span.dataset.index = index;
+            span.textContent = char;
+            this.textView.appendChild(span);
+        });
+    }
+
+    /**
+     * Highlight the characters and stack for the current step
+     */
+    renderStep() {
+        const steps = this.analysis.steps;
+        const current = steps[this.stepIndex];
+        const spans = this.textView ? Array.from(this.textView.children) : [];
+
+        spans.forEach(span => span.classList.remove('current', 'matched', 'open', 'mismatch'));
+
+        // Replay up to the current step to know which characters are matched or still open
+        const open = new Set();
+        for (let i = 0; i <= this.stepIndex; i++) {
+            const step = steps[i];
+            if (step.action === 'push') {
+                open.add(step.index);
+            } else if (step.action === 'pop') {
+                open.delete(step.matchedIndex);
+                spans[step.matchedIndex]?.classList.add('matched');
+                spans[step.index]?.classList.add('matched');
+            }
+        }
+        open.forEach(index => spans[index]?.classList.add('open'));
+
+        if (current) {
+            spans[current.index]?.classList.add(current.action === 'error' ? 'mismatch' : 'current');
+            if (current.action === 'error' && this.analysis.error.openIndex !== undefined) {
+                spans[this.analysis.error.openIndex]?.classList.add('mismatch');
+            }
+            if (this.stepInfo) {
+                this.stepInfo.textContent = `Bước ${this.stepIndex + 1}/${steps.length} (vị trí ${current.index}): ${current.message}`;
+            }
+            this.renderStack(current.stack, current.action);
+        }
+    }
+
+    /**
+     * Draw the stack, top first
+     * @param {Array} items - Stack contents, bottom first
+     * @param {string} [action] - push, pop or error, to animate the top
+     */
+    renderStack(items, action) {
+        if (!this.stackView) return;
+
+        this.stackView.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = 'Stack trống';
+            this.stackView.appendChild(empty);
+            return;
+        }
+
+        [...items].reverse().forEach((item, position) => {
+            const element = document.createElement('div');
+            element.className = 'bracket-stack-item';
+            if (position === 0 && action === 'push') {
+                element.classList.add('animate-stackPush');
+            }
+            element.textContent = `${item.char} @${item.index}`;
+            this.stackView.appendChild(element);
+        });
+    }
+
+    /**
+     * Show the verdict, naming the position and kind of the first mismatch
+     */
+    showResult() {
+        if (!this.resultDisplay || !this.analysis) return;
+
+        const { balanced, error } = this.analysis;
+        let message = 'Cân bằng: mọi dấu mở đều có dấu đóng tương ứng';
+
+        if (!balanced) {
+            switch (error.kind) {
+                case 'unexpected':
+                    message = `Lỗi tại vị trí ${error.index}: '${error.char}' không có dấu mở`;
+                    break;
+                case 'mismatch':
+                    message = `Lỗi tại vị trí ${error.index}: gặp '${error.char}' nhưng cần '${error.expected}' (mở ở vị trí ${error.openIndex})`;
+                    break;
+                default:
+                    message = `Lỗi tại vị trí ${error.index}: '${error.char}' chưa được đóng (cần '${error.expected}')`;
+            }
+        }
+
+        this.resultDisplay.textContent = message;
+        this.resultDisplay.className = `result ${balanced ? 'success' : 'error'}`;
+        this.resultDisplay.hidden = false;
+    }
+
+    /**
+     * Enable/disable playback buttons
+     */
+    updateButtons() {
+        const playing = this.timer !== null;
+        const finished = this.analysis !== null && this.stepIndex >= this.analysis.steps.length - 1;
+
+        if (this.playBtn) {
+            this.playBtn.disabled = playing || finished;
+        }
+        if (this.pauseBtn) {
+            this.pauseBtn.disabled = !playing;
+        }
+        if (this.stepBtn) {
+            this.stepBtn.disabled = playing || finished;
+        }
+    }
+
+    /**
+     * Get current checker state for debugging
+     */
+    getState() {
+        return {
+            text: this.input?.value ?? '',
+            stepIndex: this.stepIndex,
+            steps: this.analysis?.steps.length ?? 0,
+            balanced: this.analysis?.balanced ?? null,
+            error: this.analysis?.error ?? null
+        };
+    }
+}
+
+// Pairs checked when no custom list is given
+BracketChecker.DEFAULT_PAIRS = '() [] {} <>';
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('bracketInput')) {
+        window.bracketChecker = new BracketChecker();
+    }
+});
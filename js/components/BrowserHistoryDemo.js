@@ -0,0 +1,397 @@
+/**
+ * Browser History Demo Component
+ * Mini browser whose back and forward buttons run on two Stacks
+ *
+ * Visiting a page pushes the current one on the back stack and clears the
+ * forward stack. Back pops the back stack and pushes the current page on the
+ * forward stack; forward does the reverse. Both stacks use drop-oldest, so
+ * once the history size is reached the oldest entry falls off the bottom.
+ */
+
+class BrowserHistoryDemo {
+    constructor() {
+        this.addressInput = document.getElementById('browserAddress');
+        this.pageView = document.getElementById('browserPage');
+        this.backView = document.getElementById('browserBackStack');
+        this.forwardView = document.getElementById('browserForwardStack');
+        this.backCountDisplay = document.getElementById('browserBackCount');
+        this.forwardCountDisplay = document.getElementById('browserForwardCount');
+        this.maxSizeInput = document.getElementById('browserMaxSize');
+
+        this.backBtn = document.getElementById('browserBackBtn');
+        this.forwardBtn = document.getElementById('browserForwardBtn');
+        this.goBtn = document.getElementById('browserGoBtn');
+        this.resetBtn = document.getElementById('browserResetBtn');
+
+        this.backStack = new Stack({ overflowPolicy: 'drop-oldest' });
+        this.forwardStack = new Stack({ overflowPolicy: 'drop-oldest' });
+        this.current = BrowserHistoryDemo.HOME;
+        this.setMaxSize(BrowserHistoryDemo.DEFAULT_MAX_SIZE);
+
+        this.bindStackEvents(this.backStack, this.backView, 'Chưa có trang để quay lại');
+        this.bindStackEvents(this.forwardStack, this.forwardView, 'Chưa có trang để tiến tới');
+        this.initializeEventListeners();
+        this.showEmptyState(this.backView, 'Chưa có trang để quay lại');
+        this.showEmptyState(this.forwardView, 'Chưa có trang để tiến tới');
+        this.updateDisplay();
+    }
+
+    /**
+     * Animate one stack's view from its own events
+     * @param {Stack} stack - Back or forward stack
+     * @param {HTMLElement} container - Its stack view
+     * @param {string} emptyText - Placeholder for an empty stack
+     */
+    bindStackEvents(stack, container, emptyText) {
+        if (!container) return;
+
+        stack.on('push', ({ value }) => this.addStackItem(container, value));
+        stack.on('pop', () => this.removeStackItem(container, emptyText));
+        stack.on('clear', () => this.clearVisualization(container, emptyText));
+        stack.on('evict', ({ values }) => values.forEach(() => this.removeBottomItem(container)));
+
+        // Counters and buttons follow every change
+        stack.on('*', () => this.updateDisplay());
+    }
+
+    /**
+     * Initialize event listeners for the toolbar, page links and history size
+     */
+    initializeEventListeners() {
+        this.backBtn?.addEventListener('click', () => this.back());
+        this.forwardBtn?.addEventListener('click', () => this.forward());
+        this.goBtn?.addEventListener('click', () => this.visit(this.addressInput.value));
+        this.resetBtn?.addEventListener('click', () => this.reset());
+
+        this.addressInput?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.visit(this.addressInput.value);
+            }
+        });
+
+        this.pageView?.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-url]');
+            if (link) {
+                e.preventDefault();
+                this.visit(link.dataset.url);
+            }
+        });
+
+        this.maxSizeInput?.addEventListener('change', () => {
+            const size = Math.round(Number(this.maxSizeInput.value));
+            if (!Number.isInteger(size) || size < 1 || size > BrowserHistoryDemo.MAX_SIZE_LIMIT) {
+                this.notify(`Kích thước lịch sử phải từ 1 đến ${BrowserHistoryDemo.MAX_SIZE_LIMIT}`, 'warning');
+                this.maxSizeInput.value = this.backStack.getMaxSize();
+                return;
+            }
+            this.setMaxSize(size);
+        });
+    }
+
+    /**
+     * Safe notification wrapper
+     * @param {string} message - Message to show
+     * @param {string} type - success, info, warning or error
+     */
+    notify(message, type = 'info') {
+        if (typeof window.notifications === 'undefined') {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+        window.notifications[type]?.(message);
+    }
+
+    /**
+     * Turn address bar text into a page URL
+     * @param {string} text - What was typed, e.g. 'stack' or 'ds://stack'
+     * @returns {string} - URL with the ds:// scheme, or '' for blank input
+     */
+    normalizeUrl(text) {
+        const path = String(text ?? '').trim().toLowerCase().replace(/^ds:\/\//, '');
+        return path ? `ds://${path}` : '';
+    }
+
+    /**
+     * Open a page as a new visit
+     * @param {string} text - URL or address bar text
+     * @returns {boolean} - True if the page changed
+     */
+    visit(text) {
+        const url = this.normalizeUrl(text);
+        if (!url) {
+            this.notify('Vui lòng nhập địa chỉ!', 'warning');
+            this.addressInput?.focus();
+            return false;
+        }
+        if (url === this.current) {
+            this.updateDisplay(); // Same page: a reload, history unchanged
+            return false;
+        }
+
+        this.backStack.push(this.current);
+        // A new visit makes the pages ahead unreachable
+        if (!this.forwardStack.isEmpty()) {
+            this.forwardStack.clear();
+        }
+        this.current = url;
+        this.updateDisplay();
+        return true;
+    }
+
+    /**
+     * Go to the previous page
+     * @returns {boolean} - True if there was one
+     */
+    back() {
+        if (this.backStack.isEmpty()) {
+            this.notify('Không có trang trước', 'info');
+            return false;
+        }
+
+        const previous = this.backStack.pop();
+        this.forwardStack.push(this.current);
+        this.current = previous;
+        this.updateDisplay();
+        return true;
+    }
+
+    /**
+     * Go to the page left by the last back()
+     * @returns {boolean} - True if there was one
+     */
+    forward() {
+        if (this.forwardStack.isEmpty()) {
+            this.notify('Không có trang kế tiếp', 'info');
+            return false;
+        }
+
+        const next = this.forwardStack.pop();
+        this.backStack.push(this.current);
+        this.current = next;
+        this.updateDisplay();
+        return true;
+    }
+
+    /**
+     * Change how many entries each stack keeps; the oldest ones are dropped to fit
+     * @param {number} size - Maximum entries per stack
+     */
+    setMaxSize(size) {
+        this.backStack.setMaxSize(size);
+        this.forwardStack.setMaxSize(size);
+        if (this.maxSizeInput) {
+            this.maxSizeInput.value = size;
+        }
+        this.updateDisplay();
+    }
+
+    /**
+     * Go back to the home page with empty history
+     */
+    reset() {
+        this.backStack.clear();
+        this.forwardStack.clear();
+        this.current = BrowserHistoryDemo.HOME;
+        this.updateDisplay();
+    }
+
+    /**
+     * Add an entry on top of a stack view
+     * @param {HTMLElement} container - Stack view
+     * @param {string} url - Page URL
+     */
+    addStackItem(container, url) {
+        container.querySelector('.empty-state')?.remove();
+
+        const item = document.createElement('div');
+        item.className = 'stack-item animate-stackPush';
+        item.textContent = url;
+        item.title = BrowserHistoryDemo.PAGES[url]?.title || 'Không tìm thấy trang';
+        container.appendChild(item);
+    }
+
+    /**
+     * Animate the top entry out of a stack view
+     * @param {HTMLElement} container - Stack view
+     * @param {string} emptyText - Placeholder once the view is empty
+     */
+    removeStackItem(container, emptyText) {
+        const items = container.querySelectorAll('.stack-item:not(.removing)');
+        if (items.length === 0) return;
+
+        const topItem = items[items.length - 1];
+        topItem.classList.add('removing', 'animate-stackPop');
+
+        setTimeout(() => {
+            topItem.remove();
+            if (container.children.length === 0) {
+                this.showEmptyState(container, emptyText);
+            }
+        }, 400);
+    }
+
+    /**
+     * Animate the bottom entry out (dropped by the history size)
+     * @param {HTMLElement} container - Stack view
+     */
+    removeBottomItem(container) {
+        const bottomItem = container.querySelector('.stack-item:not(.removing)');
+        if (!bottomItem) return;
+
+        bottomItem.classList.add('removing', 'evicted', 'animate-stackPop');
+        setTimeout(() => bottomItem.remove(), 400);
+    }
+
+    /**
+     * Animate every entry out of a stack view, top first
+     * @param {HTMLElement} container - Stack view
+     * @param {string} emptyText - Placeholder once the view is empty
+     */
+    clearVisualization(container, emptyText) {
+        const items = [...container.querySelectorAll('.stack-item:not(.removing)')].reverse();
+
+        items.forEach((item, index) => {
+            setTimeout(() => {
+                item.classList.add('removing', 'animate-stackPop');
+                setTimeout(() => item.remove(), 400);
+            }, index * 100); // Stagger the removal
+        });
+
+        setTimeout(() => {
+            if (container.children.length === 0) {
+                this.showEmptyState(container, emptyText);
+            }
+        }, items.length * 100 + 400);
+    }
+
+    /**
+     * Show the empty placeholder in a stack view
+     * @param {HTMLElement} container - Stack view
+     * @param {string} text - Placeholder text
+     */
+    showEmptyState(container, text) {
+        if (!container || container.querySelector('.empty-state')) return;
+
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.innerHTML = '<i class="fas fa-layer-group"></i><span></span>';
+        emptyState.querySelector('span').textContent = text;
+        container.appendChild(emptyState);
+    }
+
+    /**
+     * Draw the current page; unknown addresses get a not-found page
+     */
+    renderPage() {
+        if (!this.pageView) return;
+
+        const page = BrowserHistoryDemo.PAGES[this.current];
+        this.pageView.innerHTML = '';
+
+        const title = document.createElement('h4');
+        const body = document.createElement('p');
+        title.textContent = page ? page.title : '404 - Không tìm thấy trang';
+        body.textContent = page ? page.body : `Không có trang nào ở ${this.current}. Trang lỗi vẫn được ghi vào lịch sử.`;
+        this.pageView.append(title, body);
+
+        const links = document.createElement('div');
+        links.className = 'browser-links';
+        (page ? page.links : [BrowserHistoryDemo.HOME]).forEach(url => {
+            const link = document.createElement('a');
+            link.href = '#';
+            link.dataset.url = url;
+            link.textContent = BrowserHistoryDemo.PAGES[url].title;
+            links.appendChild(link);
+        });
+        this.pageView.appendChild(links);
+    }
+
+    /**
+     * Update the address bar, page, counters and buttons
+     */
+    updateDisplay() {
+        if (this.addressInput) {
+            this.addressInput.value = this.current;
+        }
+        this.renderPage();
+
+        const maxSize = this.backStack.getMaxSize();
+        if (this.backCountDisplay) {
+            this.backCountDisplay.textContent = `${this.backStack.size()}/${maxSize}`;
+        }
+        if (this.forwardCountDisplay) {
+            this.forwardCountDisplay.textContent = `${this.forwardStack.size()}/${maxSize}`;
+        }
+        if (this.backBtn) {
+            this.backBtn.disabled = this.backStack.isEmpty();
+        }
+        if (this.forwardBtn) {
+            this.forwardBtn.disabled = this.forwardStack.isEmpty();
+        }
+    }
+
+    /**
+     * Get current browser state for debugging
+     */
+    getState() {
+        return {
+            current: this.current,
+            back: this.backStack.toArray(),
+            forward: this.forwardStack.toArray(),
+            maxSize: this.backStack.getMaxSize()
+        };
+    }
+}
+
+// Page shown on load and after reset
+BrowserHistoryDemo.HOME = 'ds://home';
+
+// Fake site: title, text and links of each page
+BrowserHistoryDemo.PAGES = {
+    'ds://home': {
+        title: 'Trang chủ',
+        body: 'Chào mừng! Chọn một cấu trúc dữ liệu để đọc tiếp.',
+        links: ['ds://stack', 'ds://queue', 'ds://deque']
+    },
+    'ds://stack': {
+        title: 'Stack',
+        body: 'Stack hoạt động theo LIFO: phần tử vào sau cùng được lấy ra đầu tiên.',
+        links: ['ds://stack/undo', 'ds://stack/history', 'ds://queue']
+    },
+    'ds://stack/undo': {
+        title: 'Undo/Redo',
+        body: 'Trình soạn thảo lưu mỗi thao tác vào undo stack và chuyển sang redo stack khi hoàn tác.',
+        links: ['ds://stack', 'ds://stack/history']
+    },
+    'ds://stack/history': {
+        title: 'Lịch sử trình duyệt',
+        body: 'Nút Back và Forward chính là hai stack, như trong trình duyệt mini này.',
+        links: ['ds://stack', 'ds://home']
+    },
+    'ds://queue': {
+        title: 'Queue',
+        body: 'Queue hoạt động theo FIFO: phần tử vào trước được lấy ra trước.',
+        links: ['ds://queue/bfs', 'ds://deque', 'ds://stack']
+    },
+    'ds://queue/bfs': {
+        title: 'BFS',
+        body: 'Tìm kiếm theo chiều rộng dùng queue để duyệt các đỉnh theo từng lớp.',
+        links: ['ds://queue', 'ds://home']
+    },
+    'ds://deque': {
+        title: 'Deque',
+        body: 'Deque cho phép thêm và lấy ở cả hai đầu.',
+        links: ['ds://stack', 'ds://queue', 'ds://home']
+    }
+};
+
+// Entries each stack keeps by default, and the largest size the input accepts
+BrowserHistoryDemo.DEFAULT_MAX_SIZE = 5;
+BrowserHistoryDemo.MAX_SIZE_LIMIT = 20;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('browserHistoryDemo')) {
+        window.browserHistoryDemo = new BrowserHistoryDemo();
+    }
+});
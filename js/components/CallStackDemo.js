@@ -0,0 +1,582 @@
+/**
+ * Call Stack Demo Component
+ * Steps through preset recursive functions with every activation frame
+ * pushed and popped on a Stack
+ *
+ * A preset first runs for real while recording a trace: a call, each local
+ * it assigns, the value it returns and the moment its frame is discarded.
+ * Playback replays that trace one event per step: a call pushes a frame, a
+ * local or return value updates the top frame and a pop removes it. The
+ * Stack keeps its strict maxSize, so recursion deeper than the chosen limit
+ * fails with OverflowError exactly like a real stack overflow.
+ */
+
+class CallStackDemo {
+    constructor() {
+        this.container = document.getElementById('callStackView');
+        this.presetSelect = document.getElementById('callStackPreset');
+        this.input = document.getElementById('callStackInput');
+        this.maxDepthInput = document.getElementById('callStackMaxDepth');
+        this.speedInput = document.getElementById('callStackSpeed');
+        this.depthDisplay = document.getElementById('callStackDepth');
+        this.stepDisplay = document.getElementById('callStackSteps');
+        this.actionDisplay = document.getElementById('callStackAction');
+        this.resultDisplay = document.getElementById('callStackResult');
+
+        this.runBtn = document.getElementById('callStackRunBtn');
+        this.pauseBtn = document.getElementById('callStackPauseBtn');
+        this.stepBtn = document.getElementById('callStackStepBtn');
+        this.resetBtn = document.getElementById('callStackResetBtn');
+
+        this.timer = null;
+
+        this.initializeEventListeners();
+        this.selectPreset(this.presetSelect?.value || 'factorial');
+    }
+
+    /**
+     * Initialize event listeners for the controls
+     */
+    initializeEventListeners() {
+        this.runBtn?.addEventListener('click', () => this.run());
+        this.pauseBtn?.addEventListener('click', () => this.pause());
+        this.stepBtn?.addEventListener('click', () => this.step());
+        this.resetBtn?.addEventListener('click', () => this.reset());
+
+        this.presetSelect?.addEventListener('change', () => this.selectPreset(this.presetSelect.value));
+        this.input?.addEventListener('change', () => this.reset());
+        this.maxDepthInput?.addEventListener('change', () => this.reset());
+
+        this.input?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.reset();
+                this.run();
+            }
+        });
+    }
+
+    /**
+     * Safe notification wrapper
+     * @param {string} message - Message to show
+     * @param {string} type - success, info, warning or error
+     */
+    notify(message, type = 'info') {
+        if (typeof window.notifications === 'undefined') {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+        window.notifications[type]?.(message);
+    }
+
+    /**
+     * Switch preset and fill in its example input
+     * @param {string} name - Key of CallStackDemo.PRESETS
+     */
+    selectPreset(name) {
+        this.preset = CallStackDemo.PRESETS[name] || CallStackDemo.PRESETS.factorial;
+        if (this.input) {
+            this.input.value = this.preset.example;
+            this.input.placeholder = this.preset.hint;
+        }
+        this.reset();
+    }
+
+    /**
+     * Maximum depth from the input, clamped to the allowed range
+     * @returns {number} - Frames the Stack may hold
+     */
+    getMaxDepth() {
+        return readIntInput(this.maxDepthInput, {
+            min: 1,
+            max: CallStackDemo.MAX_DEPTH_LIMIT,
+            fallback: CallStackDemo.DEFAULT_MAX_DEPTH
+        });
+    }
+
+    /**
+     * Run the preset for real and record every call, local, return and pop
+     * @param {string} text - Input text for the preset
+     * @returns {Array|null} - Trace events, or null if the input is invalid
+     */
+    record(text) {
+        let args;
+        try {
+            args = this.preset.parse(text);
+        } catch (error) {
+            this.notify(error.message, 'warning');
+            return null;
+        }
+
+        const trace = [];
+        const call = (fn, params, body) => {
+            trace.push({ type: 'call', fn, args: params });
+            const frame = {
+                local: (name, value) => {
+                    trace.push({ type: 'local', name, value });
+                    return value;
+                }
+            };
+            const value = body(frame);
+            trace.push({ type: 'return', value });
+            trace.push({ type: 'pop' });
+            return value;
+        };
+
+        this.preset.run(call, args);
+        return trace;
+    }
+
+    /**
+     * Stop playback and start again from an empty call stack
+     */
+    reset() {
+        this.pause();
+
+        if (this.maxDepthInput) {
+            this.maxDepthInput.value = this.getMaxDepth();
+        }
+
+        this.stack = new Stack();
+        this.stack.setMaxSize(this.getMaxDepth());
+        this.bindStackEvents();
+
+        this.trace = this.record(this.input?.value ?? this.preset.example) || [];
+        this.position = 0;
+        this.maxReached = 0;
+        this.finished = this.trace.length === 0;
+        this.overflowed = false;
+        this.lastAction = null;
+
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.showEmptyState();
+        }
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent = '';
+            this.resultDisplay.className = 'result';
+            this.resultDisplay.hidden = true;
+        }
+        this.updateDisplay();
+    }
+
+    /**
+     * Draw frames as the Stack pushes and pops them
+     */
+    bindStackEvents() {
+        this.stack.on('push', ({ value }) => this.addFrame(value));
+        this.stack.on('pop', () => this.removeFrame());
+    }
+
+    /**
+     * Replay one trace event
+     * @returns {boolean} - True while there are events left
+     */
+    step() {
+        if (this.finished) {
+            this.pause();
+            return false;
+        }
+
+        const event = this.trace[this.position++];
+
+        switch (event.type) {
+            case 'call': {
+                const frame = { fn: event.fn, args: event.args, locals: {}, returned: false, value: undefined };
+                try {
+                    this.stack.push(frame);
+                } catch (error) {
+                    if (error instanceof OverflowError) {
+                        this.overflow(frame);
+                        return false;
+                    }
+                    throw error;
+                }
+                this.maxReached = Math.max(this.maxReached, this.stack.size());
+                this.lastAction = `Gọi ${this.signature(frame)}: push frame mới`;
+                break;
+            }
+            case 'local': {
+                const frame = this.stack.peek();
+                frame.locals[event.name] = event.value;
+                this.updateTopFrame();
+                this.lastAction = `${frame.fn}: ${event.name} = ${this.format(event.value)}`;
+                break;
+            }
+            case 'return': {
+                const frame = this.stack.peek();
+                frame.returned = true;
+                frame.value = event.value;
+                this.updateTopFrame();
+                this.lastAction = `${this.signature(frame)} trả về ${this.format(event.value)}`;
+                break;
+            }
+            default: {
+                const frame = this.stack.pop();
+                this.lastAction = this.stack.isEmpty()
+                    ? `Pop ${this.signature(frame)}: stack rỗng, chương trình kết thúc`
+                    : `Pop ${this.signature(frame)}: quay về ${this.signature(this.stack.peek())}`;
+
+                if (this.stack.isEmpty()) {
+                    this.finish(frame.value);
+                }
+            }
+        }
+
+        this.updateDisplay();
+        return !this.finished;
+    }
+
+    /**
+     * Stop at the call the Stack had no room for
+     * @param {Object} frame - Frame that could not be pushed
+     */
+    overflow(frame) {
+        this.finished = true;
+        this.overflowed = true;
+        this.lastAction = `Gọi ${this.signature(frame)}: stack đã đầy, không push được frame mới`;
+        this.showRejectedFrame(frame);
+        this.pause();
+        this.updateDisplay();
+
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent =
+                `Stack overflow! Độ sâu đệ quy vượt quá maxSize = ${this.stack.getMaxSize()}`;
+            this.resultDisplay.className = 'result error';
+            this.resultDisplay.hidden = false;
+        }
+        this.notify('Stack overflow!', 'error');
+    }
+
+    /**
+     * Show the value returned by the outermost call
+     * @param {*} value - Final return value
+     */
+    finish(value) {
+        this.finished = true;
+        this.pause();
+
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent =
+                `Kết quả: ${this.format(value)} · độ sâu tối đa ${this.maxReached}/${this.stack.getMaxSize()}`;
+            this.resultDisplay.className = 'result success';
+            this.resultDisplay.hidden = false;
+        }
+    }
+
+    /**
+     * Keep stepping at the selected speed until the trace ends or it is paused
+     */
+    run() {
+        if (this.timer || this.finished) return;
+
+        const tick = () => {
+            this.timer = this.step() ? setTimeout(tick, this.getDelay()) : null;
+            this.updateButtons();
+        };
+
+        this.timer = setTimeout(tick, 0);
+        this.updateButtons();
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateButtons();
+    }
+
+    /**
+     * Delay between steps from the speed slider (right = faster)
+     * @returns {number} - Milliseconds
+     */
+    getDelay() {
+        const speed = Number(this.speedInput?.value ?? 5); // 1..10
+        return (11 - speed) * 80;
+    }
+
+    /**
+     * Short text for a value shown in a frame
+     * @param {*} value - Argument, local or return value
+     * @returns {string} - Display text
+     */
+    format(value) {
+        if (Array.isArray(value)) return `[${value.join(', ')}]`;
+        if (typeof value === 'string') return `'${value}'`;
+        return String(value);
+    }
+
+    /**
+     * Call as written in code, e.g. factorial(n = 3)
+     * @param {Object} frame - Activation frame
+     * @returns {string} - Signature text
+     */
+    signature(frame) {
+        const args = Object.entries(frame.args).map(([name, value]) => `${name} = ${this.format(value)}`);
+        return `${frame.fn}(${args.join(', ')})`;
+    }
+
+    /**
+     * Fill a frame element with the call, its locals and its return value
+     * @param {HTMLElement} element - Frame element
+     * @param {Object} frame - Activation frame
+     */
+    renderFrame(element, frame) {
+        element.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'frame-call';
+        header.textContent = this.signature(frame);
+        element.appendChild(header);
+
+        Object.entries(frame.locals).forEach(([name, value]) => {
+            const line = document.createElement('div');
+            line.className = 'frame-local';
+            line.textContent = `${name} = ${this.format(value)}`;
+            element.appendChild(line);
+        });
+
+        if (frame.returned) {
+            const line = document.createElement('div');
+            line.className = 'frame-return';
+            line.textContent = `return ${this.format(frame.value)}`;
+            element.appendChild(line);
+        }
+    }
+
+    /**
+     * Push a frame element on top of the view
+     * @param {Object} frame - Activation frame
+     */
+    addFrame(frame) {
+        if (!this.container) return;
+
+        this.container.querySelector('.empty-state')?.remove();
+        this.container.querySelector('.frame-top')?.classList.remove('frame-top');
+
+        const element = document.createElement('div');
+        element.className = 'stack-item call-frame frame-top animate-stackPush';
+        this.renderFrame(element, frame);
+        this.container.appendChild(element);
+    }
+
+    /**
+     * Redraw the top frame after a local or return value changed
+     */
+    updateTopFrame() {
+        const items = this.container?.querySelectorAll('.call-frame:not(.removing)');
+        if (!items || items.length === 0) return;
+
+        const element = items[items.length - 1];
+        this.renderFrame(element, this.stack.peek());
+        element.classList.add('frame-top');
+    }
+
+    /**
+     * Animate the top frame out; the caller's frame becomes the top
+     */
+    removeFrame() {
+        if (!this.container) return;
+
+        const items = this.container.querySelectorAll('.call-frame:not(.removing)');
+        if (items.length === 0) return;
+
+        const topItem = items[items.length - 1];
+        topItem.classList.remove('frame-top');
+        topItem.classList.add('removing', 'animate-stackPop');
+        items[items.length - 2]?.classList.add('frame-top');
+
+        setTimeout(() => {
+            topItem.remove();
+            if (this.container.children.length === 0) {
+                this.showEmptyState();
+            }
+        }, 400);
+    }
+
+    /**
+     * Briefly show the frame that did not fit on top of the full stack
+     * @param {Object} frame - Frame that overflowed
+     */
+    showRejectedFrame(frame) {
+        if (!this.container) return;
+
+        const ghost = document.createElement('div');
+        ghost.className = 'stack-item call-frame evicted animate-stackPush';
+        this.renderFrame(ghost, frame);
+        this.container.appendChild(ghost);
+
+        setTimeout(() => {
+            ghost.classList.replace('animate-stackPush', 'animate-stackPop');
+        }, 600);
+
+        setTimeout(() => {
+            ghost.remove();
+        }, 1000);
+    }
+
+    /**
+     * Show the empty placeholder in the view
+     */
+    showEmptyState() {
+        if (this.container.querySelector('.empty-state')) return;
+
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.innerHTML = `
+            <i class="fas fa-layer-group"></i>
+            <p>Call stack trống</p>
+            <span>Nhấn Chạy hoặc Step để gọi hàm</span>
+        `;
+        this.container.appendChild(emptyState);
+    }
+
+    /**
+     * Update depth, progress, last action and buttons
+     */
+    updateDisplay() {
+        if (this.depthDisplay) {
+            this.depthDisplay.textContent = `${this.stack.size()}/${this.stack.getMaxSize()}`;
+        }
+        if (this.stepDisplay) {
+            this.stepDisplay.textContent = `${this.position}/${this.trace.length}`;
+        }
+        if (this.actionDisplay) {
+            this.actionDisplay.textContent = this.lastAction || 'Nhấn Chạy hoặc Step để bắt đầu';
+        }
+        this.updateButtons();
+    }
+
+    /**
+     * Enable/disable playback buttons
+     */
+    updateButtons() {
+        const playing = this.timer !== null;
+
+        if (this.runBtn) {
+            this.runBtn.disabled = playing || this.finished;
+        }
+        if (this.pauseBtn) {
+            this.pauseBtn.disabled = !playing;
+        }
+        if (this.stepBtn) {
+            this.stepBtn.disabled = playing || this.finished;
+        }
+    }
+
+    /**
+     * Read a whole number within a range from preset input
+     * @param {string} text - Input text
+     * @param {number} min - Smallest allowed value
+     * @param {number} max - Largest allowed value
+     * @returns {number} - Parsed value
+     * @throws {Error} - Not a whole number in range
+     */
+    static parseInteger(text, min, max) {
+        const value = Number(String(text).trim());
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Nhập số nguyên từ ${min} đến ${max}`);
+        }
+        return value;
+    }
+
+    /**
+     * Get current call stack state for debugging
+     */
+    getState() {
+        return {
+            frames: this.stack.toArray().map(frame => this.signature(frame)),
+            position: this.position,
+            events: this.trace.length,
+            maxDepth: this.stack.getMaxSize(),
+            finished: this.finished,
+            overflowed: this.overflowed
+        };
+    }
+}
+
+// Recursive functions to trace; run() calls call(name, args, body) for every activation
+CallStackDemo.PRESETS = {
+    factorial: {
+        example: '5',
+        hint: 'n (0 - 20)',
+        parse: (text) => CallStackDemo.parseInteger(text, 0, 20),
+        run: (call, n) => {
+            const factorial = (n) => call('factorial', { n }, (frame) => {
+                if (n <= 1) return 1;
+                const rest = frame.local('rest', factorial(n - 1));
+                return n * rest;
+            });
+            return factorial(n);
+        }
+    },
+    fibonacci: {
+        example: '4',
+        hint: 'n (0 - 12)',
+        parse: (text) => CallStackDemo.parseInteger(text, 0, 12),
+        run: (call, n) => {
+            const fib = (n) => call('fib', { n }, (frame) => {
+                if (n < 2) return n;
+                const a = frame.local('a', fib(n - 1));
+                const b = frame.local('b', fib(n - 2));
+                return a + b;
+            });
+            return fib(n);
+        }
+    },
+    sum: {
+        example: '3, 1, 4, 1, 5',
+        hint: 'Danh sách số, cách nhau bởi dấu phẩy',
+        parse: (text) => {
+            const items = String(text).split(',').map(item => item.trim()).filter(item => item !== '');
+            const values = items.map(Number);
+            if (values.some(value => !Number.isFinite(value))) {
+                throw new Error('Danh sách chỉ được chứa số');
+            }
+            if (values.length > 15) {
+                throw new Error('Tối đa 15 phần tử');
+            }
+            return values;
+        },
+        run: (call, list) => {
+            const sum = (list) => call('sum', { list }, (frame) => {
+                if (list.length === 0) return 0;
+                const head = frame.local('head', list[0]);
+                const rest = frame.local('rest', sum(list.slice(1)));
+                return head + rest;
+            });
+            return sum(list);
+        }
+    },
+    hanoi: {
+        example: '3',
+        hint: 'Số đĩa (1 - 6)',
+        parse: (text) => CallStackDemo.parseInteger(text, 1, 6),
+        run: (call, disks) => {
+            // Returns the number of moves made, 2^n - 1
+            const hanoi = (n, from, to, via) => call('hanoi', { n, from, to, via }, (frame) => {
+                if (n === 1) {
+                    frame.local('move', `1: ${from} → ${to}`);
+                    return 1;
+                }
+                const before = frame.local('before', hanoi(n - 1, from, via, to));
+                frame.local('move', `${n}: ${from} → ${to}`);
+                const after = frame.local('after', hanoi(n - 1, via, to, from));
+                return before + 1 + after;
+            });
+            return hanoi(disks, 'A', 'C', 'B');
+        }
+    }
+};
+
+// Stack maxSize used until the user picks another, and the largest accepted
+CallStackDemo.DEFAULT_MAX_DEPTH = 10;
+CallStackDemo.MAX_DEPTH_LIMIT = 30;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('callStackView')) {
+        window.callStackDemo = new CallStackDemo();
+    }
+});
@@ -0,0 +1,191 @@
+/**
+ * Cost Meter Component
+ * Shows the cost CostCounter measures for each operation: a badge with the
+ * moves and comparisons of the last operation next to its Big-O label, a
+ * chart of recent operations with the running total, and a summary per
+ * operation. Shared by the Stack, Queue, Deque and Priority Queue demos.
+ *
+ * The history belongs to the meter, not to a structure: a demo that replaces
+ * its structure (implementation switch, time travel) attaches the new one's
+ * counter and the totals carry on.
+ */
+
+class CostMeter {
+    /**
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Object} [options] - Meter options
+     * @param {Function} [options.describe] - Called with each measure event; may return a note shown under the badge
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.describe = options.describe || null;
+        this.counter = null;
+        this.listener = (event) => this.record(event);
+
+        this.container.innerHTML = `
+            <div class="cost-badge">
+                <span class="cost-operation"></span>
+                <span class="cost-counts"></span>
+                <span class="cost-complexity"></span>
+            </div>
+            <div class="cost-note" hidden></div>
+            <svg class="cost-chart" viewBox="0 0 ${CostMeter.CHART_WIDTH} ${CostMeter.CHART_HEIGHT}"
+                 preserveAspectRatio="none" role="img" aria-label="Chi phí các thao tác gần đây"></svg>
+            <div class="cost-legend">
+                <span class="cost-legend-moves">Dời chỗ</span>
+                <span class="cost-legend-comparisons">So sánh</span>
+                <span class="cost-legend-total">Tổng tích lũy</span>
+            </div>
+            <table class="cost-table">
+                <thead>
+                    <tr><th>Thao tác</th><th>Big-O</th><th>Số lần</th><th>TB/lần</th><th>Lần cuối</th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <div class="cost-footer">
+                <span class="cost-total"></span>
+                <button class="btn btn-secondary cost-reset">
+                    <i class="fas fa-redo"></i> Đặt lại
+                </button>
+            </div>
+        `;
+        this.operationDisplay = this.container.querySelector('.cost-operation');
+        this.countsDisplay = this.container.querySelector('.cost-counts');
+        this.complexityDisplay = this.container.querySelector('.cost-complexity');
+        this.noteDisplay = this.container.querySelector('.cost-note');
+        this.chart = this.container.querySelector('.cost-chart');
+        this.tableBody = this.container.querySelector('.cost-table tbody');
+        this.totalDisplay = this.container.querySelector('.cost-total');
+
+        this.container.querySelector('.cost-reset').addEventListener('click', () => this.reset());
+
+        this.reset();
+    }
+
+    /**
+     * Listen to a structure's counter instead of the previous one
+     * @param {CostCounter} counter - The structure's `cost`
+     */
+    attach(counter) {
+        this.counter?.off('measure', this.listener);
+        this.counter = counter;
+        this.counter.on('measure', this.listener);
+    }
+
+    /**
+     * Forget every recorded operation
+     */
+    reset() {
+        this.entries = [];
+        this.total = 0;
+        this.summary = new Map(); // Operation name -> { complexity, calls, cost, last, size }
+        this.render();
+    }
+
+    /**
+     * Add one measured operation
+     * @param {Object} event - { operation, moves, comparisons, size, complexity } from CostCounter
+     */
+    record(event) {
+        const cost = event.moves + event.comparisons;
+        this.total += cost;
+        this.entries.push({ ...event, cost, total: this.total });
+        if (this.entries.length > CostMeter.HISTORY) {
+            this.entries.shift();
+        }
+
+        const row = this.summary.get(event.operation) ||
+            { complexity: event.complexity, calls: 0, cost: 0, last: 0, size: 0 };
+        row.calls++;
+        row.cost += cost;
+        row.last = cost;
+        row.size = event.size;
+        this.summary.set(event.operation, row);
+
+        this.render(this.describe?.(event));
+    }
+
+    /**
+     * Draw the badge, chart, summary table and running total
+     * @param {string} [note] - Extra explanation for the last operation
+     */
+    render(note) {
+        const last = this.entries[this.entries.length - 1];
+
+        if (last) {
+            this.operationDisplay.textContent = `${last.operation}()`;
+            this.countsDisplay.textContent = `${last.moves} dời chỗ · ${last.comparisons} so sánh · n = ${last.size}`;
+            this.complexityDisplay.textContent = last.complexity || '?';
+            this.complexityDisplay.hidden = false;
+        } else {
+            this.operationDisplay.textContent = 'Chưa có thao tác';
+            this.countsDisplay.textContent = '';
+            this.complexityDisplay.textContent = '';
+            this.complexityDisplay.hidden = true;
+        }
+
+        this.noteDisplay.textContent = note || '';
+        this.noteDisplay.hidden = !note;
+
+        this.renderChart();
+
+        this.tableBody.innerHTML = '';
+        this.summary.forEach((row, operation) => {
+            const tr = document.createElement('tr');
+            [
+                operation,
+                row.complexity || '?',
+                row.calls,
+                (row.cost / row.calls).toFixed(1),
+                `${row.last} (n = ${row.size})`
+            ].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            this.tableBody.appendChild(tr);
+        });
+
+        const calls = [...this.summary.values()].reduce((sum, row) => sum + row.calls, 0);
+        this.totalDisplay.textContent = `Tổng: ${this.total} bước sau ${calls} thao tác`;
+    }
+
+    /**
+     * Bars for the recent operations (moves below, comparisons stacked on top)
+     * and a line for the running total, each on its own scale
+     */
+    renderChart() {
+        const width = CostMeter.CHART_WIDTH;
+        const height = CostMeter.CHART_HEIGHT;
+        const slot = width / CostMeter.HISTORY;
+        const maxCost = Math.max(1, ...this.entries.map(entry => entry.cost));
+        const maxTotal = Math.max(1, this.total);
+        const y = (value, max) => height - (value / max) * (height - 4);
+
+        const bars = this.entries.map((entry, index) => {
+            const x = index * slot + 1;
+            const movesTop = y(entry.moves, maxCost);
+            const top = y(entry.cost, maxCost);
+            return `
+                <g>
+                    <title>${entry.operation}(): ${entry.moves} dời chỗ, ${entry.comparisons} so sánh, n = ${entry.size}</title>
+                    <rect class="cost-bar-moves" x="${x}" y="${movesTop}" width="${slot - 2}" height="${height - movesTop}"></rect>
+                    <rect class="cost-bar-comparisons" x="${x}" y="${top}" width="${slot - 2}" height="${movesTop - top}"></rect>
+                </g>
+            `;
+        }).join('');
+
+        const points = this.entries
+            .map((entry, index) => `${index * slot + slot / 2},${y(entry.total, maxTotal)}`)
+            .join(' ');
+
+        this.chart.innerHTML = bars + (points ? `<polyline class="cost-line" points="${points}"></polyline>` : '');
+    }
+}
+
+// Operations kept in the chart
+CostMeter.HISTORY = 30;
+
+// Chart size in viewBox units; the SVG stretches to the panel width
+CostMeter.CHART_WIDTH = 300;
+CostMeter.CHART_HEIGHT = 80;
@@ -0,0 +1,334 @@
+/**
+ * Deque Demo Component
+ * Interactive visualization for the double-ended queue
+ */
+
+class DequeDemo {
+    constructor() {
+        this.deque = new Deque();
+        this.container = document.getElementById('dequeVisualization');
+        this.input = document.getElementById('dequeInput');
+        this.sizeDisplay = document.getElementById('dequeSize');
+        this.frontDisplay = document.getElementById('dequeFront');
+        this.backDisplay = document.getElementById('dequeBack');
+        this.statusDisplay = document.getElementById('dequeStatus');
+
+        this.pushFrontBtn = document.getElementById('dequePushFrontBtn');
+        this.pushBackBtn = document.getElementById('dequePushBackBtn');
+        this.popFrontBtn = document.getElementById('dequePopFrontBtn');
+        this.popBackBtn = document.getElementById('dequePopBackBtn');
+        this.clearBtn = document.getElementById('dequeClearBtn');
+
+        this.costContainer = document.getElementById('dequeCostMeter');
+        this.costMeter = this.costContainer ? new CostMeter(this.costContainer) : null;
+        this.costMeter?.attach(this.deque.cost);
+
+        this.bindDequeEvents();
+        this.initializeEventListeners();
+        this.updateDisplay();
+    }
+
+    /**
+     * Render and notify from the deque's own events
+     */
+    bindDequeEvents() {
+        this.deque.on('pushFront', ({ value }) => {
+            this.addItem(value, 'front');
+            this.notify(`Đã thêm vào đầu: ${value}`, 'success');
+        });
+
+        this.deque.on('pushBack', ({ value }) => {
+            this.addItem(value, 'back');
+            this.notify(`Đã thêm vào cuối: ${value}`, 'success');
+        });
+
+        this.deque.on('popFront', ({ value }) => {
+            this.removeItem('front');
+            this.notify(`Đã lấy ra từ đầu: ${value}`, 'info');
+        });
+
+        this.deque.on('popBack', ({ value }) => {
+            this.removeItem('back');
+            this.notify(`Đã lấy ra từ cuối: ${value}`, 'info');
+        });
+
+        this.deque.on('clear', () => {
+            this.clearVisualization();
+            this.notify('Đã xóa toàn bộ deque', 'info');
+        });
+
+        this.deque.on('evict', ({ values, reason, policy, end }) => {
+            if (reason === 'overflow' && policy === 'drop-newest') {
+                this.showRejectedItem(values[0], end);
+            } else {
+                values.forEach(() => this.removeItem(end));
+            }
+            this.notify(`Đã loại bỏ: ${values.join(', ')}`, 'warning');
+        });
+
+        // Status panel and buttons follow every change
+        this.deque.on('*', () => this.updateDisplay());
+    }
+
+    /**
+     * Safe notification wrapper
+     * @param {string} message - Message to show
+     * @param {string} type - success, info, warning or error
+     */
+    notify(message, type = 'info') {
+        if (typeof window.notifications === 'undefined') {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+        window.notifications[type]?.(message);
+    }
+
+    /**
+     * Map a failed deque operation to its notification
+     * @param {Error} error - Error thrown by the deque
+     */
+    handleError(error) {
+        if (error instanceof OverflowError) {
+            this.notify(`Deque đã đầy! Kích thước tối đa là ${error.state.maxSize}`, 'error');
+        } else if (error instanceof UnderflowError) {
+            this.notify('Deque đang trống!', 'warning');
+        } else if (error instanceof InvalidElementError) {
+            this.notify('Không thể thêm giá trị rỗng', 'warning');
+        } else {
+            this.notify(error.message, 'error');
+        }
+    }
+
+    /**
+     * Initialize event listeners for deque controls
+     */
+    initializeEventListeners() {
+        this.pushFrontBtn?.addEventListener('click', () => this.push('front'));
+        this.pushBackBtn?.addEventListener('click', () => this.push('back'));
+        this.popFrontBtn?.addEventListener('click', () => this.pop('front'));
+        this.popBackBtn?.addEventListener('click', () => this.pop('back'));
+        this.clearBtn?.addEventListener('click', () => this.clear());
+
+        // Enter key pushes to the back, like enqueue
+        this.input?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.push('back');
+            }
+        });
+    }
+
+    /**
+     * Push the input value onto one end
+     * @param {string} end - 'front' or 'back'
+     */
+    push(end) {
+        const value = this.input.value.trim();
+
+        if (!value) {
+            this.notify('Vui lòng nhập giá trị!', 'warning');
+            this.input.focus();
+            return;
+        }
+
+        if (value.length > 15) {
+            this.notify('Giá trị quá dài (tối đa 15 ký tự)', 'warning');
+            return;
+        }
+
+        try {
+            if (end === 'front') {
+                this.deque.pushFront(value);
+            } else {
+                this.deque.pushBack(value);
+            }
+            this.input.value = '';
+            this.input.focus();
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Pop a value from one end
+     * @param {string} end - 'front' or 'back'
+     */
+    pop(end) {
+        try {
+            if (end === 'front') {
+                this.deque.popFront();
+            } else {
+                this.deque.popBack();
+            }
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Clear the deque
+     */
+    clear() {
+        this.deque.clear();
+    }
+
+    /**
+     * Items still in the deque (excludes ones animating out)
+     * @returns {HTMLElement[]} - Item elements, front first
+     */
+    getItems() {
+        return Array.from(this.container.querySelectorAll('.deque-item:not(.removing)'));
+    }
+
+    /**
+     * Add visual item at one end
+     * @param {*} value - Item value
+     * @param {string} end - 'front' or 'back'
+     * @returns {HTMLElement} - The new item
+     */
+    addItem(value, end) {
+        this.container.querySelector('.empty-state')?.remove();
+
+        const item = document.createElement('div');
+        item.className = `deque-item ${end === 'front' ? 'animate-dequePushFront' : 'animate-queueEnqueue'}`;
+        item.textContent = value;
+        item.title = `Deque item: ${value}`;
+
+        const items = this.getItems();
+        if (end === 'front' && items.length > 0) {
+            this.container.insertBefore(item, items[0]);
+        } else if (end === 'back' && items.length > 0) {
+            items[items.length - 1].after(item);
+        } else {
+            this.container.appendChild(item);
+        }
+        return item;
+    }
+
+    /**
+     * Animate an item out of one end
+     * @param {string} end - 'front' or 'back'
+     */
+    removeItem(end) {
+        const items = this.getItems();
+        if (items.length === 0) return;
+
+        const item = end === 'front' ? items[0] : items[items.length - 1];
+        item.classList.add('removing', end === 'front' ? 'animate-queueDequeue' : 'animate-dequePopBack');
+
+        setTimeout(() => {
+            if (item.parentNode) {
+                item.remove();
+            }
+            if (this.deque.isEmpty() && this.getItems().length === 0) {
+                this.showEmptyState();
+            }
+        }, 400);
+    }
+
+    /**
+     * Briefly show a value dropped by the drop-newest policy at the end it targeted
+     * @param {*} value - Dropped value
+     * @param {string} end - 'front' or 'back'
+     */
+    showRejectedItem(value, end) {
+        const ghost = this.addItem(value, end);
+        ghost.classList.add('removing', 'evicted'); // Never counted as a real item
+        ghost.title = `Dropped: ${value}`;
+
+        setTimeout(() => {
+            ghost.classList.add(end === 'front' ? 'animate-queueDequeue' : 'animate-dequePopBack');
+            setTimeout(() => ghost.remove(), 400);
+        }, 400);
+    }
+
+    /**
+     * Clear all visual items
+     */
+    clearVisualization() {
+        const items = this.container.querySelectorAll('.deque-item');
+
+        items.forEach((item, index) => {
+            setTimeout(() => {
+                item.classList.add('removing', 'animate-fadeOut');
+                setTimeout(() => item.remove(), 300);
+            }, index * 60); // Stagger the removal
+        });
+
+        setTimeout(() => {
+            if (this.deque.isEmpty()) {
+                this.showEmptyState();
+            }
+        }, items.length * 60 + 300);
+    }
+
+    /**
+     * Show empty state
+     */
+    showEmptyState() {
+        if (this.container.querySelector('.empty-state')) return;
+
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.innerHTML = `
+            <i class="fas fa-exchange-alt"></i>
+            <p>Deque trống</p>
+            <span>Nhập giá trị và thêm vào đầu hoặc cuối</span>
+        `;
+
+        this.container.appendChild(emptyState);
+    }
+
+    /**
+     * Update status display and end markers
+     */
+    updateDisplay() {
+        const isEmpty = this.deque.isEmpty();
+
+        this.sizeDisplay.textContent = this.deque.size();
+        this.frontDisplay.textContent = isEmpty ? 'None' : this.deque.peekFront();
+        this.backDisplay.textContent = isEmpty ? 'None' : this.deque.peekBack();
+
+        if (isEmpty) {
+            this.statusDisplay.textContent = 'Empty';
+            this.statusDisplay.className = 'status-empty';
+        } else if (this.deque.isFull()) {
+            this.statusDisplay.textContent = 'Full';
+            this.statusDisplay.className = 'status-error';
+        } else {
+            this.statusDisplay.textContent = 'Active';
+            this.statusDisplay.className = 'status-active';
+        }
+
+        const items = this.getItems();
+        items.forEach((item, index) => {
+            item.classList.toggle('front-item', index === 0);
+            item.classList.toggle('back-item', index === items.length - 1);
+        });
+
+        [this.popFrontBtn, this.popBackBtn, this.clearBtn].forEach(btn => {
+            if (btn) {
+                btn.disabled = isEmpty;
+            }
+        });
+    }
+
+    /**
+     * Get current deque state for debugging
+     */
+    getState() {
+        return {
+            items: this.deque.toArray(),
+            size: this.deque.size(),
+            front: this.deque.peekFront(),
+            back: this.deque.peekBack()
+        };
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('dequeVisualization')) {
+        window.dequeDemo = new DequeDemo();
+    }
+});
+
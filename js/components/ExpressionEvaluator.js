@@ -0,0 +1,687 @@
+/**
+ * Expression Evaluator Component
+ * Converts infix expressions to postfix with the shunting-yard algorithm and
+ * evaluates postfix expressions, replaying the Stack (and Queue) token by token
+ *
+ * Infix mode: numbers and constants go straight to the output Queue,
+ * functions and '(' are pushed on the operator Stack, and an operator first
+ * pops every operator that binds at least as tightly (strictly tighter for
+ * right-associative '^' and unary minus). ')' pops back to its '('.
+ *
+ * Postfix mode: operands are pushed on an operand Stack; an operator or
+ * function pops its arguments and pushes the result.
+ *
+ * Parse errors stop at the offending token and record its position.
+ */
+
+class ExpressionEvaluator {
+    constructor() {
+        this.input = document.getElementById('exprInput');
+        this.modeSelect = document.getElementById('exprModeSelect');
+        this.textView = document.getElementById('exprTextView');
+        this.stackView = document.getElementById('exprStackView');
+        this.stackTitle = document.getElementById('exprStackTitle');
+        this.outputView = document.getElementById('exprOutputView');
+        this.outputColumn = document.getElementById('exprOutputColumn');
+        this.stepInfo = document.getElementById('exprStepInfo');
+        this.resultDisplay = document.getElementById('exprResult');
+
+        this.runBtn = document.getElementById('exprRunBtn');
+        this.playBtn = document.getElementById('exprPlayBtn');
+        this.pauseBtn = document.getElementById('exprPauseBtn');
+        this.stepBtn = document.getElementById('exprStepBtn');
+
+        this.analysis = null; // Result of toPostfix() or evaluate() for the current text
+        this.stepIndex = -1; // Last step shown, -1 before the first
+        this.timer = null;
+        this.stepDelay = 700;
+        this.lastPostfix = null; // Most recent successful conversion, offered in postfix mode
+
+        this.initializeEventListeners();
+        this.clearResult();
+    }
+
+    /**
+     * Initialize event listeners for the controls
+     */
+    initializeEventListeners() {
+        this.runBtn?.addEventListener('click', () => this.runToEnd());
+        this.playBtn?.addEventListener('click', () => this.play());
+        this.pauseBtn?.addEventListener('click', () => this.pause());
+        this.stepBtn?.addEventListener('click', () => this.step());
+        this.modeSelect?.addEventListener('change', () => this.setMode(this.modeSelect.value));
+
+        // Any edit invalidates the recorded steps
+        this.input?.addEventListener('input', () => this.clearResult());
+        this.input?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.runToEnd();
+            }
+        });
+    }
+
+    /**
+     * Current mode
+     * @returns {string} - 'infix' or 'postfix'
+     */
+    getMode() {
+        return this.modeSelect?.value === 'postfix' ? 'postfix' : 'infix';
+    }
+
+    /**
+     * Switch mode; postfix mode starts from the last conversion when there is one
+     * @param {string} mode - 'infix' or 'postfix'
+     */
+    setMode(mode) {
+        if (this.modeSelect) {
+            this.modeSelect.value = mode;
+        }
+        if (this.input) {
+            this.input.value = mode === 'postfix'
+                ? this.lastPostfix || ExpressionEvaluator.EXAMPLES.postfix
+                : ExpressionEvaluator.EXAMPLES.infix;
+        }
+        this.clearResult();
+    }
+
+    /**
+     * Split text into numbers, names, operators, parentheses and commas
+     * @param {string} text - Expression text
+     * @returns {Object} - { tokens: [{ type, text, index, end }], error }
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < text.length) {
+            const rest = text.slice(index);
+            const char = text[index];
+
+            if (/\s/.test(char)) {
+                index++;
+                continue;
+            }
+
+            const number = rest.match(/^(\d+\.?\d*|\.\d+)/);
+            const name = rest.match(/^[a-z_]\w*/i);
+            let type = null;
+            let length = 1;
+
+            if (number) {
+                type = 'number';
+                length = number[0].length;
+            } else if (name) {
+                type = 'name';
+                length = name[0].length;
+            } else if ('+-*/^%'.includes(char)) {
+                type = 'operator';
+            } else if (char === '(') {
+                type = 'lparen';
+            } else if (char === ')') {
+                type = 'rparen';
+            } else if (char === ',') {
+                type = 'comma';
+            } else {
+                return { tokens, error: { index, end: index + 1, message: `Ký tự không hợp lệ '${char}'` } };
+            }
+
+            tokens.push({ type, text: text.slice(index, index + length), index, end: index + length });
+            index += length;
+        }
+
+        return { tokens, error: null };
+    }
+
+    /**
+     * Convert an infix expression to postfix, recording both structures after every token
+     * @param {string} text - Infix expression
+     * @returns {Object} - { postfix, error, steps }
+     */
+    static toPostfix(text) {
+        const { tokens, error: tokenError } = ExpressionEvaluator.tokenize(text);
+        const operators = new Stack({ overflowPolicy: 'grow' });
+        const output = new Queue({ overflowPolicy: 'grow' });
+        const groups = []; // One per open '(': the function it belongs to and its argument count
+        const steps = [];
+
+        const record = (token, message, action = 'token') => steps.push({
+            action,
+            index: token.index,
+            end: token.end,
+            message,
+            stack: operators.toArray().map(item => item.text),
+            output: output.toArray().map(item => item.text)
+        });
+        const fail = (token, message) => {
+            record(token, message, 'error');
+            return { postfix: null, error: { index: token.index, end: token.end, message }, steps };
+        };
+        // Move operators to the output until '(' or one that binds less tightly than `incoming`
+        const popWhile = (incoming) => {
+            const moved = [];
+            while (!operators.isEmpty() && operators.peek().type !== 'lparen') {
+                const top = ExpressionEvaluator.OPERATORS[operators.peek().text];
+                if (incoming && !(top.precedence > incoming.precedence ||
+                    (top.precedence === incoming.precedence && !incoming.right))) {
+                    break;
+                }
+                const item = operators.pop();
+                output.enqueue(item);
+                moved.push(item.text);
+            }
+            return moved;
+        };
+
+        if (tokenError) return fail(tokenError, tokenError.message);
+        if (tokens.length === 0) return fail({ index: 0, end: 0 }, 'Biểu thức rỗng');
+
+        let expectOperand = true;
+
+        for (let position = 0; position < tokens.length; position++) {
+            const token = tokens[position];
+            const name = token.text.toLowerCase();
+
+            switch (token.type) {
+                case 'number':
+                case 'name': {
+                    if (token.type === 'name' && ExpressionEvaluator.lookup(ExpressionEvaluator.FUNCTIONS, name)) {
+                        if (!expectOperand) return fail(token, `Thiếu toán tử trước '${token.text}'`);
+                        if (tokens[position + 1]?.type !== 'lparen') {
+                            return fail(token, `Hàm ${token.text} cần '(' ngay sau tên`);
+                        }
+                        operators.push({ ...token, text: name, kind: 'function' });
+                        record(token, `Hàm ${name} → push lên stack toán tử`);
+                        break;
+                    }
+                    if (token.type === 'name' && !ExpressionEvaluator.lookup(ExpressionEvaluator.CONSTANTS, name)) {
+                        return fail(token, `Không biết '${token.text}' là hàm hay hằng số nào`);
+                    }
+                    if (!expectOperand) return fail(token, `Thiếu toán tử trước '${token.text}'`);
+
+                    output.enqueue(token);
+                    record(token, `Toán hạng ${token.text} → enqueue vào output`);
+                    expectOperand = false;
+                    break;
+                }
+                case 'operator': {
+                    if (expectOperand) {
+                        if (token.text !== '-') return fail(token, `Thiếu toán hạng trước '${token.text}'`);
+                        // Prefix operator: nothing before it can be popped
+                        operators.push({ ...token, text: 'neg', kind: 'unary' });
+                        record(token, `'-' không có toán hạng bên trái → dấu trừ một ngôi (neg), push`);
+                        break;
+                    }
+
+                    const moved = popWhile(ExpressionEvaluator.OPERATORS[token.text]);
+                    operators.push({ ...token, kind: 'binary' });
+                    record(token, moved.length > 0
+                        ? `Pop ${moved.join(', ')} ra output (ưu tiên không thấp hơn '${token.text}'), rồi push '${token.text}'`
+                        : `Push '${token.text}' lên stack toán tử`);
+                    expectOperand = true;
+                    break;
+                }
+                case 'lparen': {
+                    if (!expectOperand) return fail(token, `Thiếu toán tử trước '('`);
+                    const previous = tokens[position - 1];
+                    const fn = previous?.type === 'name' && ExpressionEvaluator.lookup(ExpressionEvaluator.FUNCTIONS, previous.text.toLowerCase())
+                        ? previous
+                        : null;
+                    groups.push({ fn, args: 1 });
+                    operators.push(token);
+                    record(token, `'(' → push lên stack toán tử`);
+                    break;
+                }
+                case 'comma': {
+                    if (expectOperand) return fail(token, `Thiếu toán hạng trước ','`);
+                    const moved = popWhile(null);
+                    const group = groups[groups.length - 1];
+                    if (!group?.fn) return fail(token, `Dấu ',' chỉ dùng giữa các đối số của hàm`);
+                    group.args++;
+                    record(token, `',' → pop ${moved.length > 0 ? moved.join(', ') : 'không gì'} tới '(' và chờ đối số tiếp theo`);
+                    expectOperand = true;
+                    break;
+                }
+                default: {
+                    if (expectOperand) return fail(token, `Thiếu toán hạng trước ')'`);
+                    const moved = popWhile(null);
+                    if (operators.isEmpty()) return fail(token, `')' không có '(' tương ứng`);
+                    operators.pop(); // The matching '('
+
+                    const group = groups.pop();
+                    let message = `')' → pop ${moved.length > 0 ? moved.join(', ') : 'không gì'} ra output, bỏ cặp ngoặc`;
+                    if (group.fn) {
+                        const fnName = group.fn.text.toLowerCase();
+                        const arity = ExpressionEvaluator.FUNCTIONS[fnName].arity;
+                        if (group.args !== arity) {
+                            return fail(group.fn, `Hàm ${fnName} cần ${arity} đối số nhưng nhận ${group.args}`);
+                        }
+                        output.enqueue(operators.pop());
+                        message += `, rồi pop hàm ${fnName} ra output`;
+                    }
+                    record(token, message);
+                    expectOperand = false;
+                }
+            }
+        }
+
+        const last = tokens[tokens.length - 1];
+        if (expectOperand) return fail(last, `Biểu thức kết thúc khi còn thiếu toán hạng sau '${last.text}'`);
+
+        const end = { index: text.length, end: text.length };
+        while (!operators.isEmpty()) {
+            if (operators.peek().type === 'lparen') return fail(operators.peek(), `'(' chưa được đóng`);
+            output.enqueue(operators.pop());
+        }
+        record(end, 'Hết biểu thức: pop toàn bộ stack toán tử ra output', 'done');
+
+        return { postfix: output.toArray().map(item => item.text).join(' '), error: null, steps };
+    }
+
+    /**
+     * Evaluate a postfix expression with an operand stack, recording it after every token
+     * @param {string} text - Postfix expression, tokens separated by spaces
+     * @returns {Object} - { value, error, steps }
+     */
+    static evaluate(text) {
+        const { tokens, error: tokenError } = ExpressionEvaluator.tokenize(text);
+        const operands = new Stack({ overflowPolicy: 'grow' });
+        const steps = [];
+        const format = ExpressionEvaluator.formatNumber;
+
+        const record = (token, message, action = 'token') => steps.push({
+            action,
+            index: token.index,
+            end: token.end,
+            message,
+            stack: operands.toArray().map(item => format(item.value)),
+            output: null
+        });
+        const fail = (token, message) => {
+            record(token, message, 'error');
+            return { value: null, error: { index: token.index, end: token.end, message }, steps };
+        };
+
+        if (tokenError) return fail(tokenError, tokenError.message);
+        if (tokens.length === 0) return fail({ index: 0, end: 0 }, 'Biểu thức rỗng');
+
+        for (const token of tokens) {
+            const name = token.text.toLowerCase();
+            let apply = null;
+            let arity = 0;
+
+            if (token.type === 'number' || ExpressionEvaluator.lookup(ExpressionEvaluator.CONSTANTS, name)) {
+                const value = token.type === 'number' ? Number(token.text) : ExpressionEvaluator.CONSTANTS[name];
+                operands.push({ ...token, value });
+                record(token, `Toán hạng ${token.text} → push`);
+                continue;
+            }
+
+            if (token.type === 'operator' || name === 'neg') {
+                ({ apply, arity } = ExpressionEvaluator.OPERATORS[token.type === 'operator' ? token.text : 'neg']);
+            } else if (token.type === 'name' && ExpressionEvaluator.lookup(ExpressionEvaluator.FUNCTIONS, name)) {
+                ({ apply, arity } = ExpressionEvaluator.FUNCTIONS[name]);
+            } else if (token.type === 'name') {
+                return fail(token, `Không biết '${token.text}' là toán tử, hàm hay hằng số nào`);
+            } else {
+                return fail(token, `'${token.text}' không dùng trong biểu thức hậu tố`);
+            }
+
+            if (operands.size() < arity) {
+                return fail(token, `'${token.text}' cần ${arity} toán hạng nhưng stack chỉ có ${operands.size()}`);
+            }
+
+            const args = [];
+            for (let i = 0; i < arity; i++) {
+                args.unshift(operands.pop().value);
+            }
+            if (token.text === '/' && args[1] === 0) {
+                return fail(token, 'Chia cho 0');
+            }
+
+            const value = apply(...args);
+            if (!Number.isFinite(value)) {
+                return fail(token, `${token.text}(${args.map(format).join(', ')}) không xác định`);
+            }
+
+            operands.push({ ...token, value });
+            record(token, `Pop ${args.map(format).join(', ')} → ${token.text} = ${format(value)}, push kết quả`);
+        }
+
+        if (operands.size() > 1) {
+            return fail(operands.toArray()[1], `Thừa ${operands.size() - 1} toán hạng: thiếu toán tử`);
+        }
+
+        const value = operands.peek().value;
+        record({ index: text.length, end: text.length }, `Hết biểu thức: kết quả là phần tử duy nhất trên stack (${format(value)})`, 'done');
+        return { value, error: null, steps };
+    }
+
+    /**
+     * Find an entry in OPERATORS, FUNCTIONS or CONSTANTS by its own keys only
+     * @param {Object} table - Table to search
+     * @param {string} name - Lower-case name
+     * @returns {*} - Entry, or null so names like 'constructor' are not found
+     */
+    static lookup(table, name) {
+        return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : null;
+    }
+
+    /**
+     * Round away floating-point noise for display
+     * @param {number} value - Number to show
+     * @returns {string} - Display text
+     */
+    static formatNumber(value) {
+        return String(Number(value.toFixed(6)));
+    }
+
+    /**
+     * Analyze the current input if it has not been analyzed yet
+     */
+    prepare() {
+        if (this.analysis) return;
+
+        const text = this.input?.value ?? '';
+        this.chars = Array.from(text);
+        this.analysis = this.getMode() === 'postfix'
+            ? ExpressionEvaluator.evaluate(text)
+            : ExpressionEvaluator.toPostfix(text);
+        this.stepIndex = -1;
+
+        if (this.analysis.postfix) {
+            this.lastPostfix = this.analysis.postfix;
+        }
+        this.renderText();
+    }
+
+    /**
+     * Show the next step
+     * @returns {boolean} - True if a step was shown, false at the end
+     */
+    step() {
+        this.prepare();
+
+        if (this.stepIndex >= this.analysis.steps.length - 1) {
+            this.showResult();
+            this.pause();
+            return false;
+        }
+
+        this.stepIndex++;
+        this.renderStep();
+        if (this.stepIndex === this.analysis.steps.length - 1) {
+            this.showResult();
+        }
+        this.updateButtons();
+        return true;
+    }
+
+    /**
+     * Step automatically until the end or until paused
+     */
+    play() {
+        this.prepare();
+        if (this.timer) return;
+
+        const tick = () => {
+            if (this.step()) {
+                this.timer = setTimeout(tick, this.stepDelay);
+            } else {
+                this.timer = null;
+            }
+        };
+
+        this.timer = setTimeout(tick, 0);
+        this.updateButtons();
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateButtons();
+    }
+
+    /**
+     * Jump straight to the final state and result
+     */
+    runToEnd() {
+        this.pause();
+        this.prepare();
+
+        this.stepIndex = this.analysis.steps.length - 1;
+        this.renderStep();
+        this.showResult();
+        this.updateButtons();
+    }
+
+    /**
+     * Forget the current analysis, highlights and result; keeps the input text
+     */
+    clearResult() {
+        this.pause();
+        this.analysis = null;
+        this.stepIndex = -1;
+        this.chars = Array.from(this.input?.value ?? '');
+
+        const postfix = this.getMode() === 'postfix';
+        if (this.stackTitle) {
+            this.stackTitle.textContent = postfix ? 'Stack toán hạng' : 'Stack toán tử';
+        }
+        if (this.outputColumn) {
+            this.outputColumn.hidden = postfix;
+        }
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent = '';
+            this.resultDisplay.className = 'result';
+            this.resultDisplay.hidden = true;
+        }
+        if (this.stepInfo) {
+            this.stepInfo.textContent = '';
+        }
+
+        this.renderText();
+        this.renderStack([]);
+        this.renderOutput([]);
+        this.updateButtons();
+    }
+
+    /**
+     * Draw the input text one span per character
+     */
+    renderText() {
+        if (!this.textView) return;
+
+        this.textView.innerHTML = '';
+        this.chars.forEach((char, index) => {
+            const span = document.createElement('span');
+            span.className = 'bracket-char';
+            span.dataset.index = index;
+            span.textContent = char;
+            this.textView.appendChild(span);
+        });
+    }
+
+    /**
+     * Highlight the current token and draw both structures for the current step
+     */
+    renderStep() {
+        const steps = this.analysis.steps;
+        const current = steps[this.stepIndex];
+        const spans = this.textView ? Array.from(this.textView.children) : [];
+
+        spans.forEach(span => span.classList.remove('current', 'matched', 'mismatch'));
+        if (!current) return;
+
+        // Tokens before the current one have been consumed
+        spans.slice(0, current.index).forEach(span => span.classList.add('matched'));
+        spans.slice(current.index, current.end).forEach(span => {
+            span.classList.add(current.action === 'error' ? 'mismatch' : 'current');
+        });
+
+        if (this.stepInfo) {
+            const where = current.index < this.chars.length ? ` (vị trí ${current.index})` : '';
+            this.stepInfo.textContent = `Bước ${this.stepIndex + 1}/${steps.length}${where}: ${current.message}`;
+        }
+
+        const previous = steps[this.stepIndex - 1];
+        this.renderStack(current.stack, (previous?.stack.length ?? 0) < current.stack.length);
+        this.renderOutput(current.output || []);
+    }
+
+    /**
+     * Draw the stack, top first
+     * @param {Array} items - Stack contents, bottom first
+     * @param {boolean} [grew] - Whether the last step pushed, to animate the top
+     */
+    renderStack(items, grew = false) {
+        if (!this.stackView) return;
+
+        this.stackView.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = 'Stack trống';
+            this.stackView.appendChild(empty);
+            return;
+        }
+
+        [...items].reverse().forEach((item, position) => {
+            const element = document.createElement('div');
+            element.className = 'bracket-stack-item';
+            if (position === 0 && grew) {
+                element.classList.add('animate-stackPush');
+            }
+            element.textContent = item;
+            this.stackView.appendChild(element);
+        });
+    }
+
+    /**
+     * Draw the output queue, front on the left
+     * @param {Array} items - Output tokens in order
+     */
+    renderOutput(items) {
+        if (!this.outputView) return;
+
+        this.outputView.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = 'Queue trống';
+            this.outputView.appendChild(empty);
+            return;
+        }
+
+        items.forEach(item => {
+            const element = document.createElement('span');
+            element.className = 'expr-output-item';
+            element.textContent = item;
+            this.outputView.appendChild(element);
+        });
+    }
+
+    /**
+     * Show the converted expression or value, or where parsing failed
+     */
+    showResult() {
+        if (!this.resultDisplay || !this.analysis) return;
+
+        const { error } = this.analysis;
+        let message;
+
+        if (error) {
+            message = error.index < this.chars.length
+                ? `Lỗi tại vị trí ${error.index} ('${this.chars.slice(error.index, error.end).join('')}'): ${error.message}`
+                : `Lỗi: ${error.message}`;
+        } else if (this.getMode() === 'postfix') {
+            message = `Kết quả: ${ExpressionEvaluator.formatNumber(this.analysis.value)}`;
+        } else {
+            message = `Hậu tố: ${this.analysis.postfix}`;
+        }
+
+        this.resultDisplay.textContent = message;
+        this.resultDisplay.className = `result ${error ? 'error' : 'success'}`;
+        this.resultDisplay.hidden = false;
+    }
+
+    /**
+     * Enable/disable playback buttons
+     */
+    updateButtons() {
+        const playing = this.timer !== null;
+        const finished = this.analysis !== null && this.stepIndex >= this.analysis.steps.length - 1;
+
+        if (this.playBtn) {
+            this.playBtn.disabled = playing || finished;
+        }
+        if (this.pauseBtn) {
+            this.pauseBtn.disabled = !playing;
+        }
+        if (this.stepBtn) {
+            this.stepBtn.disabled = playing || finished;
+        }
+    }
+
+    /**
+     * Get current evaluator state for debugging
+     */
+    getState() {
+        return {
+            mode: this.getMode(),
+            text: this.input?.value ?? '',
+            stepIndex: this.stepIndex,
+            steps: this.analysis?.steps.length ?? 0,
+            postfix: this.analysis?.postfix ?? null,
+            value: this.analysis?.value ?? null,
+            error: this.analysis?.error ?? null
+        };
+    }
+}
+
+// Binary operators plus unary minus ('neg'); '^' and 'neg' group right to left
+ExpressionEvaluator.OPERATORS = {
+    '+': { precedence: 1, arity: 2, apply: (a, b) => a + b },
+    '-': { precedence: 1, arity: 2, apply: (a, b) => a - b },
+    '*': { precedence: 2, arity: 2, apply: (a, b) => a * b },
+    '/': { precedence: 2, arity: 2, apply: (a, b) => a / b },
+    '%': { precedence: 2, arity: 2, apply: (a, b) => a % b },
+    neg: { precedence: 3, arity: 1, right: true, apply: (a) => -a },
+    '^': { precedence: 4, arity: 2, right: true, apply: (a, b) => a ** b }
+};
+
+// Functions callable as name(args)
+ExpressionEvaluator.FUNCTIONS = {
+    sqrt: { arity: 1, apply: Math.sqrt },
+    abs: { arity: 1, apply: Math.abs },
+    sin: { arity: 1, apply: Math.sin },
+    cos: { arity: 1, apply: Math.cos },
+    tan: { arity: 1, apply: Math.tan },
+    ln: { arity: 1, apply: Math.log },
+    log: { arity: 1, apply: Math.log10 },
+    max: { arity: 2, apply: Math.max },
+    min: { arity: 2, apply: Math.min }
+};
+
+// Named constants
+ExpressionEvaluator.CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+// Input shown when switching to each mode
+ExpressionEvaluator.EXAMPLES = {
+    infix: '-2 ^ 2 + max(3, 4 * 2) / (1 - 5)',
+    postfix: '3 4 2 * 1 5 - / +'
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('exprInput')) {
+        window.expressionEvaluator = new ExpressionEvaluator();
+    }
+});
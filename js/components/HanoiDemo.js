@@ -0,0 +1,525 @@
+/**
+ * Tower of Hanoi Component
+ * Three pegs, each a Stack of disk sizes drawn in the StackDemo style
+ *
+ * Every peg Stack has a validator that rejects a disk larger than its top,
+ * so the rule lives in the data structure: a manual move (click or drag) is
+ * simply a push onto the target and, if that succeeds, a pop from the source.
+ * Auto-solve plans the optimal moves from the current position to peg C,
+ * which from the starting position is exactly 2^n - 1 moves.
+ */
+
+class HanoiDemo {
+    constructor() {
+        this.board = document.getElementById('hanoiBoard');
+        this.pegElements = [...(this.board?.querySelectorAll('.hanoi-peg') || [])];
+        this.diskCountInput = document.getElementById('hanoiDiskCount');
+        this.speedInput = document.getElementById('hanoiSpeed');
+        this.movesDisplay = document.getElementById('hanoiMoves');
+        this.actionDisplay = document.getElementById('hanoiAction');
+        this.resultDisplay = document.getElementById('hanoiResult');
+
+        this.solveBtn = document.getElementById('hanoiSolveBtn');
+        this.pauseBtn = document.getElementById('hanoiPauseBtn');
+        this.stepBtn = document.getElementById('hanoiStepBtn');
+        this.resetBtn = document.getElementById('hanoiResetBtn');
+
+        this.timer = null;
+
+        this.initializeEventListeners();
+        this.reset();
+    }
+
+    /**
+     * Initialize event listeners for the controls and the pegs
+     */
+    initializeEventListeners() {
+        this.solveBtn?.addEventListener('click', () => this.run());
+        this.pauseBtn?.addEventListener('click', () => this.pause());
+        this.stepBtn?.addEventListener('click', () => this.step());
+        this.resetBtn?.addEventListener('click', () => this.reset());
+        this.diskCountInput?.addEventListener('change', () => this.reset());
+
+        this.pegElements.forEach((pegElement, index) => {
+            pegElement.addEventListener('click', () => this.selectPeg(index));
+
+            pegElement.addEventListener('dragstart', (e) => {
+                if (!e.target.classList?.contains('hanoi-disk')) return;
+                this.dragFrom = index;
+                this.clearSelection();
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(index));
+            });
+            pegElement.addEventListener('dragend', () => {
+                this.dragFrom = null;
+                this.pegElements.forEach(peg => peg.classList.remove('drag-over'));
+            });
+            pegElement.addEventListener('dragover', (e) => {
+                if (this.dragFrom === null) return;
+                e.preventDefault();
+                pegElement.classList.add('drag-over');
+            });
+            pegElement.addEventListener('dragleave', () => pegElement.classList.remove('drag-over'));
+            pegElement.addEventListener('drop', (e) => {
+                if (this.dragFrom === null) return;
+                e.preventDefault();
+                pegElement.classList.remove('drag-over');
+                this.moveDisk(this.dragFrom, index);
+                this.dragFrom = null;
+            });
+        });
+    }
+
+    /**
+     * Safe notification wrapper
+     * @param {string} message - Message to show
+     * @param {string} type - success, info, warning or error
+     */
+    notify(message, type = 'info') {
+        if (typeof window.notifications === 'undefined') {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+        window.notifications[type]?.(message);
+    }
+
+    /**
+     * Number of disks from the input, clamped to the allowed range
+     * @returns {number} - Disk count
+     */
+    getDiskCount() {
+        return readIntInput(this.diskCountInput, {
+            min: 1,
+            max: HanoiDemo.MAX_DISKS,
+            fallback: HanoiDemo.DEFAULT_DISKS
+        });
+    }
+
+    /**
+     * Fewest moves that solve the current puzzle
+     * @returns {number} - 2^n - 1
+     */
+    getMinMoves() {
+        return 2 ** this.diskCount - 1;
+    }
+
+    /**
+     * Stop playback and stack every disk on peg A, largest at the bottom
+     */
+    reset() {
+        this.pause();
+
+        this.diskCount = this.getDiskCount();
+        if (this.diskCountInput) {
+            this.diskCountInput.value = this.diskCount;
+        }
+
+        this.moves = 0;
+        this.plan = null;
+        this.selected = null;
+        this.dragFrom = null;
+        this.finished = false;
+        this.lastAction = null;
+
+        this.pegs = HanoiDemo.PEG_NAMES.map((name, index) => {
+            const peg = new Stack({ validator: HanoiDemo.diskRule });
+            peg.setMaxSize(this.diskCount);
+            this.bindPegEvents(peg, index);
+            return peg;
+        });
+
+        this.pegElements.forEach((pegElement, index) => {
+            pegElement.classList.remove('selected', 'drag-over');
+            this.getContainer(index).innerHTML = '';
+        });
+
+        for (let disk = this.diskCount; disk >= 1; disk--) {
+            this.pegs[0].push(disk);
+        }
+
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent = '';
+            this.resultDisplay.className = 'result';
+            this.resultDisplay.hidden = true;
+        }
+        this.updateDisplay();
+    }
+
+    /**
+     * Draw disks as a peg Stack pushes, pops or rejects them
+     * @param {Stack} peg - Peg stack
+     * @param {number} index - Peg position (0 = A)
+     */
+    bindPegEvents(peg, index) {
+        peg.on('push', ({ value }) => this.addDisk(index, value));
+        peg.on('pop', () => this.removeDisk(index));
+        peg.on('reject', ({ value }) => this.showRejectedDisk(index, value));
+    }
+
+    /**
+     * Click handling: the first click picks a source peg, the second a target
+     * @param {number} index - Clicked peg
+     */
+    selectPeg(index) {
+        if (this.timer || this.finished) return;
+
+        if (this.selected === null) {
+            if (this.pegs[index].isEmpty()) {
+                this.notify(`Cọc ${HanoiDemo.PEG_NAMES[index]} không có đĩa nào`, 'warning');
+                return;
+            }
+            this.selected = index;
+            this.pegElements[index].classList.add('selected');
+            return;
+        }
+
+        const from = this.selected;
+        this.clearSelection();
+        if (from !== index) {
+            this.moveDisk(from, index);
+        }
+    }
+
+    /**
+     * Forget the peg picked by the first click
+     */
+    clearSelection() {
+        if (this.selected !== null) {
+            this.pegElements[this.selected]?.classList.remove('selected');
+        }
+        this.selected = null;
+    }
+
+    /**
+     * Move the top disk of one peg onto another if the rule allows it
+     * @param {number} from - Source peg
+     * @param {number} to - Target peg
+     * @returns {boolean} - True if the disk moved
+     */
+    moveDisk(from, to) {
+        if (this.finished || from === to) return false;
+
+        const source = this.pegs[from];
+        if (source.isEmpty()) {
+            this.notify(`Cọc ${HanoiDemo.PEG_NAMES[from]} không có đĩa nào`, 'warning');
+            return false;
+        }
+
+        const disk = source.peek();
+        const target = this.pegs[to];
+        const route = `${HanoiDemo.PEG_NAMES[from]} → ${HanoiDemo.PEG_NAMES[to]}`;
+
+        try {
+            // Push first: the validator checks the target, the source is only popped on success
+            target.push(disk);
+        } catch (error) {
+            if (error instanceof RuleViolationError) {
+                this.lastAction = `Không hợp lệ: đĩa ${disk} lớn hơn đĩa ${target.peek()} trên cọc ${HanoiDemo.PEG_NAMES[to]}`;
+                this.notify('Không được đặt đĩa lớn lên đĩa nhỏ hơn', 'warning');
+                this.updateDisplay();
+                return false;
+            }
+            throw error;
+        }
+        source.pop();
+
+        this.moves++;
+        this.plan = null; // A manual move invalidates the remaining auto-solve moves
+        this.lastAction = `Nước ${this.moves}: đĩa ${disk} ${route}`;
+
+        if (this.pegs[HanoiDemo.TARGET].size() === this.diskCount) {
+            this.finish();
+        }
+        this.updateDisplay();
+        return true;
+    }
+
+    /**
+     * Show the result once every disk is on peg C
+     */
+    finish() {
+        this.finished = true;
+        this.pause();
+
+        const minMoves = this.getMinMoves();
+        const optimal = this.moves === minMoves;
+
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent = optimal
+                ? `Hoàn thành với ${this.moves} nước, đúng số nước tối thiểu 2^${this.diskCount} − 1 = ${minMoves}`
+                : `Hoàn thành với ${this.moves} nước, tối thiểu là 2^${this.diskCount} − 1 = ${minMoves}`;
+            this.resultDisplay.className = optimal ? 'result success' : 'result warning';
+            this.resultDisplay.hidden = false;
+        }
+        this.notify('Đã chuyển hết đĩa sang cọc C!', 'success');
+    }
+
+    /**
+     * Peg each disk is on, indexed by disk size
+     * @returns {Array<number>} - positions[disk] = peg index
+     */
+    getPositions() {
+        const positions = [];
+        this.pegs.forEach((peg, index) => {
+            peg.toArray().forEach(disk => {
+                positions[disk] = index;
+            });
+        });
+        return positions;
+    }
+
+    /**
+     * Make the next optimal move towards peg C
+     * @returns {boolean} - True while there are moves left
+     */
+    step() {
+        if (this.finished) {
+            this.pause();
+            return false;
+        }
+
+        this.clearSelection();
+        if (!this.plan) {
+            this.plan = HanoiDemo.planMoves(this.getPositions(), HanoiDemo.TARGET);
+        }
+
+        const [from, to] = this.plan.shift();
+        const plan = this.plan;
+        this.moveDisk(from, to);
+        this.plan = plan; // moveDisk() drops the plan as for a manual move; keep ours
+
+        return !this.finished;
+    }
+
+    /**
+     * Auto-solve: keep stepping at the selected speed until solved or paused
+     */
+    run() {
+        if (this.timer || this.finished) return;
+
+        const tick = () => {
+            this.timer = this.step() ? setTimeout(tick, this.getDelay()) : null;
+            this.updateButtons();
+        };
+
+        this.timer = setTimeout(tick, 0);
+        this.updateButtons();
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateDraggable();
+        this.updateButtons();
+    }
+
+    /**
+     * Delay between moves from the speed slider (right = faster)
+     * @returns {number} - Milliseconds
+     */
+    getDelay() {
+        const speed = Number(this.speedInput?.value ?? 5); // 1..10
+        return (11 - speed) * 60;
+    }
+
+    /**
+     * Stack view inside a peg element
+     * @param {number} index - Peg position
+     * @returns {HTMLElement} - The .hanoi-stack element
+     */
+    getContainer(index) {
+        return this.pegElements[index]?.querySelector('.hanoi-stack');
+    }
+
+    /**
+     * Fill a disk element; its width grows with its size
+     * @param {HTMLElement} element - Disk element
+     * @param {number} disk - Disk size
+     */
+    renderDisk(element, disk) {
+        element.textContent = disk;
+        element.dataset.disk = disk;
+        element.style.width = `${30 + (70 * disk) / this.diskCount}%`;
+    }
+
+    /**
+     * Push a disk element on top of a peg view
+     * @param {number} index - Peg position
+     * @param {number} disk - Disk size
+     */
+    addDisk(index, disk) {
+        const container = this.getContainer(index);
+        if (!container) return;
+
+        const element = document.createElement('div');
+        element.className = 'stack-item hanoi-disk animate-stackPush';
+        this.renderDisk(element, disk);
+        container.appendChild(element);
+        this.updateDraggable();
+    }
+
+    /**
+     * Animate the top disk out of a peg view
+     * @param {number} index - Peg position
+     */
+    removeDisk(index) {
+        const container = this.getContainer(index);
+        if (!container) return;
+
+        const items = container.querySelectorAll('.hanoi-disk:not(.removing)');
+        if (items.length === 0) return;
+
+        const topItem = items[items.length - 1];
+        topItem.draggable = false;
+        topItem.classList.add('removing', 'animate-stackPop');
+        this.updateDraggable();
+
+        setTimeout(() => {
+            topItem.remove();
+        }, 400);
+    }
+
+    /**
+     * Briefly show the disk the rule refused on top of the target peg
+     * @param {number} index - Target peg
+     * @param {number} disk - Rejected disk
+     */
+    showRejectedDisk(index, disk) {
+        const container = this.getContainer(index);
+        if (!container) return;
+
+        const ghost = document.createElement('div');
+        ghost.className = 'stack-item hanoi-disk evicted animate-stackPush';
+        this.renderDisk(ghost, disk);
+        container.appendChild(ghost);
+
+        setTimeout(() => {
+            ghost.classList.replace('animate-stackPush', 'animate-stackPop');
+        }, 600);
+
+        setTimeout(() => {
+            ghost.remove();
+        }, 1000);
+    }
+
+    /**
+     * Only the top disk of each peg can be dragged, and not during auto-solve
+     */
+    updateDraggable() {
+        this.pegElements.forEach((pegElement, index) => {
+            const items = pegElement.querySelectorAll('.hanoi-disk:not(.removing):not(.evicted)');
+            items.forEach((item, position) => {
+                item.draggable = !this.timer && !this.finished && position === items.length - 1;
+            });
+        });
+    }
+
+    /**
+     * Update the move counter, last action and buttons
+     */
+    updateDisplay() {
+        if (this.movesDisplay) {
+            this.movesDisplay.textContent = `${this.moves}/${this.getMinMoves()}`;
+        }
+        if (this.actionDisplay) {
+            this.actionDisplay.textContent =
+                this.lastAction || 'Nhấn một cọc rồi cọc đích, kéo đĩa trên cùng, hoặc nhấn Tự giải';
+        }
+        this.updateDraggable();
+        this.updateButtons();
+    }
+
+    /**
+     * Enable/disable playback buttons
+     */
+    updateButtons() {
+        const playing = this.timer !== null;
+
+        if (this.solveBtn) {
+            this.solveBtn.disabled = playing || this.finished;
+        }
+        if (this.pauseBtn) {
+            this.pauseBtn.disabled = !playing;
+        }
+        if (this.stepBtn) {
+            this.stepBtn.disabled = playing || this.finished;
+        }
+        this.board?.classList.toggle('playing', playing);
+    }
+
+    /**
+     * Validator for every peg: a disk may only go on an empty peg or a larger disk
+     * @param {number} disk - Disk being pushed
+     * @param {number|null} top - Disk currently on top, null if the peg is empty
+     * @returns {boolean|string} - True, or the reason the move is illegal
+     */
+    static diskRule(disk, top) {
+        if (top === null || disk < top) {
+            return true;
+        }
+        return `disk ${disk} is larger than disk ${top}`;
+    }
+
+    /**
+     * Optimal moves that gather every disk on one peg from any legal position
+     *
+     * To bring disks 1..k to a peg: if disk k is already there, only 1..k-1
+     * still have to follow; otherwise 1..k-1 step aside to the third peg,
+     * disk k moves, and 1..k-1 follow it. From the start this is 2^n - 1 moves.
+     * @param {Array<number>} positions - positions[disk] = peg index, disks 1..n
+     * @param {number} target - Peg every disk should end on
+     * @returns {Array<Array<number>>} - [from, to] pairs in order
+     */
+    static planMoves(positions, target) {
+        const where = [...positions];
+        const moves = [];
+
+        const gather = (disk, to) => {
+            if (disk < 1) return;
+            if (where[disk] === to) {
+                gather(disk - 1, to);
+                return;
+            }
+            const aside = 3 - where[disk] - to;
+            gather(disk - 1, aside);
+            moves.push([where[disk], to]);
+            where[disk] = to;
+            gather(disk - 1, to);
+        };
+
+        gather(where.length - 1, target);
+        return moves;
+    }
+
+    /**
+     * Get current puzzle state for debugging
+     */
+    getState() {
+        return {
+            pegs: this.pegs.map(peg => peg.toArray()),
+            disks: this.diskCount,
+            moves: this.moves,
+            minMoves: this.getMinMoves(),
+            planned: this.plan ? this.plan.length : null,
+            finished: this.finished
+        };
+    }
+}
+
+// Peg labels, left to right; the puzzle is solved when every disk is on TARGET
+HanoiDemo.PEG_NAMES = ['A', 'B', 'C'];
+HanoiDemo.TARGET = 2;
+
+// Disk count used until the user picks another, and the largest accepted
+HanoiDemo.DEFAULT_DISKS = 4;
+HanoiDemo.MAX_DISKS = 10;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('hanoiBoard')) {
+        window.hanoiDemo = new HanoiDemo();
+    }
+});
@@ -0,0 +1,194 @@
+/**
+ * Linked List View Component
+ * Draws a singly linked list as node boxes joined by `next` arrows, with
+ * labelled references (top, head, tail) that slide to their new node when
+ * an operation reassigns them. Shared by the Stack and Queue demos.
+ */
+
+class LinkedListView {
+    /**
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Object} options - View options
+     * @param {Array} options.pointers - [{ name, role: 'first'|'last', side: 'above'|'below' }]
+     * @param {number} [options.stepDelay=350] - Milliseconds between animation frames
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.pointers = options.pointers;
+        this.stepDelay = options.stepDelay || 350;
+
+        this.values = []; // Values after every queued operation, first node first
+        this.frames = [];
+        this.isAnimating = false;
+        this.generation = 0; // Bumped to abandon a replay in progress
+
+        this.container.innerHTML = '';
+        this.list = document.createElement('div');
+        this.list.className = 'linked-list';
+        this.container.appendChild(this.list);
+
+        this.pointerElements = {};
+        this.pointers.forEach(({ name, side }) => {
+            const pointer = document.createElement('div');
+            pointer.className = `list-pointer ${side}`;
+            pointer.innerHTML = `<span></span><i class="fas fa-arrow-${side === 'above' ? 'down' : 'up'}"></i>`;
+            pointer.querySelector('span').textContent = name;
+            this.container.appendChild(pointer);
+            this.pointerElements[name] = pointer;
+        });
+
+        this.show([]);
+    }
+
+    /**
+     * Pointer targets for a list of the given length
+     * @param {number} length - Number of nodes
+     * @returns {Object} - { first, last } node indices, null when the list is empty
+     */
+    ends(length) {
+        return length === 0 ? { first: null, last: null } : { first: 0, last: length - 1 };
+    }
+
+    /**
+     * Redraw immediately, dropping any pending animation
+     * @param {Array} values - Node values, first node first
+     */
+    show(values) {
+        this.generation++;
+        this.frames = [];
+        this.isAnimating = false;
+        this.values = [...values];
+        this.drawFrame({ values: this.values, targets: this.ends(this.values.length) });
+    }
+
+    /**
+     * New node becomes the first one: link it to the old first node, then move the reference
+     * @param {*} value - Value of the new node
+     */
+    insertFirst(value) {
+        const before = this.values;
+        const after = [value, ...before];
+        const old = before.length === 0 ? { first: null, last: null } : { first: 1, last: before.length };
+
+        this.queueFrames([
+            { values: after, targets: old, highlight: { 0: 'new' } },
+            { values: after, targets: this.ends(after.length), highlight: { 0: 'new' } }
+        ]);
+        this.values = after;
+    }
+
+    /**
+     * New node becomes the last one: draw it, link the old last node to it, then move the reference
+     * @param {*} value - Value of the new node
+     */
+    insertLast(value) {
+        const before = this.values;
+        const after = [...before, value];
+        const old = this.ends(before.length);
+
+        this.queueFrames([
+            { values: after, targets: old, highlight: { [before.length]: 'new' }, hiddenArrow: before.length - 1 },
+            { values: after, targets: old, highlight: { [before.length]: 'new' } },
+            { values: after, targets: this.ends(after.length), highlight: { [before.length]: 'new' } }
+        ]);
+        this.values = after;
+    }
+
+    /**
+     * Move the reference past the first node, then unlink it
+     */
+    removeFirst() {
+        const before = this.values;
+        if (before.length === 0) return;
+
+        const after = before.slice(1);
+        const moved = after.length === 0 ? { first: null, last: null } : { first: 1, last: before.length - 1 };
+
+        this.queueFrames([
+            { values: before, targets: this.ends(before.length), highlight: { 0: 'removing' } },
+            { values: before, targets: moved, highlight: { 0: 'removing' } }
+        ]);
+        this.values = after;
+    }
+
+    /**
+     * Move the reference back to the second-last node, then unlink the last one
+     */
+    removeLast() {
+        const before = this.values;
+        if (before.length === 0) return;
+
+        const after = before.slice(0, -1);
+        const last = before.length - 1;
+        const moved = after.length === 0 ? { first: null, last: null } : { first: 0, last: last - 1 };
+
+        this.queueFrames([
+            { values: before, targets: this.ends(before.length), highlight: { [last]: 'removing' } },
+            { values: before, targets: moved, highlight: { [last]: 'removing' }, hiddenArrow: last - 1 }
+        ]);
+        this.values = after;
+    }
+
+    /**
+     * Append frames for one operation, followed by its settled state
+     * @param {Object[]} frames - Frames to play
+     */
+    queueFrames(frames) {
+        const settled = frames[frames.length - 1].values.filter((value, index) =>
+            frames[frames.length - 1].highlight?.[index] !== 'removing');
+        this.frames.push(...frames, { values: settled, targets: this.ends(settled.length) });
+
+        if (!this.isAnimating) {
+            this.playFrames();
+        }
+    }
+
+    /**
+     * Play queued frames one at a time
+     */
+    async playFrames() {
+        const generation = this.generation;
+        this.isAnimating = true;
+
+        while (this.frames.length > 0) {
+            this.drawFrame(this.frames.shift());
+            await new Promise(resolve => setTimeout(resolve, this.stepDelay));
+            if (generation !== this.generation) return;
+        }
+
+        this.isAnimating = false;
+    }
+
+    /**
+     * Draw one frame: nodes, arrows, the null terminator and every reference
+     * @param {Object} frame - { values, targets, highlight, hiddenArrow }
+     */
+    drawFrame({ values, targets, highlight = {}, hiddenArrow = -1 }) {
+        this.list.innerHTML = '';
+        const nodes = values.map((value, index) => {
+            const node = document.createElement('div');
+            node.className = `list-node ${highlight[index] || ''}`.trim();
+            node.innerHTML = '<span class="node-value"></span><span class="node-next">next</span>';
+            node.querySelector('.node-value').textContent = value;
+            this.list.appendChild(node);
+
+            const arrow = document.createElement('div');
+            arrow.className = `list-arrow${index === hiddenArrow ? ' hidden' : ''}`;
+            arrow.innerHTML = '<i class="fas fa-long-arrow-alt-right"></i>';
+            this.list.appendChild(arrow);
+            return node;
+        });
+
+        const terminator = document.createElement('div');
+        terminator.className = 'list-null';
+        terminator.textContent = 'null';
+        this.list.appendChild(terminator);
+
+        this.pointers.forEach(({ name, role }) => {
+            const index = targets[role];
+            const target = index === null || index === undefined ? terminator : nodes[index];
+            const pointer = this.pointerElements[name];
+            pointer.style.left = `${target.offsetLeft + target.offsetWidth / 2}px`;
+        });
+    }
+}
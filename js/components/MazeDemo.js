@@ -0,0 +1,446 @@
+/**
+ * Maze Demo Component
+ * Depth-first search with backtracking on a grid, driven by the Stack class
+ *
+ * The start cell is pushed first. Each step looks at the top cell: if it has
+ * an unvisited open neighbour, that neighbour is pushed; otherwise the top is
+ * a dead end and is popped, backing up to the previous cell. The stack always
+ * holds the path from the start to the current cell, so when the goal reaches
+ * the top the stack contents are the route found (not necessarily the
+ * shortest one, unlike BFS).
+ *
+ * Randomised mazes are carved with the same idea: walk to a random unvisited
+ * cell two steps away, knocking down the wall in between, and pop when stuck.
+ */
+
+class MazeDemo {
+    constructor() {
+        this.grid = document.getElementById('mazeGrid');
+        this.stackView = document.getElementById('mazeStackView');
+        this.toolSelect = document.getElementById('mazeToolSelect');
+        this.speedInput = document.getElementById('mazeSpeed');
+        this.resultDisplay = document.getElementById('mazeResult');
+        this.actionDisplay = document.getElementById('mazeAction');
+        this.visitedDisplay = document.getElementById('mazeVisited');
+        this.stackSizeDisplay = document.getElementById('mazeStackSize');
+
+        this.runBtn = document.getElementById('mazeRunBtn');
+        this.pauseBtn = document.getElementById('mazePauseBtn');
+        this.stepBtn = document.getElementById('mazeStepBtn');
+        this.resetSearchBtn = document.getElementById('mazeResetSearchBtn');
+        this.generateBtn = document.getElementById('mazeGenerateBtn');
+        this.clearWallsBtn = document.getElementById('mazeClearWallsBtn');
+
+        this.rows = MazeDemo.ROWS;
+        this.cols = MazeDemo.COLS;
+        this.walls = new Set();
+        this.timer = null;
+        this.isPainting = false;
+
+        this.buildGrid();
+        this.initializeEventListeners();
+        this.reset();
+    }
+
+    /**
+     * Key used for a cell in sets and maps
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {string} - "row,col"
+     */
+    key(row, col) {
+        return `${row},${col}`;
+    }
+
+    /**
+     * Create one element per grid cell
+     */
+    buildGrid() {
+        if (!this.grid) return;
+
+        this.grid.innerHTML = '';
+        this.grid.style.gridTemplateColumns = `repeat(${this.cols}, 1fr)`;
+        this.cells = new Map();
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const cell = document.createElement('div');
+                cell.className = 'bfs-cell';
+                cell.dataset.row = row;
+                cell.dataset.col = col;
+                cell.title = `(${row}, ${col})`;
+                this.grid.appendChild(cell);
+                this.cells.set(this.key(row, col), cell);
+            }
+        }
+    }
+
+    /**
+     * Initialize event listeners for the grid and controls
+     */
+    initializeEventListeners() {
+        this.runBtn?.addEventListener('click', () => this.run());
+        this.pauseBtn?.addEventListener('click', () => this.pause());
+        this.stepBtn?.addEventListener('click', () => this.step());
+        this.resetSearchBtn?.addEventListener('click', () => this.resetSearch());
+        this.generateBtn?.addEventListener('click', () => this.generate());
+        this.clearWallsBtn?.addEventListener('click', () => {
+            this.walls.clear();
+            this.resetSearch();
+        });
+
+        // Click or drag to paint with the selected tool
+        this.grid?.addEventListener('mousedown', (e) => {
+            const cell = e.target.closest('.bfs-cell');
+            if (!cell) return;
+            e.preventDefault();
+            this.isPainting = true;
+            this.applyTool(Number(cell.dataset.row), Number(cell.dataset.col));
+        });
+
+        this.grid?.addEventListener('mouseover', (e) => {
+            const cell = e.target.closest('.bfs-cell');
+            if (this.isPainting && cell) {
+                this.applyTool(Number(cell.dataset.row), Number(cell.dataset.col));
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            this.isPainting = false;
+        });
+    }
+
+    /**
+     * Apply the selected tool to a cell; any edit restarts the search
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    applyTool(row, col) {
+        const key = this.key(row, col);
+        const tool = this.toolSelect?.value || 'wall';
+        const isEndpoint = key === this.key(...this.start) || key === this.key(...this.goal);
+
+        switch (tool) {
+            case 'start':
+                if (key !== this.key(...this.goal)) {
+                    this.start = [row, col];
+                    this.walls.delete(key);
+                }
+                break;
+            case 'goal':
+                if (key !== this.key(...this.start)) {
+                    this.goal = [row, col];
+                    this.walls.delete(key);
+                }
+                break;
+            case 'erase':
+                this.walls.delete(key);
+                break;
+            default:
+                if (!isEndpoint) {
+                    this.walls.add(key);
+                }
+        }
+
+        this.resetSearch();
+    }
+
+    /**
+     * Put start and goal in opposite corners and carve a new maze
+     */
+    reset() {
+        this.start = [1, 1];
+        this.goal = [this.rows - 2, this.cols - 2];
+        this.generate();
+    }
+
+    /**
+     * Carve a random perfect maze (one route between any two cells) with a Stack
+     *
+     * Cells with odd row and column are rooms, everything else starts as wall.
+     * Start and goal are moved onto the nearest room so they stay reachable.
+     */
+    generate() {
+        const snap = (value, size) => Math.min(Math.max(value % 2 === 0 ? value - 1 : value, 1), size - 2);
+        const room = ([row, col]) => [snap(row, this.rows), snap(col, this.cols)];
+        this.start = room(this.start);
+        this.goal = room(this.goal);
+        if (this.key(...this.start) === this.key(...this.goal)) {
+            this.goal = [this.rows - 2, this.cols - 2];
+            this.start = [1, 1];
+        }
+
+        this.walls.clear();
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (row % 2 === 0 || col % 2 === 0) {
+                    this.walls.add(this.key(row, col));
+                }
+            }
+        }
+
+        const carver = new Stack({ overflowPolicy: 'grow' });
+        const carved = new Set([this.key(1, 1)]);
+        carver.push([1, 1]);
+
+        while (!carver.isEmpty()) {
+            const [row, col] = carver.peek();
+            const options = [[row - 2, col], [row, col + 2], [row + 2, col], [row, col - 2]]
+                .filter(([r, c]) => r > 0 && r < this.rows - 1 && c > 0 && c < this.cols - 1)
+                .filter(([r, c]) => !carved.has(this.key(r, c)));
+
+            if (options.length === 0) {
+                carver.pop();
+                continue;
+            }
+
+            const [nextRow, nextCol] = options[Math.floor(Math.random() * options.length)];
+            this.walls.delete(this.key((row + nextRow) / 2, (col + nextCol) / 2));
+            carved.add(this.key(nextRow, nextCol));
+            carver.push([nextRow, nextCol]);
+        }
+
+        this.resetSearch();
+    }
+
+    /**
+     * Forget the current search but keep start, goal and walls
+     */
+    resetSearch() {
+        this.pause();
+
+        this.stack = new Stack();
+        this.stack.setMaxSize(this.rows * this.cols); // Every cell is pushed at most once
+        this.stack.on('*', () => this.renderStack());
+
+        this.visited = new Set([this.key(...this.start)]);
+        this.deadEnds = new Set();
+        this.backtracks = 0;
+        this.lastAction = null;
+        this.finished = false;
+        this.found = false;
+
+        this.stack.push(this.start);
+
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent = '';
+            this.resultDisplay.className = 'result';
+            this.resultDisplay.hidden = true;
+        }
+
+        this.renderGrid();
+        this.renderStack();
+    }
+
+    /**
+     * Open neighbours of a cell (up, right, down, left)
+     * @param {number[]} cell - [row, col]
+     * @returns {number[][]} - Neighbour cells inside the grid and not walls
+     */
+    neighbours([row, col]) {
+        return [[row - 1, col], [row, col + 1], [row + 1, col], [row, col - 1]]
+            .filter(([r, c]) => r >= 0 && r < this.rows && c >= 0 && c < this.cols)
+            .filter(([r, c]) => !this.walls.has(this.key(r, c)));
+    }
+
+    /**
+     * Run one DFS step: push an unvisited neighbour of the top cell, or pop a dead end
+     * @returns {boolean} - True while the search can continue
+     */
+    step() {
+        if (this.finished) {
+            this.pause();
+            return false;
+        }
+
+        if (this.stack.isEmpty()) {
+            this.finish(false);
+            return false;
+        }
+
+        const top = this.stack.peek();
+
+        if (this.key(...top) === this.key(...this.goal)) {
+            this.finish(true);
+            return false;
+        }
+
+        const next = this.neighbours(top).find(cell => !this.visited.has(this.key(...cell)));
+
+        if (next) {
+            this.visited.add(this.key(...next));
+            this.stack.push(next);
+            this.lastAction = `push (${next.join(',')})`;
+        } else {
+            this.stack.pop();
+            this.deadEnds.add(this.key(...top));
+            this.backtracks++;
+            this.lastAction = `pop (${top.join(',')}): ngõ cụt, quay lui`;
+        }
+
+        this.renderGrid();
+        return true;
+    }
+
+    /**
+     * Keep stepping at the selected speed until the search ends or is paused
+     */
+    run() {
+        if (this.timer || this.finished) return;
+
+        const tick = () => {
+            this.timer = this.step() ? setTimeout(tick, this.getDelay()) : null;
+            this.updateButtons();
+        };
+
+        this.timer = setTimeout(tick, 0);
+        this.updateButtons();
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateButtons();
+    }
+
+    /**
+     * Delay between steps from the speed slider (right = faster)
+     * @returns {number} - Milliseconds
+     */
+    getDelay() {
+        const speed = Number(this.speedInput?.value ?? 5); // 1..10
+        return (11 - speed) * 50;
+    }
+
+    /**
+     * End the search; on success the stack holds the route
+     * @param {boolean} found - Whether the goal was reached
+     */
+    finish(found) {
+        this.finished = true;
+        this.found = found;
+        this.lastAction = found ? 'Đích ở đỉnh stack: stack chính là đường đi' : 'Stack rỗng: đã quay lui hết';
+
+        this.renderGrid();
+        this.pause();
+
+        if (this.resultDisplay) {
+            this.resultDisplay.textContent = found
+                ? `Tìm thấy đường đi dài ${this.stack.size() - 1} bước, đã thăm ${this.visited.size} ô, quay lui ${this.backtracks} lần`
+                : `Không có đường đi tới đích (đã thăm ${this.visited.size} ô, quay lui ${this.backtracks} lần)`;
+            this.resultDisplay.className = `result ${found ? 'success' : 'error'}`;
+            this.resultDisplay.hidden = false;
+        }
+    }
+
+    /**
+     * Colour every cell from the search state
+     */
+    renderGrid() {
+        if (!this.cells) return;
+
+        const onStack = new Set(this.stack.toArray().map(cell => this.key(...cell)));
+        const top = this.stack.isEmpty() ? null : this.key(...this.stack.peek());
+
+        this.cells.forEach((element, key) => {
+            let state = '';
+            if (key === this.key(...this.start)) state = 'start';
+            else if (key === this.key(...this.goal)) state = 'goal';
+            else if (this.walls.has(key)) state = 'wall';
+            else if (key === top && !this.finished) state = 'current';
+            else if (onStack.has(key)) state = this.found ? 'path' : 'stacked';
+            else if (this.deadEnds.has(key)) state = 'dead-end';
+
+            element.className = `bfs-cell${state ? ` ${state}` : ''}`;
+        });
+
+        if (this.visitedDisplay) {
+            this.visitedDisplay.textContent = this.visited.size;
+        }
+        if (this.actionDisplay) {
+            this.actionDisplay.textContent = this.lastAction || 'Nhấn Chạy DFS hoặc Step để bắt đầu';
+        }
+    }
+
+    /**
+     * Draw the live stack as the path so far, bottom (start) on the left and top on the right
+     */
+    renderStack() {
+        if (this.stackSizeDisplay) {
+            this.stackSizeDisplay.textContent = this.stack.size();
+        }
+        if (!this.stackView) return;
+
+        const items = this.stack.toArray();
+        if (items.length === 0) {
+            this.stackView.innerHTML = `
+                <div class="empty-state">
+                    <p>Stack trống</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Long paths keep only the cells nearest the top; the count still shows the full size
+        const shown = items.slice(-MazeDemo.STACK_PREVIEW);
+        this.stackView.innerHTML = (items.length > shown.length
+            ? `<div class="queue-more">+${items.length - shown.length}</div>`
+            : '') + shown.map(([row, col], index) => `
+            <div class="stack-item ${index === shown.length - 1 ? 'top-item' : ''}">
+                <span class="item-value">(${row},${col})</span>
+                ${index === shown.length - 1 ? '<div class="item-label">Top</div>' : ''}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Enable/disable playback buttons
+     */
+    updateButtons() {
+        const playing = this.timer !== null;
+
+        if (this.runBtn) {
+            this.runBtn.disabled = playing || this.finished;
+        }
+        if (this.pauseBtn) {
+            this.pauseBtn.disabled = !playing;
+        }
+        if (this.stepBtn) {
+            this.stepBtn.disabled = playing || this.finished;
+        }
+    }
+
+    /**
+     * Get current search state for debugging
+     */
+    getState() {
+        return {
+            start: this.start,
+            goal: this.goal,
+            walls: [...this.walls],
+            stack: this.stack.toArray(),
+            visited: this.visited.size,
+            deadEnds: this.deadEnds.size,
+            backtracks: this.backtracks,
+            finished: this.finished,
+            found: this.found
+        };
+    }
+}
+
+// Grid size; odd so rooms (odd row and column) are surrounded by wall cells
+MazeDemo.ROWS = 11;
+MazeDemo.COLS = 17;
+
+// Stack items drawn before the rest are summarised as "+N"
+MazeDemo.STACK_PREVIEW = 8;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('mazeGrid')) {
+        window.mazeDemo = new MazeDemo();
+    }
+});
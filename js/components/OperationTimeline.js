@@ -0,0 +1,189 @@
+/**
+ * Operation Timeline Component
+ * Append-only log of a demo's operations, each stored with a snapshot of the
+ * structure (its toJSON) so any past state can be restored. Draws a scrubber,
+ * back/forward buttons and the clickable operation list. Shared by the Stack
+ * and Queue demos.
+ *
+ * Entries are never removed: an operation done after travelling back is
+ * appended at the end, with `parent` pointing at the entry it started from.
+ * Two entries joined by a parent link differ by exactly that operation, so the
+ * demo can animate the step (forward or in reverse); any other move is a jump.
+ */
+
+class OperationTimeline {
+    /**
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Object} options - Timeline options
+     * @param {Object} options.snapshot - State before the first operation
+     * @param {Object} [options.view] - Extra demo state to restore with it
+     * @param {Function} options.onTravel - Called as (target, previous, direction) to restore a state;
+     *                                      direction is 'forward', 'backward' or 'jump'
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.onTravel = options.onTravel;
+        this.entries = [];
+        this.cursor = 0; // Index of the entry currently shown
+
+        this.container.innerHTML = `
+            <div class="timeline-controls">
+                <button class="btn btn-secondary timeline-back" title="Lùi lại một thao tác">
+                    <i class="fas fa-step-backward"></i>
+                </button>
+                <input type="range" class="timeline-scrubber" min="0" max="0" value="0" aria-label="Dòng thời gian">
+                <button class="btn btn-secondary timeline-forward" title="Tiến tới một thao tác">
+                    <i class="fas fa-step-forward"></i>
+                </button>
+                <span class="timeline-position"></span>
+            </div>
+            <ol class="timeline-list"></ol>
+        `;
+        this.backBtn = this.container.querySelector('.timeline-back');
+        this.forwardBtn = this.container.querySelector('.timeline-forward');
+        this.scrubber = this.container.querySelector('.timeline-scrubber');
+        this.positionDisplay = this.container.querySelector('.timeline-position');
+        this.list = this.container.querySelector('.timeline-list');
+
+        this.backBtn.addEventListener('click', () => this.back());
+        this.forwardBtn.addEventListener('click', () => this.forward());
+        this.scrubber.addEventListener('input', () => this.travelTo(Number(this.scrubber.value)));
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.timeline-entry');
+            if (item) {
+                this.travelTo(Number(item.dataset.index));
+            }
+        });
+
+        this.reset(options.snapshot, options.view);
+    }
+
+    /**
+     * Drop every entry and start over from a single initial state
+     * @param {Object} snapshot - Current state of the structure
+     * @param {Object} [view] - Extra demo state to restore with it
+     */
+    reset(snapshot, view = {}) {
+        this.entries = [{ index: 0, parent: null, label: 'Khởi tạo', snapshot, view }];
+        this.cursor = 0;
+        this.render();
+    }
+
+    /**
+     * Append an operation that has just been applied
+     * @param {string} label - Description such as 'push(A)'
+     * @param {Object} snapshot - State after the operation
+     * @param {Object} [view] - Extra demo state to restore with it
+     * @returns {Object} - The new entry
+     */
+    record(label, snapshot, view = {}) {
+        const entry = { index: this.entries.length, parent: this.cursor, label, snapshot, view };
+        this.entries.push(entry);
+        this.cursor = entry.index;
+        this.render();
+        return entry;
+    }
+
+    /**
+     * Show the state at an entry
+     * @param {number} index - Entry index
+     * @returns {boolean} - True if the cursor moved
+     */
+    travelTo(index) {
+        if (index < 0 || index >= this.entries.length || index === this.cursor) {
+            return false;
+        }
+
+        const previous = this.entries[this.cursor];
+        const target = this.entries[index];
+        let direction = 'jump';
+        if (target.parent === previous.index) {
+            direction = 'forward';
+        } else if (previous.parent === target.index) {
+            direction = 'backward';
+        }
+
+        this.cursor = index;
+        this.render();
+        this.onTravel(target, previous, direction);
+        return true;
+    }
+
+    /**
+     * Step to the previous entry in the log
+     * @returns {boolean} - True if the cursor moved
+     */
+    back() {
+        return this.travelTo(this.cursor - 1);
+    }
+
+    /**
+     * Step to the next entry in the log
+     * @returns {boolean} - True if the cursor moved
+     */
+    forward() {
+        return this.travelTo(this.cursor + 1);
+    }
+
+    /**
+     * Entry currently shown
+     * @returns {Object} - Timeline entry
+     */
+    current() {
+        return this.entries[this.cursor];
+    }
+
+    /**
+     * Describe how a list changed at its ends, so a step can be animated
+     * @param {Array} before - Items before, first item first
+     * @param {Array} after - Items after
+     * @returns {Object|null} - { type: 'addFirst'|'addLast'|'removeFirst'|'removeLast', value },
+     *                          null when the change is anything else
+     */
+    static diff(before, after) {
+        const same = (a, b) => a.length === b.length && a.every((item, index) => item === b[index]);
+
+        if (after.length === before.length + 1) {
+            if (same(before, after.slice(0, -1))) return { type: 'addLast', value: after[after.length - 1] };
+            if (same(before, after.slice(1))) return { type: 'addFirst', value: after[0] };
+        } else if (after.length === before.length - 1) {
+            if (same(before.slice(0, -1), after)) return { type: 'removeLast', value: before[before.length - 1] };
+            if (same(before.slice(1), after)) return { type: 'removeFirst', value: before[0] };
+        }
+        return null;
+    }
+
+    /**
+     * Sync the scrubber, buttons and operation list with the cursor
+     */
+    render() {
+        const last = this.entries.length - 1;
+
+        this.scrubber.max = last;
+        this.scrubber.value = this.cursor;
+        this.scrubber.disabled = last === 0;
+        this.backBtn.disabled = this.cursor === 0;
+        this.forwardBtn.disabled = this.cursor === last;
+        this.positionDisplay.textContent = `${this.cursor}/${last}`;
+
+        this.list.innerHTML = '';
+        this.entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'timeline-entry';
+            item.dataset.index = entry.index;
+            if (entry.index === this.cursor) {
+                item.classList.add('current');
+            } else if (entry.index > this.cursor) {
+                item.classList.add('future');
+            }
+            item.textContent = entry.label;
+            item.title = `#${entry.index}: [${entry.snapshot.items.join(', ')}]`;
+            this.list.appendChild(item);
+        });
+
+        // Follow new operations; scrollIntoView would scroll the whole page
+        if (this.cursor === last) {
+            this.list.scrollTop = this.list.scrollHeight;
+        }
+    }
+}
@@ -0,0 +1,451 @@
+/**
+ * Priority Queue Demo Component
+ * Shows the binary heap as a tree and as its backing array, replaying every
+ * sift-up and sift-down swap step by step
+ */
+
+class PriorityQueueDemo {
+    constructor() {
+        this.pq = new PriorityQueue();
+        this.treeContainer = document.getElementById('pqTree');
+        this.arrayContainer = document.getElementById('pqArray');
+        this.stepInfo = document.getElementById('pqStepInfo');
+        this.valueInput = document.getElementById('pqValueInput');
+        this.priorityInput = document.getElementById('pqPriorityInput');
+        this.modeSelect = document.getElementById('pqModeSelect');
+        this.sizeDisplay = document.getElementById('pqSize');
+        this.peekDisplay = document.getElementById('pqPeek');
+        this.statusDisplay = document.getElementById('pqStatus');
+
+        this.enqueueBtn = document.getElementById('pqEnqueueBtn');
+        this.dequeueBtn = document.getElementById('pqDequeueBtn');
+        this.clearBtn = document.getElementById('pqClearBtn');
+
+        // What is currently drawn; lags behind this.pq while steps replay
+        this.displayed = [];
+        this.steps = [];
+        this.isAnimating = false;
+        this.stepDelay = 600;
+        this.generation = 0; // Bumped to abandon a replay in progress
+        this.replacedInOperation = false;
+
+        this.costContainer = document.getElementById('pqCostMeter');
+        this.costMeter = this.costContainer
+            ? new CostMeter(this.costContainer, { describe: (event) => this.describeCost(event) })
+            : null;
+        this.costMeter?.attach(this.pq.cost);
+
+        this.bindHeapEvents();
+        this.initializeEventListeners();
+        this.render();
+        this.updateDisplay();
+    }
+
+    /**
+     * Turn heap events into animation steps
+     */
+    bindHeapEvents() {
+        this.pq.on('insert', ({ value, priority, index }) => {
+            this.queueStep({
+                message: `Thêm ${value} (${priority}) vào cuối mảng, vị trí ${index}`,
+                apply: () => this.displayed.push({ value, priority }),
+                highlight: [index],
+                className: 'inserted',
+                after: true
+            });
+        });
+
+        this.pq.on('replace', ({ index, from, value }) => {
+            this.replacedInOperation = true;
+            this.queueStep({
+                message: `Lấy phần tử ở vị trí ${index}, đưa phần tử cuối (${value}) lên thay`,
+                apply: () => {
+                    this.displayed[index] = this.displayed[from];
+                    this.displayed.pop();
+                },
+                highlight: [index],
+                className: 'removing'
+            });
+        });
+
+        this.pq.on('swap', ({ from, to, direction }) => {
+            this.queueStep({
+                message: `Sift-${direction}: đổi chỗ vị trí ${from} và ${to}`,
+                apply: () => {
+                    [this.displayed[from], this.displayed[to]] = [this.displayed[to], this.displayed[from]];
+                },
+                highlight: [from, to],
+                className: 'swapping'
+            });
+        });
+
+        this.pq.on('enqueue', ({ value, priority }) => {
+            this.notify(`Đã thêm: ${value} (ưu tiên ${priority})`, 'success');
+        });
+
+        this.pq.on('dequeue', ({ value, priority, index }) => {
+            // Removing the only (or last) element needs no replacement step
+            if (!this.replacedInOperation) {
+                this.queueStep({
+                    message: `Lấy ra ${value} (${priority})`,
+                    apply: () => this.displayed.splice(index, 1),
+                    highlight: [index],
+                    className: 'removing'
+                });
+            }
+            this.replacedInOperation = false;
+            this.notify(`Đã lấy ra: ${value} (ưu tiên ${priority})`, 'info');
+        });
+
+        this.pq.on('clear', () => {
+            this.resetAnimation();
+            this.notify('Đã xóa toàn bộ hàng đợi ưu tiên', 'info');
+        });
+
+        this.pq.on('*', () => this.updateDisplay());
+    }
+
+    /**
+     * Relate sift costs to the height of the heap
+     * @param {Object} event - Measure event from CostCounter
+     * @returns {string|null} - Note for the cost meter
+     */
+    describeCost(event) {
+        if ((event.operation !== 'enqueue' && event.operation !== 'dequeue') || event.size === 0) {
+            return null;
+        }
+
+        // Each swap moves two entries, plus the one placed at the end or the root
+        const swaps = Math.floor(Math.max(0, event.moves - 1) / 2);
+        const height = Math.floor(Math.log2(event.size));
+        return `${swaps} lần đổi chỗ; heap ${event.size} phần tử cao ⌊log₂ ${event.size}⌋ = ${height} tầng, ` +
+            'nên số lần đổi chỗ không vượt quá chiều cao';
+    }
+
+    /**
+     * Safe notification wrapper
+     * @param {string} message - Message to show
+     * @param {string} type - success, info, warning or error
+     */
+    notify(message, type = 'info') {
+        if (typeof window.notifications === 'undefined') {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+        window.notifications[type]?.(message);
+    }
+
+    /**
+     * Map a failed heap operation to its notification
+     * @param {Error} error - Error thrown by the priority queue
+     */
+    handleError(error) {
+        if (error instanceof OverflowError) {
+            this.notify(`Hàng đợi ưu tiên đã đầy! Kích thước tối đa là ${error.state.maxSize}`, 'error');
+        } else if (error instanceof UnderflowError) {
+            this.notify('Hàng đợi ưu tiên đang trống!', 'warning');
+        } else if (error instanceof InvalidElementError) {
+            this.notify('Không thể thêm giá trị rỗng', 'warning');
+        } else {
+            this.notify(error.message, 'error');
+        }
+    }
+
+    /**
+     * Initialize event listeners for priority queue controls
+     */
+    initializeEventListeners() {
+        this.enqueueBtn?.addEventListener('click', () => this.enqueue());
+        this.dequeueBtn?.addEventListener('click', () => this.dequeue());
+        this.clearBtn?.addEventListener('click', () => this.clear());
+
+        this.modeSelect?.addEventListener('change', () => {
+            this.pq.setMode(this.modeSelect.value);
+            this.resetAnimation();
+            this.updateDisplay();
+            this.notify(`Chuyển sang ${this.modeSelect.value === 'min' ? 'Min-Heap' : 'Max-Heap'}`, 'info');
+        });
+
+        [this.valueInput, this.priorityInput].forEach(input => {
+            input?.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.enqueue();
+                }
+            });
+        });
+    }
+
+    /**
+     * Enqueue the input value with the input priority
+     */
+    enqueue() {
+        const value = this.valueInput.value.trim();
+        const rawPriority = this.priorityInput.value.trim();
+        const priority = Number(rawPriority);
+
+        if (!value) {
+            this.notify('Vui lòng nhập giá trị!', 'warning');
+            this.valueInput.focus();
+            return;
+        }
+
+        if (value.length > 15) {
+            this.notify('Giá trị quá dài (tối đa 15 ký tự)', 'warning');
+            return;
+        }
+
+        if (rawPriority === '' || !Number.isFinite(priority)) {
+            this.notify('Độ ưu tiên phải là một số', 'warning');
+            this.priorityInput.focus();
+            return;
+        }
+
+        try {
+            this.pq.enqueue(value, priority);
+            this.valueInput.value = '';
+            this.priorityInput.value = '';
+            this.valueInput.focus();
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Dequeue the element with the best priority
+     */
+    dequeue() {
+        try {
+            this.pq.dequeue();
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Clear the priority queue
+     */
+    clear() {
+        this.pq.clear();
+    }
+
+    /**
+     * Add a step to the replay and start it if idle
+     * @param {Object} step - { message, apply, highlight, className, after }
+     */
+    queueStep(step) {
+        this.steps.push(step);
+        if (!this.isAnimating) {
+            this.playSteps();
+        }
+    }
+
+    /**
+     * Replay queued steps one at a time: highlight, wait, apply, redraw
+     */
+    async playSteps() {
+        const generation = this.generation;
+        this.isAnimating = true;
+
+        while (this.steps.length > 0) {
+            const step = this.steps.shift();
+            this.setStepInfo(step.message);
+
+            if (step.after) {
+                // Insertions are shown where they land, so apply first
+                step.apply();
+                this.render(step.highlight, step.className);
+                await this.wait(this.stepDelay);
+            } else {
+                this.render(step.highlight, step.className);
+                await this.wait(this.stepDelay);
+                if (generation !== this.generation) return;
+                step.apply();
+                this.render();
+            }
+
+            if (generation !== this.generation) return;
+        }
+
+        this.render();
+        this.setStepInfo(this.pq.isEmpty() ? '' : `Đỉnh heap: ${this.pq.peek()} (${this.pq.peekPriority()})`);
+        this.isAnimating = false;
+    }
+
+    /**
+     * Drop pending steps and draw the heap as it is now
+     */
+    resetAnimation() {
+        this.generation++;
+        this.steps = [];
+        this.isAnimating = false;
+        this.replacedInOperation = false;
+        this.displayed = this.pq.toArray();
+        this.render();
+        this.setStepInfo('');
+    }
+
+    /**
+     * Promise-based delay
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise} - Resolves after the delay
+     */
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Show the description of the current step
+     * @param {string} message - Step description
+     */
+    setStepInfo(message) {
+        if (this.stepInfo) {
+            this.stepInfo.textContent = message;
+        }
+    }
+
+    /**
+     * Draw the displayed heap as a tree and as an array
+     * @param {number[]} [highlight=[]] - Indices to highlight
+     * @param {string} [className=''] - Highlight class
+     */
+    render(highlight = [], className = '') {
+        this.renderTree(highlight, className);
+        this.renderArray(highlight, className);
+    }
+
+    /**
+     * Draw the tree: node i sits on level floor(log2(i + 1)), edges go to its parent
+     * @param {number[]} highlight - Indices to highlight
+     * @param {string} className - Highlight class
+     */
+    renderTree(highlight, className) {
+        if (!this.treeContainer) return;
+
+        this.treeContainer.innerHTML = '';
+
+        if (this.displayed.length === 0) {
+            this.treeContainer.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-sitemap"></i>
+                    <p>Heap trống</p>
+                    <span>Nhập giá trị và độ ưu tiên để thêm</span>
+                </div>
+            `;
+            return;
+        }
+
+        const levelHeight = 70;
+        const position = (index) => {
+            const level = Math.floor(Math.log2(index + 1));
+            const offset = index - (2 ** level - 1);
+            return { x: ((offset + 0.5) / 2 ** level) * 100, y: level * levelHeight + 30 };
+        };
+
+        const levels = Math.floor(Math.log2(this.displayed.length)) + 1;
+        this.treeContainer.style.height = `${levels * levelHeight}px`;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'heap-edges');
+
+        this.displayed.forEach((entry, index) => {
+            const { x, y } = position(index);
+
+            if (index > 0) {
+                const parent = position(Math.floor((index - 1) / 2));
+                const line = document.createElementNS(svgNS, 'line');
+                line.setAttribute('x1', `${parent.x}%`);
+                line.setAttribute('y1', parent.y);
+                line.setAttribute('x2', `${x}%`);
+                line.setAttribute('y2', y);
+                svg.appendChild(line);
+            }
+
+            const node = document.createElement('div');
+            node.className = 'heap-node';
+            if (index === 0) node.classList.add('heap-root');
+            if (highlight.includes(index)) node.classList.add(className);
+            node.style.left = `${x}%`;
+            node.style.top = `${y}px`;
+            node.title = `Index ${index}: ${entry.value} (priority ${entry.priority})`;
+            node.innerHTML = `<span class="heap-value"></span><span class="heap-priority"></span>`;
+            node.querySelector('.heap-value').textContent = entry.value;
+            node.querySelector('.heap-priority').textContent = entry.priority;
+            this.treeContainer.appendChild(node);
+        });
+
+        this.treeContainer.prepend(svg);
+    }
+
+    /**
+     * Draw the backing array with its indices
+     * @param {number[]} highlight - Indices to highlight
+     * @param {string} className - Highlight class
+     */
+    renderArray(highlight, className) {
+        if (!this.arrayContainer) return;
+
+        this.arrayContainer.innerHTML = '';
+
+        this.displayed.forEach((entry, index) => {
+            const cell = document.createElement('div');
+            cell.className = 'heap-cell';
+            if (highlight.includes(index)) cell.classList.add(className);
+            cell.innerHTML = `
+                <span class="heap-index">${index}</span>
+                <span class="heap-value"></span>
+                <span class="heap-priority"></span>
+            `;
+            cell.querySelector('.heap-value').textContent = entry.value;
+            cell.querySelector('.heap-priority').textContent = entry.priority;
+            this.arrayContainer.appendChild(cell);
+        });
+    }
+
+    /**
+     * Update status display
+     */
+    updateDisplay() {
+        const isEmpty = this.pq.isEmpty();
+
+        this.sizeDisplay.textContent = this.pq.size();
+        this.peekDisplay.textContent = isEmpty ? 'None' : `${this.pq.peek()} (${this.pq.peekPriority()})`;
+
+        if (isEmpty) {
+            this.statusDisplay.textContent = 'Empty';
+            this.statusDisplay.className = 'status-empty';
+        } else if (this.pq.isFull()) {
+            this.statusDisplay.textContent = 'Full';
+            this.statusDisplay.className = 'status-error';
+        } else {
+            this.statusDisplay.textContent = 'Active';
+            this.statusDisplay.className = 'status-active';
+        }
+
+        [this.dequeueBtn, this.clearBtn].forEach(btn => {
+            if (btn) {
+                btn.disabled = isEmpty;
+            }
+        });
+    }
+
+    /**
+     * Get current priority queue state for debugging
+     */
+    getState() {
+        return {
+            heap: this.pq.toArray(),
+            sorted: this.pq.toSortedArray(),
+            mode: this.pq.mode,
+            size: this.pq.size(),
+            peek: this.pq.peek()
+        };
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('pqTree')) {
+        window.priorityQueueDemo = new PriorityQueueDemo();
+    }
+});
@@ -0,0 +1,491 @@
+/**
+ * Producer-Consumer Simulation Component
+ * Producers and consumers share one bounded Queue, driven by a tick clock
+ *
+ * Each actor has a rate in items per tick and builds up credit by that much
+ * every tick; one unit of credit is one item. In a tick, consumers run first
+ * and then producers, so an item always spends at least one tick in the
+ * queue. A producer that finds the queue full keeps its item and is blocked
+ * until there is room; a consumer that finds it empty is starved. Actors
+ * left waiting by the previous tick go first, so nobody is blocked for good.
+ * Credit is capped at one tick's worth (at least one item), so waiting does
+ * not let an actor burst ahead afterwards.
+ */
+
+class ProducerConsumerSim {
+    constructor() {
+        this.root = document.getElementById('producerConsumerSim');
+        this.producerList = document.getElementById('simProducers');
+        this.consumerList = document.getElementById('simConsumers');
+        this.queueView = document.getElementById('simQueue');
+        this.chart = document.getElementById('simChart');
+        this.capacityInput = document.getElementById('simCapacity');
+        this.speedSelect = document.getElementById('simSpeed');
+
+        this.tickDisplay = document.getElementById('simTick');
+        this.producedDisplay = document.getElementById('simProduced');
+        this.consumedDisplay = document.getElementById('simConsumed');
+        this.waitDisplay = document.getElementById('simAvgWait');
+        this.blockedDisplay = document.getElementById('simBlocked');
+        this.starvedDisplay = document.getElementById('simStarved');
+        this.legendValues = {
+            length: document.getElementById('simLegendLength'),
+            throughput: document.getElementById('simLegendThroughput'),
+            wait: document.getElementById('simLegendWait')
+        };
+
+        this.runBtn = document.getElementById('simRunBtn');
+        this.pauseBtn = document.getElementById('simPauseBtn');
+        this.stepBtn = document.getElementById('simStepBtn');
+        this.resetBtn = document.getElementById('simResetBtn');
+        this.addProducerBtn = document.getElementById('simAddProducerBtn');
+        this.addConsumerBtn = document.getElementById('simAddConsumerBtn');
+
+        this.timer = null;
+        this.producers = [];
+        this.consumers = [];
+        this.nextActorId = 1;
+        this.actorNumbers = { producer: 0, consumer: 0 }; // Names are never reused
+
+        ProducerConsumerSim.INITIAL_PRODUCERS.forEach(rate => this.addActor('producer', rate));
+        ProducerConsumerSim.INITIAL_CONSUMERS.forEach(rate => this.addActor('consumer', rate));
+
+        this.initializeEventListeners();
+        this.reset();
+    }
+
+    /**
+     * Initialize event listeners for the controls and actor cards
+     */
+    initializeEventListeners() {
+        this.runBtn?.addEventListener('click', () => this.run());
+        this.pauseBtn?.addEventListener('click', () => this.pause());
+        this.stepBtn?.addEventListener('click', () => this.step());
+        this.resetBtn?.addEventListener('click', () => this.reset());
+        this.addProducerBtn?.addEventListener('click', () => this.addActor('producer', 1));
+        this.addConsumerBtn?.addEventListener('click', () => this.addActor('consumer', 1));
+        this.capacityInput?.addEventListener('change', () => this.reset());
+
+        // Rate menus and remove buttons live inside the rebuilt actor cards
+        [this.producerList, this.consumerList].forEach(list => {
+            list?.addEventListener('change', (e) => {
+                const actor = this.findActor(e.target.closest('.sim-actor')?.dataset.id);
+                if (actor && e.target.matches('.sim-rate')) {
+                    actor.rate = Number(e.target.value);
+                }
+            });
+
+            list?.addEventListener('click', (e) => {
+                const button = e.target.closest('.sim-remove');
+                if (button) {
+                    this.removeActor(button.closest('.sim-actor').dataset.id);
+                }
+            });
+        });
+    }
+
+    /**
+     * Add a producer or consumer with no credit and empty counters
+     * @param {string} role - 'producer' or 'consumer'
+     * @param {number} rate - Items per tick
+     */
+    addActor(role, rate) {
+        const actors = role === 'producer' ? this.producers : this.consumers;
+        if (actors.length >= ProducerConsumerSim.MAX_ACTORS) return;
+
+        actors.push({
+            id: String(this.nextActorId++),
+            role,
+            name: `${role === 'producer' ? 'P' : 'C'}${++this.actorNumbers[role]}`,
+            rate,
+            credit: 0,
+            status: 'idle',
+            pending: null, // Item a blocked producer is holding
+            last: null,    // Item a consumer took most recently
+            count: 0,      // Items produced or consumed
+            waitingTicks: 0
+        });
+        this.renderActors();
+    }
+
+    /**
+     * Remove a producer or consumer; a blocked producer's item is dropped
+     * @param {string} id - Actor id
+     */
+    removeActor(id) {
+        const actor = this.findActor(id);
+        if (!actor) return;
+
+        const actors = actor.role === 'producer' ? this.producers : this.consumers;
+        if (actors.length <= 1) return; // Keep at least one on each side
+
+        actors.splice(actors.indexOf(actor), 1);
+        this.renderActors();
+    }
+
+    /**
+     * Find an actor by id
+     * @param {string} id - Actor id
+     * @returns {Object|undefined} - Producer or consumer
+     */
+    findActor(id) {
+        return [...this.producers, ...this.consumers].find(actor => actor.id === id);
+    }
+
+    /**
+     * Stop the clock and start over with an empty queue, keeping the actors and rates
+     */
+    reset() {
+        this.pause();
+
+        const capacity = readIntInput(this.capacityInput, {
+            min: 1,
+            max: ProducerConsumerSim.MAX_CAPACITY,
+            fallback: ProducerConsumerSim.DEFAULT_CAPACITY
+        });
+        if (this.capacityInput) {
+            this.capacityInput.value = capacity;
+        }
+
+        // Lenient: a full enqueue returns false (blocked), an empty dequeue null (starved)
+        this.queue = new Queue({ strict: false });
+        this.queue.maxSize = capacity;
+
+        this.tick = 0;
+        this.nextItemId = 1;
+        this.history = [];
+        this.totals = { produced: 0, consumed: 0, wait: 0, blocked: 0, starved: 0 };
+
+        [...this.producers, ...this.consumers].forEach(actor => {
+            actor.credit = 0;
+            actor.status = 'idle';
+            actor.pending = null;
+            actor.last = null;
+            actor.count = 0;
+            actor.waitingTicks = 0;
+        });
+
+        this.renderActors();
+        this.render();
+    }
+
+    /**
+     * Advance the clock by one tick: consumers take, then producers add
+     */
+    step() {
+        this.tick++;
+        const waits = [];
+
+        // Sort is stable: waiting actors first, the rest in their usual order
+        const consumers = [...this.consumers].sort((a, b) => (b.status === 'starved') - (a.status === 'starved'));
+        const producers = [...this.producers].sort((a, b) => Boolean(b.pending) - Boolean(a.pending));
+
+        consumers.forEach(consumer => {
+            consumer.credit = Math.min(consumer.credit + consumer.rate, Math.max(consumer.rate, 1));
+            consumer.status = 'idle';
+
+            while (consumer.credit >= 1) {
+                const item = this.queue.dequeue();
+                if (item === null) {
+                    consumer.status = 'starved';
+                    consumer.waitingTicks++;
+                    this.totals.starved++;
+                    break;
+                }
+
+                consumer.credit--;
+                consumer.status = 'consuming';
+                consumer.last = item;
+                consumer.count++;
+                waits.push(this.tick - item.enqueuedAt);
+            }
+        });
+
+        producers.forEach(producer => {
+            producer.credit = Math.min(producer.credit + producer.rate, Math.max(producer.rate, 1));
+            producer.status = 'idle';
+
+            while (producer.credit >= 1) {
+                producer.pending = producer.pending || { id: this.nextItemId++, producer: producer.name };
+                producer.pending.enqueuedAt = this.tick;
+
+                if (!this.queue.enqueue(producer.pending)) {
+                    producer.status = 'blocked';
+                    producer.waitingTicks++;
+                    this.totals.blocked++;
+                    break;
+                }
+
+                producer.pending = null;
+                producer.credit--;
+                producer.status = 'producing';
+                producer.count++;
+                this.totals.produced++;
+            }
+        });
+
+        this.totals.consumed += waits.length;
+        this.totals.wait += waits.reduce((sum, wait) => sum + wait, 0);
+
+        this.history.push({ tick: this.tick, length: this.queue.size(), consumed: waits.length, waits });
+        if (this.history.length > ProducerConsumerSim.HISTORY) {
+            this.history.shift();
+        }
+
+        this.render();
+    }
+
+    /**
+     * Keep ticking at the selected speed until paused
+     */
+    run() {
+        if (this.timer) return;
+
+        const tick = () => {
+            this.step();
+            this.timer = setTimeout(tick, this.getDelay());
+        };
+
+        this.timer = setTimeout(tick, 0);
+        this.updateButtons();
+    }
+
+    /**
+     * Stop the clock
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateButtons();
+    }
+
+    /**
+     * Delay between ticks for the selected speed
+     * @returns {number} - Milliseconds
+     */
+    getDelay() {
+        const speed = Number(this.speedSelect?.value) || 1;
+        return ProducerConsumerSim.TICK_INTERVAL / speed;
+    }
+
+    /**
+     * Throughput and wait over the last WINDOW ticks
+     * @param {number} end - Index in history after the last tick to include
+     * @returns {Object} - { throughput: items per tick, wait: average ticks in queue or null }
+     */
+    windowStats(end = this.history.length) {
+        const window = this.history.slice(Math.max(0, end - ProducerConsumerSim.WINDOW), end);
+        const waits = window.flatMap(entry => entry.waits);
+
+        return {
+            throughput: window.length === 0 ? 0 : waits.length / window.length,
+            wait: waits.length === 0 ? null : waits.reduce((sum, wait) => sum + wait, 0) / waits.length
+        };
+    }
+
+    /**
+     * Rebuild the producer and consumer cards
+     */
+    renderActors() {
+        const rates = ProducerConsumerSim.RATES;
+        const card = (actor, count) => `
+            <div class="sim-actor ${actor.role}" data-id="${actor.id}">
+                <div class="sim-actor-header">
+                    <strong>${actor.name}</strong>
+                    <select class="sim-rate" aria-label="Tốc độ ${actor.name}">
+                        ${rates.map(rate => `<option value="${rate}" ${rate === actor.rate ? 'selected' : ''}>${rate}/tick</option>`).join('')}
+                    </select>
+                    <button class="sim-remove" title="Xóa ${actor.name}" ${count <= 1 ? 'disabled' : ''}>
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="sim-actor-status"></div>
+            </div>
+        `;
+
+        if (this.producerList) {
+            this.producerList.innerHTML = this.producers.map(actor => card(actor, this.producers.length)).join('');
+        }
+        if (this.consumerList) {
+            this.consumerList.innerHTML = this.consumers.map(actor => card(actor, this.consumers.length)).join('');
+        }
+
+        [this.addProducerBtn, this.addConsumerBtn].forEach((button, index) => {
+            if (button) {
+                const actors = index === 0 ? this.producers : this.consumers;
+                button.disabled = actors.length >= ProducerConsumerSim.MAX_ACTORS;
+            }
+        });
+
+        this.updateActors();
+    }
+
+    /**
+     * Show each actor's state from the last tick
+     */
+    updateActors() {
+        const describe = (actor) => {
+            switch (actor.status) {
+                case 'blocked':
+                    return `Bị chặn: queue đầy, đang giữ #${actor.pending.id}`;
+                case 'starved':
+                    return 'Đói: queue trống';
+                case 'producing':
+                    return `Đã thêm ${actor.count} · chặn ${actor.waitingTicks} tick`;
+                case 'consuming':
+                    return `Lấy #${actor.last.id} (${actor.last.producer}) · đói ${actor.waitingTicks} tick`;
+                default:
+                    return actor.role === 'producer'
+                        ? `Đã thêm ${actor.count} · chặn ${actor.waitingTicks} tick`
+                        : `Đã lấy ${actor.count} · đói ${actor.waitingTicks} tick`;
+            }
+        };
+
+        [...this.producers, ...this.consumers].forEach(actor => {
+            const element = this.root?.querySelector(`.sim-actor[data-id="${actor.id}"]`);
+            if (!element) return;
+
+            element.classList.toggle('blocked', actor.status === 'blocked');
+            element.classList.toggle('starved', actor.status === 'starved');
+            element.classList.toggle('active', actor.status === 'producing' || actor.status === 'consuming');
+            element.querySelector('.sim-actor-status').textContent = describe(actor);
+        });
+    }
+
+    /**
+     * Draw the queue slots, counters, actor states and chart
+     */
+    render() {
+        if (this.queueView) {
+            const items = this.queue.toArray();
+            const slots = [];
+            for (let i = 0; i < this.queue.getMaxSize(); i++) {
+                const item = items[i];
+                slots.push(item
+                    ? `<div class="sim-slot filled" title="#${item.id} từ ${item.producer}, vào ở tick ${item.enqueuedAt}">
+                           #${item.id}<small>${item.producer}</small>
+                       </div>`
+                    : '<div class="sim-slot"></div>');
+            }
+            this.queueView.innerHTML = slots.join('');
+            this.queueView.classList.toggle('full', this.queue.isFull());
+            this.queueView.classList.toggle('empty', this.queue.isEmpty());
+        }
+
+        const { throughput, wait } = this.windowStats();
+        const setText = (element, text) => {
+            if (element) {
+                element.textContent = text;
+            }
+        };
+
+        setText(this.tickDisplay, this.tick);
+        setText(this.producedDisplay, this.totals.produced);
+        setText(this.consumedDisplay, this.totals.consumed);
+        setText(this.waitDisplay, this.totals.consumed === 0
+            ? '-'
+            : `${(this.totals.wait / this.totals.consumed).toFixed(1)} tick`);
+        setText(this.blockedDisplay, `${this.totals.blocked} lượt`);
+        setText(this.starvedDisplay, `${this.totals.starved} lượt`);
+        setText(this.legendValues.length, `${this.queue.size()}/${this.queue.getMaxSize()}`);
+        setText(this.legendValues.throughput, `${throughput.toFixed(2)}/tick`);
+        setText(this.legendValues.wait, wait === null ? '-' : `${wait.toFixed(1)} tick`);
+
+        this.updateActors();
+        this.renderChart();
+    }
+
+    /**
+     * Lines for queue length (against capacity), throughput and wait time
+     * (each against its own maximum) over the recent ticks
+     */
+    renderChart() {
+        if (!this.chart) return;
+
+        const width = ProducerConsumerSim.CHART_WIDTH;
+        const height = ProducerConsumerSim.CHART_HEIGHT;
+        const slot = width / (ProducerConsumerSim.HISTORY - 1);
+
+        const series = this.history.map((entry, index) => ({
+            length: entry.length,
+            ...this.windowStats(index + 1)
+        }));
+        const maxThroughput = Math.max(1, ...series.map(point => point.throughput));
+        const maxWait = Math.max(1, ...series.map(point => point.wait || 0));
+
+        const line = (className, value, max) => {
+            const points = series
+                .map((point, index) => value(point) === null
+                    ? null
+                    : `${index * slot},${height - (value(point) / max) * (height - 4) - 2}`)
+                .filter(Boolean)
+                .join(' ');
+            return points ? `<polyline class="${className}" points="${points}"></polyline>` : '';
+        };
+
+        this.chart.innerHTML =
+            line('sim-line-length', point => point.length, this.queue.getMaxSize()) +
+            line('sim-line-throughput', point => point.throughput, maxThroughput) +
+            line('sim-line-wait', point => point.wait, maxWait);
+    }
+
+    /**
+     * Enable/disable playback buttons
+     */
+    updateButtons() {
+        const playing = this.timer !== null;
+
+        if (this.runBtn) {
+            this.runBtn.disabled = playing;
+        }
+        if (this.pauseBtn) {
+            this.pauseBtn.disabled = !playing;
+        }
+        if (this.stepBtn) {
+            this.stepBtn.disabled = playing;
+        }
+    }
+
+    /**
+     * Get current simulation state for debugging
+     */
+    getState() {
+        return {
+            tick: this.tick,
+            queue: this.queue.toArray().map(item => item.id),
+            producers: this.producers.map(({ name, rate, status, count }) => ({ name, rate, status, count })),
+            consumers: this.consumers.map(({ name, rate, status, count }) => ({ name, rate, status, count })),
+            totals: { ...this.totals }
+        };
+    }
+}
+
+// Items per tick offered in each actor's rate menu
+ProducerConsumerSim.RATES = [0.25, 0.5, 1, 2];
+
+// Starting setup: producers outpace the consumer, so the queue fills up
+ProducerConsumerSim.INITIAL_PRODUCERS = [1, 0.5];
+ProducerConsumerSim.INITIAL_CONSUMERS = [1];
+
+// Limits for the controls
+ProducerConsumerSim.MAX_ACTORS = 4;
+ProducerConsumerSim.DEFAULT_CAPACITY = 5;
+ProducerConsumerSim.MAX_CAPACITY = 12;
+
+// Milliseconds per tick at 1x speed
+ProducerConsumerSim.TICK_INTERVAL = 600;
+
+// Ticks kept in the chart, and averaged for throughput and wait time
+ProducerConsumerSim.HISTORY = 60;
+ProducerConsumerSim.WINDOW = 10;
+
+// Chart size in viewBox units; the SVG stretches to the panel width
+ProducerConsumerSim.CHART_WIDTH = 300;
+ProducerConsumerSim.CHART_HEIGHT = 80;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('producerConsumerSim')) {
+        window.producerConsumerSim = new ProducerConsumerSim();
+    }
+});
@@ -0,0 +1,199 @@
+/**
+ * Pseudocode Panel Component
+ * Shows the pseudocode of an operation and walks through it one line at a
+ * time, with the variable values at each step. Shared by the Stack and Queue
+ * demos.
+ *
+ * A demo passes a trace: one step per executed line, computed from the state
+ * before the operation. A step may carry an `action`; the demo uses it to
+ * apply the real operation at the line that changes the structure, so the
+ * visualization advances together with the code.
+ */
+
+class PseudocodePanel {
+    /**
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Object} [options] - Panel options
+     * @param {number} [options.stepDelay=700] - Milliseconds between steps while playing
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.stepDelay = options.stepDelay || 700;
+
+        this.steps = [];
+        this.stepIndex = -1; // Last step shown, -1 before the first
+        this.timer = null;
+
+        this.container.innerHTML = `
+            <div class="pseudo-title"></div>
+            <ol class="pseudo-code"></ol>
+            <div class="pseudo-note"></div>
+            <dl class="pseudo-vars"></dl>
+            <div class="pseudo-controls">
+                <button class="btn btn-secondary pseudo-step">
+                    <i class="fas fa-step-forward"></i> Step
+                </button>
+                <button class="btn btn-secondary pseudo-play">
+                    <i class="fas fa-play"></i> Play
+                </button>
+                <button class="btn btn-secondary pseudo-pause">
+                    <i class="fas fa-pause"></i> Pause
+                </button>
+                <button class="btn btn-secondary pseudo-finish">
+                    <i class="fas fa-fast-forward"></i> Hoàn tất
+                </button>
+            </div>
+        `;
+        this.titleDisplay = this.container.querySelector('.pseudo-title');
+        this.code = this.container.querySelector('.pseudo-code');
+        this.noteDisplay = this.container.querySelector('.pseudo-note');
+        this.varsDisplay = this.container.querySelector('.pseudo-vars');
+        this.stepBtn = this.container.querySelector('.pseudo-step');
+        this.playBtn = this.container.querySelector('.pseudo-play');
+        this.pauseBtn = this.container.querySelector('.pseudo-pause');
+        this.finishBtn = this.container.querySelector('.pseudo-finish');
+
+        this.stepBtn.addEventListener('click', () => this.step());
+        this.playBtn.addEventListener('click', () => this.play());
+        this.pauseBtn.addEventListener('click', () => this.pause());
+        this.finishBtn.addEventListener('click', () => this.finish());
+
+        this.updateButtons();
+    }
+
+    /**
+     * Display a program without running it
+     * @param {string} title - Heading such as 'push(x)'
+     * @param {string[]} lines - Pseudocode lines, indentation included
+     */
+    show(title, lines) {
+        this.cancel();
+        this.titleDisplay.textContent = title;
+        this.code.innerHTML = '';
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            this.code.appendChild(item);
+        });
+        this.noteDisplay.textContent = '';
+        this.varsDisplay.innerHTML = '';
+    }
+
+    /**
+     * Start stepping through a trace; playback starts right away
+     * @param {string} title - Heading such as 'push(A)'
+     * @param {string[]} lines - Pseudocode lines
+     * @param {Object[]} steps - [{ line, vars, note, action }]
+     */
+    run(title, lines, steps) {
+        this.show(title, lines);
+        this.steps = steps;
+        this.stepIndex = -1;
+        this.play();
+    }
+
+    /**
+     * Whether a trace still has steps to show
+     * @returns {boolean} - True while running
+     */
+    isRunning() {
+        return this.stepIndex < this.steps.length - 1;
+    }
+
+    /**
+     * Show the next step and run its action
+     * @returns {boolean} - True if a step was shown, false at the end
+     */
+    step() {
+        if (!this.isRunning()) {
+            this.pause();
+            return false;
+        }
+
+        this.stepIndex++;
+        const current = this.steps[this.stepIndex];
+
+        Array.from(this.code.children).forEach((item, index) => {
+            item.classList.toggle('current', index === current.line);
+        });
+        this.noteDisplay.textContent = current.note || '';
+        this.renderVars(current.vars || {});
+
+        current.action?.();
+        this.updateButtons();
+        return true;
+    }
+
+    /**
+     * Step automatically until the end or until paused
+     */
+    play() {
+        if (this.timer || !this.isRunning()) return;
+
+        const tick = () => {
+            this.timer = this.step() && this.isRunning() ? setTimeout(tick, this.stepDelay) : null;
+            this.updateButtons();
+        };
+
+        this.timer = setTimeout(tick, 0);
+        this.updateButtons();
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateButtons();
+    }
+
+    /**
+     * Run every remaining step, actions included, without waiting
+     */
+    finish() {
+        this.pause();
+        while (this.step()) {
+            // Each step runs its own action
+        }
+    }
+
+    /**
+     * Drop the remaining steps without running their actions
+     */
+    cancel() {
+        this.pause();
+        this.steps = [];
+        this.stepIndex = -1;
+        Array.from(this.code.children).forEach(item => item.classList.remove('current'));
+        this.updateButtons();
+    }
+
+    /**
+     * Draw the variable values of the current step
+     * @param {Object} vars - Name to value
+     */
+    renderVars(vars) {
+        this.varsDisplay.innerHTML = '';
+        Object.entries(vars).forEach(([name, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = name;
+            const definition = document.createElement('dd');
+            definition.textContent = Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+            this.varsDisplay.append(term, definition);
+        });
+    }
+
+    /**
+     * Enable/disable playback buttons
+     */
+    updateButtons() {
+        const playing = this.timer !== null;
+        const running = this.isRunning();
+
+        this.stepBtn.disabled = playing || !running;
+        this.playBtn.disabled = playing || !running;
+        this.pauseBtn.disabled = !playing;
+        this.finishBtn.disabled = !running;
+    }
+}
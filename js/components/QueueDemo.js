@@ -6,21 +6,100 @@
 class QueueDemo {
     constructor() {
         this.queue = new Queue();
-        
-        // Initialize callbacks object to prevent undefined errors
-        this.callbacks = {
-            overflow: () => {},
-            frontViewed: () => {},
-            dequeued: () => {},
-            cleared: () => {},
-            enqueued: () => {}
-        };
+        this.queue.setMaxSize(10); // Small enough to see the overflow policies at work
+        this.evictedItems = []; // Values still animating out after an eviction
+        this.viewMode = 'linear';
+        this.ringHead = 0; // Head slot of the fixed-size array the ring view models
+        this.ring = null;
+        this.implementation = 'array';
         
         this.initializeDOM();
+        this.linkedView = this.linkedContainer
+            ? new LinkedListView(this.linkedContainer, {
+                pointers: [
+                    { name: 'head', role: 'first', side: 'above' },
+                    { name: 'tail', role: 'last', side: 'below' }
+                ]
+            })
+            : null;
+        this.timeline = this.timelineContainer
+            ? new OperationTimeline(this.timelineContainer, {
+                snapshot: this.queue.toJSON(),
+                view: { ringHead: this.ringHead },
+                onTravel: (target, previous, direction) => this.travel(target, direction)
+            })
+            : null;
+        this.pseudocode = this.pseudocodeContainer ? new PseudocodePanel(this.pseudocodeContainer) : null;
+        this.pseudocode?.show('enqueue(x)', QueueDemo.PSEUDOCODE.enqueue);
+        this.costMeter = this.costContainer
+            ? new CostMeter(this.costContainer, { describe: (event) => this.describeCost(event) })
+            : null;
+        this.bindQueueEvents();
         this.initializeEventListeners();
         this.updateDisplay();
     }
 
+    /**
+     * Render and notify from the queue's own events
+     */
+    bindQueueEvents() {
+        const linked = () => this.implementation === 'linked';
+
+        this.queue.on('enqueue', ({ value }) => {
+            if (linked()) {
+                this.linkedView.insertLast(value);
+            }
+            this.showNotification(`Đã thêm: ${value}`, 'success');
+        });
+
+        this.queue.on('dequeue', ({ value }) => {
+            if (linked()) {
+                this.linkedView.removeFirst();
+            }
+            this.advanceRingHead(1);
+            this.showNotification(`Đã lấy ra: ${value}`, 'success');
+        });
+
+        this.queue.on('clear', () => {
+            this.linkedView?.show([]);
+            this.ringHead = 0;
+            this.showNotification('Đã xóa toàn bộ queue', 'info');
+        });
+
+        this.queue.on('evict', ({ values, reason, policy }) => {
+            // drop-newest discards the arriving value at the rear; everything else leaves from the front
+            const side = reason === 'overflow' && policy === 'drop-oldest' ? 'front' : 'rear';
+            if (side === 'front') {
+                this.advanceRingHead(values.length);
+            }
+            const dropped = reason === 'overflow' && policy === 'drop-newest';
+            if (linked() && !dropped) {
+                values.forEach(() => (side === 'front' ? this.linkedView.removeFirst() : this.linkedView.removeLast()));
+            }
+            this.animateEvicted(values, side);
+            this.showNotification(`Đã loại bỏ: ${values.join(', ')}`, 'warning');
+        });
+
+        this.queue.on('resize', ({ maxSize, previousMaxSize }) => {
+            // A resized array is copied front-first into the new one, so head starts over at 0
+            this.ringHead = 0;
+            if (maxSize > previousMaxSize) {
+                this.showNotification(`Queue tăng kích thước lên ${maxSize}`, 'info');
+            }
+        });
+
+        this.queue.on('reverse', () => {
+            if (linked()) {
+                this.linkedView.show(this.queue.toArray());
+            }
+        });
+
+        // Re-render after every change
+        this.queue.on('*', () => this.updateDisplay());
+
+        this.costMeter?.attach(this.queue.cost);
+    }
+
     /**
      * Initialize DOM elements
      */
@@ -40,6 +119,31 @@ class QueueDemo {
         this.frontDisplay = document.getElementById('queueFront');
         this.rearDisplay = document.getElementById('queueRear');
         this.statusDisplay = document.getElementById('queueStatus');
+        this.capacityDisplay = document.getElementById('queueCapacity');
+        this.policySelect = document.getElementById('queuePolicySelect');
+        this.viewSelect = document.getElementById('queueViewSelect');
+        this.implSelect = document.getElementById('queueImplSelect');
+        this.linkedContainer = document.getElementById('queueLinkedView');
+        this.timelineContainer = document.getElementById('queueTimeline');
+        this.pseudoToggle = document.getElementById('queuePseudoToggle');
+        this.pseudocodeContainer = document.getElementById('queuePseudocode');
+        this.costContainer = document.getElementById('queueCostMeter');
+    }
+
+    /**
+     * Map a failed queue operation to its notification
+     * @param {Error} error - Error thrown by the queue
+     */
+    handleError(error) {
+        if (error instanceof OverflowError) {
+            this.showNotification(`Queue đã đầy! Kích thước tối đa là ${error.state.maxSize}`, 'error');
+        } else if (error instanceof UnderflowError) {
+            this.showNotification('Queue đang trống!', 'warning');
+        } else if (error instanceof InvalidElementError) {
+            this.showNotification('Không thể enqueue giá trị rỗng', 'warning');
+        } else {
+            this.showNotification(error.message, 'error');
+        }
     }
 
     /**
@@ -60,6 +164,20 @@ class QueueDemo {
         this.frontBtn?.addEventListener('click', () => this.viewFront());
         this.clearBtn?.addEventListener('click', () => this.clear());
 
+        document.getElementById('queueSearchBtn')?.addEventListener('click', () => this.search());
+        document.getElementById('queueReverseBtn')?.addEventListener('click', () => this.reverse());
+        document.getElementById('queueCloneBtn')?.addEventListener('click', () => this.clone());
+        document.getElementById('queueMergeBtn')?.addEventListener('click', () => this.merge());
+
+        this.policySelect?.addEventListener('change', () => {
+            this.queue.setOverflowPolicy(this.policySelect.value);
+            this.updateDisplay();
+        });
+
+        this.viewSelect?.addEventListener('change', () => this.setViewMode(this.viewSelect.value));
+        this.implSelect?.addEventListener('change', () => this.setImplementation(this.implSelect.value));
+        this.pseudoToggle?.addEventListener('change', () => this.updatePseudocodeVisibility());
+
         // Enter key support for input
         this.inputField?.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -73,22 +191,23 @@ class QueueDemo {
      * @param {*} value - Value to add
      */
     enqueue(value) {
+        if (this.usePseudocode()) {
+            this.runPseudocode('enqueue', value);
+            return;
+        }
+        this.applyEnqueue(value);
+    }
+
+    /**
+     * Enqueue a value and log it
+     * @param {*} value - Value to add
+     */
+    applyEnqueue(value) {
         try {
-            this.queue.enqueue(value);
-            this.updateDisplay();
-            this.showNotification(`Đã thêm: ${value}`, 'success');
-            
-            // Call callback safely
-            if (this.callbacks?.enqueued) {
-                this.callbacks.enqueued(value);
-            }
+            const added = this.queue.enqueue(value);
+            this.recordOperation(added ? `enqueue(${value})` : `enqueue(${value}) (bị bỏ)`);
         } catch (error) {
-            this.showNotification(error.message, 'error');
-            
-            // Call overflow callback safely
-            if (this.callbacks?.overflow) {
-                this.callbacks.overflow();
-            }
+            this.handleError(error);
         }
     }
 
@@ -96,22 +215,22 @@ class QueueDemo {
      * Remove element from queue
      */
     dequeue() {
-        try {
-            if (this.queue.isEmpty()) {
-                this.showNotification('Queue đang trống!', 'warning');
-                return;
-            }
+        if (this.usePseudocode()) {
+            this.runPseudocode('dequeue');
+            return;
+        }
+        this.applyDequeue();
+    }
 
+    /**
+     * Dequeue the front value and log it
+     */
+    applyDequeue() {
+        try {
             const value = this.queue.dequeue();
-            this.updateDisplay();
-            this.showNotification(`Đã lấy ra: ${value}`, 'success');
-            
-            // Call callback safely
-            if (this.callbacks?.dequeued) {
-                this.callbacks.dequeued(value);
-            }
+            this.recordOperation(`dequeue() → ${value}`);
         } catch (error) {
-            this.showNotification(error.message, 'error');
+            this.handleError(error);
         }
     }
 
@@ -119,6 +238,17 @@ class QueueDemo {
      * View front element
      */
     viewFront() {
+        if (this.usePseudocode()) {
+            this.runPseudocode('front');
+            return;
+        }
+        this.applyFront();
+    }
+
+    /**
+     * Report and highlight the front value
+     */
+    applyFront() {
         try {
             const front = this.queue.front();
             if (front === null) {
@@ -129,11 +259,6 @@ class QueueDemo {
                 // Highlight front element briefly
                 this.highlightFrontElement();
             }
-            
-            // Call callback safely
-            if (this.callbacks?.frontViewed) {
-                this.callbacks.frontViewed(front);
-            }
         } catch (error) {
             this.showNotification(error.message, 'error');
         }
@@ -143,18 +268,235 @@ class QueueDemo {
      * Clear queue
      */
     clear() {
-        try {
-            this.queue.clear();
-            this.updateDisplay();
-            this.showNotification('Đã xóa toàn bộ queue', 'info');
-            
-            // Call callback safely
-            if (this.callbacks?.cleared) {
-                this.callbacks.cleared();
+        this.pseudocode?.finish();
+        const hadItems = !this.queue.isEmpty();
+        this.queue.clear();
+        if (hadItems) {
+            this.recordOperation('clear()');
+        }
+    }
+
+    /**
+     * Search for the input value and report its distance from the front
+     */
+    search() {
+        const value = this.inputField?.value?.trim();
+
+        if (!value) {
+            this.showNotification('Nhập giá trị cần tìm', 'warning');
+            return;
+        }
+
+        const position = this.queue.search(value);
+        this.showNotification(position === -1
+            ? `search(${value}): không có trong queue`
+            : `search(${value}) → cách front ${position} vị trí`, 'info');
+    }
+
+    /**
+     * Reverse the queue in place (rear becomes front)
+     */
+    reverse() {
+        this.pseudocode?.finish();
+        this.queue.reverse();
+        this.recordOperation('reverse()');
+    }
+
+    /**
+     * Copy the queue; only the cost is shown, the copy is discarded
+     */
+    clone() {
+        const copy = this.queue.clone();
+        this.showNotification(`clone() → bản sao ${copy.size()} phần tử`, 'info');
+    }
+
+    /**
+     * Merge the queue with a copy of itself; the current queue is unchanged
+     */
+    merge() {
+        // fromJSON builds the copy without a measured clone(), so the meter shows merge alone
+        const other = this.queue.constructor.fromJSON(this.queue.toJSON());
+        const merged = this.queue.merge(other);
+        this.showNotification(`merge() → queue mới ${merged.size()}/${merged.getMaxSize()} phần tử`, 'info');
+    }
+
+    /**
+     * Explain measured costs, above all why dequeue stays O(1) here
+     * @param {Object} event - Measure event from CostCounter
+     * @returns {string|null} - Note for the cost meter
+     */
+    describeCost(event) {
+        const linked = this.implementation === 'linked';
+
+        if (event.operation === 'dequeue' && event.moves > 0) {
+            return `${linked ? 'LinkedQueue chỉ chuyển con trỏ head' : 'Ring buffer chỉ tăng head'}: 1 bước. ` +
+                `Queue dùng Array.shift() sẽ phải dời ${event.size} phần tử còn lại lên một ô, O(n)`;
+        }
+        if (event.operation === 'enqueue' && event.moves > 2) {
+            return `Buffer đầy nên ${event.moves - 1} phần tử được chép sang mảng gấp đôi; ` +
+                'việc chép hiếm khi xảy ra nên trung bình enqueue vẫn là O(1)';
+        }
+        if (event.operation === 'enqueue' && event.moves === 2) {
+            return 'Drop-oldest bỏ phần tử ở front trước khi thêm: 1 bước thêm, vẫn O(1)';
+        }
+        return null;
+    }
+
+    /**
+     * Whether operations should run line by line in the pseudocode panel.
+     * The pseudocode describes the circular array, so linked mode never uses it.
+     * @returns {boolean} - True if step mode is on
+     */
+    usePseudocode() {
+        return Boolean(this.pseudocode && this.pseudoToggle?.checked && this.implementation === 'array');
+    }
+
+    /**
+     * Show the panel only while step mode is on; turning it off completes a pending operation
+     */
+    updatePseudocodeVisibility() {
+        if (!this.pseudocodeContainer) return;
+
+        if (!this.usePseudocode()) {
+            this.pseudocode.finish();
+        }
+        this.pseudocodeContainer.hidden = !this.usePseudocode();
+    }
+
+    /**
+     * Trace an operation from the current state and step through it in the panel
+     * @param {string} operation - enqueue, dequeue or front
+     * @param {*} [value] - Value to enqueue
+     */
+    runPseudocode(operation, value) {
+        this.pseudocode.finish(); // A pending operation completes before the next one is traced
+
+        const title = operation === 'enqueue' ? `enqueue(${value})` : `${operation}()`;
+        this.pseudocode.run(title, QueueDemo.PSEUDOCODE[operation], this.traceOperation(operation, value));
+    }
+
+    /**
+     * Steps of the circular-array pseudocode for one operation, using the
+     * head slot the ring view tracks
+     * @param {string} operation - enqueue, dequeue or front
+     * @param {*} [value] - Value to enqueue
+     * @returns {Object[]} - [{ line, vars, note, action }] for PseudocodePanel
+     */
+    traceOperation(operation, value) {
+        const head = this.ringHead;
+        const count = this.queue.size();
+        const maxSize = this.queue.getMaxSize();
+        const vars = (headSlot, size, extra = {}) => ({ ...extra, head: headSlot, count: size, maxSize });
+
+        if (operation === 'enqueue') {
+            const full = count >= maxSize;
+            const steps = [
+                { line: 0, vars: vars(head, count, { x: value }) },
+                { line: 1, vars: vars(head, count, { x: value }), note: `count == maxSize → ${count} == ${maxSize} → ${full}` }
+            ];
+
+            if (full) {
+                const policy = this.queue.overflowPolicy;
+                steps.push({
+                    line: 2,
+                    vars: vars(head, count, { x: value }),
+                    note: policy === 'reject' ? 'Queue đầy → Overflow' : `Queue đầy → chính sách "${policy}" xử lý`,
+                    action: () => this.applyEnqueue(value)
+                });
+            } else {
+                const tail = (head + count) % maxSize;
+                steps.push(
+                    { line: 3, vars: vars(head, count, { x: value, tail }), note: `tail = (${head} + ${count}) mod ${maxSize} = ${tail}` },
+                    { line: 4, vars: vars(head, count, { x: value, tail }), note: `items[${tail}] = ${value}`, action: () => this.applyEnqueue(value) },
+                    { line: 5, vars: vars(head, count + 1, { x: value, tail }), note: `count = ${count} + 1 = ${count + 1}` }
+                );
             }
-        } catch (error) {
-            this.showNotification(error.message, 'error');
+            return steps;
         }
+
+        const steps = [
+            { line: 0, vars: vars(head, count) },
+            { line: 1, vars: vars(head, count), note: `count == 0 → ${count} == 0 → ${count === 0}` }
+        ];
+
+        if (count === 0) {
+            steps.push({
+                line: 2,
+                vars: vars(head, count),
+                note: operation === 'dequeue' ? 'Queue rỗng → Underflow' : 'Queue rỗng',
+                action: () => (operation === 'dequeue' ? this.applyDequeue() : this.applyFront())
+            });
+        } else if (operation === 'dequeue') {
+            const x = this.queue.front();
+            const next = (head + 1) % maxSize;
+            steps.push(
+                { line: 3, vars: vars(head, count, { x }), note: `x = items[${head}] = ${x}` },
+                { line: 4, vars: vars(next, count, { x }), note: `head = (${head} + 1) mod ${maxSize} = ${next}`, action: () => this.applyDequeue() },
+                { line: 5, vars: vars(next, count - 1, { x }), note: `count = ${count} - 1 = ${count - 1}` },
+                { line: 6, vars: vars(next, count - 1, { x }), note: `Trả về ${x}` }
+            );
+        } else {
+            steps.push({
+                line: 3,
+                vars: vars(head, count),
+                note: `Trả về items[${head}] = ${this.queue.front()}`,
+                action: () => this.applyFront()
+            });
+        }
+        return steps;
+    }
+
+    /**
+     * Log an operation in the timeline with a snapshot of the resulting queue
+     * @param {string} label - Description such as 'enqueue(A)'
+     */
+    recordOperation(label) {
+        this.timeline?.record(label, this.queue.toJSON(), { ringHead: this.ringHead });
+    }
+
+    /**
+     * Restore a state from the timeline. A step between linked entries is
+     * animated from the difference, so stepping back plays the operation in reverse.
+     * @param {Object} target - Timeline entry to show
+     * @param {string} direction - 'forward', 'backward' or 'jump'
+     */
+    travel(target, direction) {
+        this.pseudocode?.cancel(); // Its trace was computed for the state being left
+        const linked = this.implementation === 'linked';
+        const QueueClass = linked ? LinkedQueue : Queue;
+        const before = this.queue.toArray();
+
+        // The snapshot may come from the other implementation; only its contents matter
+        this.queue = QueueClass.fromJSON({ ...target.snapshot, type: linked ? 'LinkedQueue' : 'Queue' });
+        this.ringHead = target.view.ringHead ?? 0;
+        this.evictedItems = [];
+        this.bindQueueEvents();
+        if (this.policySelect) {
+            this.policySelect.value = this.queue.overflowPolicy;
+        }
+
+        const after = this.queue.toArray();
+        const change = direction === 'jump' ? null : OperationTimeline.diff(before, after);
+
+        if (linked) {
+            if (change) {
+                const animations = {
+                    addFirst: 'insertFirst',
+                    addLast: 'insertLast',
+                    removeFirst: 'removeFirst',
+                    removeLast: 'removeLast'
+                };
+                this.linkedView?.show(before);
+                this.linkedView?.[animations[change.type]](change.value);
+            } else {
+                this.linkedView?.show(after);
+            }
+        } else if (change?.type === 'removeFirst' || change?.type === 'removeLast') {
+            // A removed value fades out on the side it left from
+            this.animateEvicted([change.value], change.type === 'removeFirst' ? 'front' : 'rear');
+        }
+
+        this.updateDisplay();
     }
 
     /**
@@ -163,27 +505,13 @@ class QueueDemo {
     updateDisplay() {
         if (!this.visualization) return;
 
-        if (this.queue.isEmpty()) {
-            // Show empty state
-            this.visualization.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-arrow-right"></i>
-                    <p>Queue trống</p>
-                    <span>Nhập giá trị và nhấn Enqueue để bắt đầu</span>
-                </div>
-            `;
-        } else {
-            // Show queue items
-            const items = this.queue.toArray();
-            this.visualization.innerHTML = items
-                .map((item, index) => `
-                    <div class="queue-item ${index === 0 ? 'front-item' : ''} ${index === items.length - 1 ? 'rear-item' : ''}" 
-                         data-index="${index}">
-                        <span class="item-value">${item}</span>
-                        ${index === 0 ? '<div class="item-label">Front</div>' : ''}
-                        ${index === items.length - 1 ? '<div class="item-label">Rear</div>' : ''}
-                    </div>
-                `).join('');
+        // In linked mode LinkedListView animates itself from the queue events
+        if (this.implementation === 'array') {
+            if (this.viewMode === 'ring') {
+                this.renderRing();
+            } else {
+                this.renderLinear();
+            }
         }
 
         // Update status displays
@@ -191,18 +519,34 @@ class QueueDemo {
             this.sizeDisplay.textContent = this.queue.size();
         }
 
+        if (this.capacityDisplay) {
+            this.capacityDisplay.textContent = this.queue.getMaxSize();
+        }
+
+        // In ring view the slot index is part of the lesson, so show it next to the value
+        const showSlots = this.implementation === 'array' && this.viewMode === 'ring';
+        const slotSuffix = (slot) => (showSlots ? ` [${slot}]` : '');
+
         if (this.frontDisplay) {
-            this.frontDisplay.textContent = this.queue.front() || 'None';
+            this.frontDisplay.textContent = this.queue.isEmpty()
+                ? 'None'
+                : `${this.queue.front()}${slotSuffix(this.ringHead)}`;
         }
 
         if (this.rearDisplay) {
-            this.rearDisplay.textContent = this.queue.rear() || 'None';
+            const rearSlot = (this.ringHead + this.queue.size() - 1) % this.queue.getMaxSize();
+            this.rearDisplay.textContent = this.queue.isEmpty()
+                ? 'None'
+                : `${this.queue.rear()}${slotSuffix(rearSlot)}`;
         }
 
         if (this.statusDisplay) {
             if (this.queue.isEmpty()) {
                 this.statusDisplay.textContent = 'Empty';
                 this.statusDisplay.className = 'status-empty';
+            } else if (this.queue.isFull()) {
+                this.statusDisplay.textContent = 'Full';
+                this.statusDisplay.className = 'status-error';
             } else {
                 this.statusDisplay.textContent = 'Has Data';
                 this.statusDisplay.className = 'status-data';
@@ -222,6 +566,250 @@ class QueueDemo {
         }
     }
 
+    /**
+     * Draw the queue as a flat row of items, front on the left
+     */
+    renderLinear() {
+        if (this.queue.isEmpty()) {
+            // Show empty state
+            this.visualization.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-arrow-right"></i>
+                    <p>Queue trống</p>
+                    <span>Nhập giá trị và nhấn Enqueue để bắt đầu</span>
+                </div>
+            `;
+        } else {
+            // Show queue items
+            const items = this.queue.toArray();
+            const ghosts = (side) => this.evictedItems
+                .filter(evicted => evicted.side === side)
+                .map(evicted => this.createQueueItem(evicted.value, 'queue-item evicted animate-queueDequeue'));
+
+            const elements = items.map((item, index) => {
+                const isFront = index === 0;
+                const isRear = index === items.length - 1;
+                const className = `queue-item ${isFront ? 'front-item' : ''} ${isRear ? 'rear-item' : ''}`;
+                const element = this.createQueueItem(item, className);
+                element.dataset.index = index;
+                if (isFront) {
+                    element.appendChild(this.createItemLabel('Front'));
+                }
+                if (isRear) {
+                    element.appendChild(this.createItemLabel('Rear'));
+                }
+                return element;
+            });
+
+            this.visualization.innerHTML = '';
+            this.visualization.append(...ghosts('front'), ...elements, ...ghosts('rear'));
+        }
+}
+
+    /**
+     * Swap the backing implementation, keeping the current elements and settings
+     * @param {string} kind - 'array' (Queue) or 'linked' (LinkedQueue)
+     */
+    setImplementation(kind) {
+        this.pseudocode?.finish();
+        const previous = this.queue;
+        const QueueClass = kind === 'linked' ? LinkedQueue : Queue;
+
+        this.queue = new QueueClass({ strict: previous.strict, overflowPolicy: previous.overflowPolicy });
+        this.queue.setMaxSize(previous.getMaxSize());
+        previous.toArray().forEach(item => this.queue.enqueue(item)); // Before binding: no animations
+        this.implementation = kind === 'linked' ? 'linked' : 'array';
+        this.ringHead = 0;
+        this.ring = null;
+        this.evictedItems = [];
+        this.bindQueueEvents();
+
+        // The ring view models a fixed-size array, which a linked list is not
+        const linked = this.implementation === 'linked';
+        if (this.viewSelect) {
+            this.viewSelect.disabled = linked;
+        }
+        this.visualization.hidden = linked;
+        if (this.linkedContainer) {
+            this.linkedContainer.hidden = !linked;
+        }
+        if (this.pseudoToggle) {
+            this.pseudoToggle.disabled = linked;
+        }
+        this.updatePseudocodeVisibility();
+        this.linkedView?.show(this.queue.toArray());
+
+        this.updateDisplay();
+        this.showNotification(`Queue dùng ${linked ? 'danh sách liên kết (LinkedQueue)' : 'mảng vòng (Queue)'}`, 'info');
+    }
+
+    /**
+     * Switch between the flat list and the circular array view
+     * @param {string} mode - 'linear' or 'ring'
+     */
+    setViewMode(mode) {
+        this.viewMode = mode === 'ring' ? 'ring' : 'linear';
+        this.ring = null; // Rebuilt on the next render
+        this.visualization?.classList.toggle('ring-mode', this.viewMode === 'ring');
+        this.updateDisplay();
+    }
+
+    /**
+     * Move the ring view's head pointer forward, wrapping around the capacity
+     * @param {number} steps - Number of slots freed at the front
+     */
+    advanceRingHead(steps) {
+        this.ringHead = (this.ringHead + steps) % this.queue.getMaxSize();
+    }
+
+    /**
+     * Build the ring skeleton: one slot per unit of capacity plus head/tail arrows
+     * @param {number} capacity - Number of slots
+     */
+    buildRing(capacity) {
+        const radius = 120;
+        const slotSize = Math.max(20, Math.min(48, (2 * Math.PI * radius / capacity) * 0.75));
+
+        this.visualization.innerHTML = '';
+        const ringElement = document.createElement('div');
+        ringElement.className = 'queue-ring';
+        ringElement.style.setProperty('--slot-size', `${slotSize}px`);
+
+        const slots = [];
+        for (let i = 0; i < capacity; i++) {
+            const { x, y } = this.ringPosition(i, capacity, radius);
+            const slot = document.createElement('div');
+            slot.className = 'ring-slot empty';
+            slot.style.left = `calc(50% + ${x}px)`;
+            slot.style.top = `calc(50% + ${y}px)`;
+            slot.innerHTML = `<span class="item-value"></span><span class="ring-index">${i}</span>`;
+            ringElement.appendChild(slot);
+            slots.push(slot);
+        }
+
+        const pointer = (className, label) => {
+            const element = document.createElement('div');
+            element.className = `ring-pointer ${className}`;
+            element.textContent = label;
+            ringElement.appendChild(element);
+            return element;
+        };
+
+        const center = document.createElement('div');
+        center.className = 'ring-center';
+        ringElement.appendChild(center);
+
+        this.visualization.appendChild(ringElement);
+        this.ring = {
+            capacity,
+            radius,
+            slots,
+            center,
+            head: pointer('head', 'head'),
+            tail: pointer('tail', 'tail')
+        };
+    }
+
+    /**
+     * Offset of a slot from the ring centre; slot 0 sits at twelve o'clock
+     * @param {number} index - Slot index
+     * @param {number} capacity - Number of slots
+     * @param {number} radius - Distance from the centre in pixels
+     * @returns {Object} - { x, y } in pixels
+     */
+    ringPosition(index, capacity, radius) {
+        const angle = (2 * Math.PI * index) / capacity - Math.PI / 2;
+        return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+    }
+
+    /**
+     * Draw the queue as a fixed-size circular array with head and tail pointers.
+     * head == tail both when empty and when full, so the count decides which.
+     */
+    renderRing() {
+        const capacity = this.queue.getMaxSize();
+        if (!this.ring || this.ring.capacity !== capacity) {
+            this.buildRing(capacity);
+        }
+
+        const count = this.queue.size();
+        const tailSlot = (this.ringHead + count) % capacity;
+
+        this.ring.slots.forEach((slot, index) => {
+            const offset = (index - this.ringHead + capacity) % capacity;
+            const occupied = offset < count;
+            slot.classList.toggle('empty', !occupied);
+            slot.querySelector('.item-value').textContent = occupied ? this.queue.at(offset) : '';
+            slot.title = occupied ? `Slot ${index}: ${this.queue.at(offset)}` : `Slot ${index}: trống`;
+        });
+
+        // Arrows sit outside the ring; when head == tail they are split so both stay readable
+        const placePointer = (element, slot, shift) => {
+            const { x, y } = this.ringPosition(slot + shift, capacity, this.ring.radius + 48);
+            element.style.left = `calc(50% + ${x}px)`;
+            element.style.top = `calc(50% + ${y}px)`;
+        };
+        const shared = tailSlot === this.ringHead;
+        placePointer(this.ring.head, this.ringHead, shared ? -0.25 : 0);
+        placePointer(this.ring.tail, tailSlot, shared ? 0.25 : 0);
+
+        let verdict = '';
+        if (shared) {
+            verdict = count === 0 ? 'head == tail, count = 0 → Rỗng' : `head == tail, count = ${count} → Đầy`;
+        }
+        this.ring.center.innerHTML = `
+            <strong>count = ${count} / ${capacity}</strong>
+            <span>head = ${this.ringHead}, tail = ${tailSlot}</span>
+            <span class="ring-verdict"></span>
+        `;
+        this.ring.center.querySelector('.ring-verdict').textContent = verdict;
+    }
+
+    /**
+     * Queue item showing a value; values are user input, so they go in as text
+     * @param {*} value - Element value
+     * @param {string} className - Classes for the item
+     * @returns {HTMLElement} - Queue item element
+     */
+    createQueueItem(value, className) {
+        const item = document.createElement('div');
+        item.className = className;
+
+        const valueElement = document.createElement('span');
+        valueElement.className = 'item-value';
+        valueElement.textContent = value;
+
+        item.appendChild(valueElement);
+        return item;
+    }
+
+    /**
+     * Front/Rear label under a queue item
+     * @param {string} text - Label text
+     * @returns {HTMLElement} - Label element
+     */
+    createItemLabel(text) {
+        const label = document.createElement('div');
+        label.className = 'item-label';
+        label.textContent = text;
+        return label;
+    }
+
+    /**
+     * Keep evicted values on screen while they animate out
+* @param {Array} values - Evicted values
+     * @param {string} side - 'front' or 'rear'
+     */
+    animateEvicted(values, side) {
+        const entries = values.map(value => ({ value, side }));
+        this.evictedItems.push(...entries);
+
+        setTimeout(() => {
+            this.evictedItems = this.evictedItems.filter(entry => !entries.includes(entry));
+            this.updateDisplay();
+        }, 400);
+    }
+
     /**
      * Highlight front element
      */
@@ -318,14 +906,6 @@ class QueueDemo {
         }, 3000);
     }
 
-    /**
-     * Set callback functions
-     * @param {Object} callbacks - Callback functions
-     */
-    setCallbacks(callbacks) {
-        this.callbacks = { ...this.callbacks, ...callbacks };
-    }
-
     /**
      * Get queue statistics
      * @returns {Object} - Queue statistics
@@ -363,6 +943,33 @@ class QueueDemo {
     }
 }
 
+// Circular-array pseudocode shown in step mode, one entry per line
+QueueDemo.PSEUDOCODE = {
+    enqueue: [
+        'enqueue(x):',
+        '    if count == maxSize:',
+        '        error Overflow',
+        '    tail ← (head + count) mod maxSize',
+        '    items[tail] ← x',
+        '    count ← count + 1'
+    ],
+    dequeue: [
+        'dequeue():',
+        '    if count == 0:',
+        '        error Underflow',
+        '    x ← items[head]',
+        '    head ← (head + 1) mod maxSize',
+        '    count ← count - 1',
+        '    return x'
+    ],
+    front: [
+        'front():',
+        '    if count == 0:',
+        '        error Empty',
+        '    return items[head]'
+    ]
+};
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     if (document.getElementById('queueVisualization')) {
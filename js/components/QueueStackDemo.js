@@ -0,0 +1,289 @@
+/**
+ * Queue Stack Demo Component
+ * Stack built from one or two queues: shows the queues side by side, plays
+ * the moves that bring each pushed element to a front and keeps a running
+ * count of moves so the O(n) push shows in the totals
+ */
+
+class QueueStackDemo {
+    constructor() {
+        this.stack = new QueueStack();
+        this.container = document.getElementById('queueStackView');
+        this.input = document.getElementById('queueStackInput');
+        this.modeSelect = document.getElementById('queueStackModeSelect');
+        this.sizeDisplay = document.getElementById('queueStackSize');
+        this.topDisplay = document.getElementById('queueStackTop');
+        this.movesDisplay = document.getElementById('queueStackMoves');
+        this.amortisedDisplay = document.getElementById('queueStackAmortised');
+
+        this.pushBtn = document.getElementById('queueStackPushBtn');
+        this.popBtn = document.getElementById('queueStackPopBtn');
+        this.peekBtn = document.getElementById('queueStackPeekBtn');
+        this.clearBtn = document.getElementById('queueStackClearBtn');
+
+        // Running totals over every measured operation
+        this.totalMoves = 0;
+        this.operations = 0;
+
+        this.costContainer = document.getElementById('queueStackCostMeter');
+        this.costMeter = this.costContainer
+            ? new CostMeter(this.costContainer, { describe: (event) => this.describeCost(event) })
+            : null;
+
+        this.createView();
+        this.bindStackEvents();
+        this.initializeEventListeners();
+        this.updateDisplay();
+    }
+
+    /**
+     * Build the view with one lane per queue of the current stack
+     */
+    createView() {
+        const single = this.stack.queues.length === 1;
+        this.view = new TransferView(this.container, {
+            lanes: this.stack.queues.map((queue, index) => ({
+                key: String(index),
+                label: single ? 'Queue' : `Queue ${index + 1}`,
+                kind: 'queue'
+            }))
+        });
+
+        const contents = {};
+        this.stack.queues.forEach((queue, index) => {
+            contents[index] = queue.toArray();
+        });
+        this.view.show(contents);
+        this.updateBadges();
+    }
+
+    /**
+     * Animate and notify from the stack's own events
+     */
+    bindStackEvents() {
+        this.stack.on('push', ({ value, queue, transferred, from }) => {
+            const steps = [{ lane: String(queue), action: 'add', value }];
+            transferred.forEach(item => steps.push(
+                { lane: String(from), action: 'remove', value: item },
+                { lane: String(queue), action: 'add', value: item, moved: true }
+            ));
+
+            const moves = 1 + 2 * transferred.length;
+            const caption = from === queue
+                ? `push(${value}): enqueue rồi xoay ${transferred.length} phần tử ra sau, ${moves} bước`
+                : `push(${value}): enqueue vào Queue ${queue + 1} rồi chuyển ${transferred.length} phần tử ` +
+                  `từ Queue ${from + 1} sang, ${moves} bước`;
+            this.view.play(steps, caption);
+            this.updateBadges();
+            this.notify(`Đã push: ${value}`, 'success');
+        });
+
+        this.stack.on('pop', ({ value, queue }) => {
+            this.view.play(
+                [{ lane: String(queue), action: 'remove', value }],
+                `pop(): dequeue khỏi front → ${value}, 1 bước`
+            );
+            this.notify(`Đã pop: ${value}`, 'info');
+        });
+
+        this.stack.on('clear', () => {
+            this.view.show({});
+            this.notify('Đã xóa toàn bộ stack', 'info');
+        });
+
+        // Totals are final only once the operation has been measured
+        this.stack.cost.on('measure', ({ moves }) => {
+            this.totalMoves += moves;
+            this.operations++;
+            this.updateDisplay();
+        });
+
+        // Status panel and buttons follow every change
+        this.stack.on('*', () => this.updateDisplay());
+
+        this.costMeter?.attach(this.stack.cost);
+    }
+
+    /**
+     * Safe notification wrapper
+     * @param {string} message - Message to show
+     * @param {string} type - success, info, warning or error
+     */
+    notify(message, type = 'info') {
+        if (typeof window.notifications === 'undefined') {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+        window.notifications[type]?.(message);
+    }
+
+    /**
+     * Map a failed stack operation to its notification
+     * @param {Error} error - Error thrown by the stack
+     */
+    handleError(error) {
+        if (error instanceof OverflowError) {
+            this.notify(`Stack đã đầy! Kích thước tối đa là ${error.state.maxSize}`, 'error');
+        } else if (error instanceof UnderflowError) {
+            this.notify('Stack đang trống!', 'warning');
+        } else if (error instanceof InvalidElementError) {
+            this.notify('Không thể thêm giá trị rỗng', 'warning');
+        } else {
+            this.notify(error.message, 'error');
+        }
+    }
+
+    /**
+     * Initialize event listeners for the controls
+     */
+    initializeEventListeners() {
+        this.pushBtn?.addEventListener('click', () => this.push());
+        this.popBtn?.addEventListener('click', () => this.pop());
+        this.peekBtn?.addEventListener('click', () => this.peek());
+        this.clearBtn?.addEventListener('click', () => this.clear());
+        this.modeSelect?.addEventListener('change', () => this.setQueueCount(Number(this.modeSelect.value)));
+
+        this.input?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.push();
+            }
+        });
+    }
+
+    /**
+     * Push the input value
+     */
+    push() {
+        const value = this.input.value.trim();
+
+        if (!value) {
+            this.notify('Vui lòng nhập giá trị!', 'warning');
+            this.input.focus();
+            return;
+        }
+
+        if (value.length > 15) {
+            this.notify('Giá trị quá dài (tối đa 15 ký tự)', 'warning');
+            return;
+        }
+
+        try {
+            this.stack.push(value);
+            this.input.value = '';
+            this.input.focus();
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Pop the top value
+     */
+    pop() {
+        try {
+            this.stack.pop();
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Show the top value, which sits at the front of the queue in use
+     */
+    peek() {
+        const value = this.stack.peek();
+        if (value === null) {
+            this.notify('Stack đang trống!', 'warning');
+            return;
+        }
+        this.notify(`Đỉnh stack: ${value} (front của queue)`, 'info');
+    }
+
+    /**
+     * Clear the stack
+     */
+    clear() {
+        this.stack.clear();
+    }
+
+    /**
+     * Rebuild the stack from one or two queues, keeping its elements
+     * @param {number} count - 1 or 2
+     */
+    setQueueCount(count) {
+        const previous = this.stack;
+        this.stack = new QueueStack({ maxSize: previous.getMaxSize(), queues: count });
+        previous.toArray().forEach(item => this.stack.push(item)); // Before binding: no animations
+
+        this.totalMoves = 0;
+        this.operations = 0;
+        this.costMeter?.reset();
+
+        this.createView();
+        this.bindStackEvents();
+        this.updateDisplay();
+        this.notify(`Stack dùng ${count === 1 ? 'một queue (xoay vòng)' : 'hai queue (chuyển qua lại)'}`, 'info');
+    }
+
+    /**
+     * Mark the queue whose front is the top of the stack
+     */
+    updateBadges() {
+        this.stack.queues.forEach((queue, index) => {
+            this.view.setBadge(String(index), index === this.stack.primary && !this.stack.isEmpty() ? 'top = front' : '');
+        });
+    }
+
+    /**
+     * Note for the cost meter: push pays for every element already stored
+     * @param {Object} event - measure event from CostCounter
+     * @returns {string|null} - Explanation, or null for nothing to add
+     */
+    describeCost(event) {
+        if (event.operation === 'push' && event.moves > 1) {
+            return `${event.moves - 1} bước để đưa ${event.size - 1} phần tử cũ ra sau phần tử mới: ` +
+                'mọi lần push đều trả lại chi phí này, nên push là O(n) chứ không phải khấu hao O(1)';
+        }
+        return null;
+    }
+
+    /**
+     * Update status panel, move totals and buttons
+     */
+    updateDisplay() {
+        const isEmpty = this.stack.isEmpty();
+
+        this.sizeDisplay.textContent = this.stack.size();
+        this.topDisplay.textContent = isEmpty ? 'None' : this.stack.peek();
+        this.movesDisplay.textContent = `${this.totalMoves} sau ${this.operations} thao tác`;
+        this.amortisedDisplay.textContent = this.operations === 0
+            ? '-'
+            : `${(this.totalMoves / this.operations).toFixed(2)} bước/thao tác`;
+
+        [this.popBtn, this.peekBtn, this.clearBtn].forEach(btn => {
+            if (btn) {
+                btn.disabled = isEmpty;
+            }
+        });
+    }
+
+    /**
+     * Get current state for debugging
+     */
+    getState() {
+        return {
+            items: this.stack.toArray(),
+            queues: this.stack.queues.map(queue => queue.toArray()),
+            primary: this.stack.primary,
+            totalMoves: this.totalMoves,
+            operations: this.operations
+        };
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('queueStackView')) {
+        window.queueStackDemo = new QueueStackDemo();
+    }
+});
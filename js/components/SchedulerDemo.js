@@ -0,0 +1,580 @@
+/**
+ * CPU Scheduler Demo Component
+ * Round-robin scheduling driven by the Queue class, with FCFS for comparison
+ *
+ * Time advances one unit per step. Processes join the ready queue when they
+ * arrive; when the CPU is free the front process is dequeued and runs. Under
+ * round-robin it gets one quantum: if it has not finished by then and others
+ * are waiting, it is preempted and enqueued again at the rear, behind any
+ * process that arrived during that same unit. FCFS is the same loop with an
+ * unlimited quantum, so every process runs to completion once dispatched.
+ */
+
+class SchedulerDemo {
+    constructor() {
+        this.processTable = document.getElementById('schedProcesses');
+        this.modeSelect = document.getElementById('schedModeSelect');
+        this.quantumInput = document.getElementById('schedQuantum');
+        this.speedInput = document.getElementById('schedSpeed');
+        this.cpuView = document.getElementById('schedCpu');
+        this.queueView = document.getElementById('schedReadyQueue');
+        this.logView = document.getElementById('schedLog');
+        this.clockDisplay = document.getElementById('schedClock');
+        this.ganttView = document.getElementById('schedGantt');
+        this.resultsView = document.getElementById('schedResults');
+
+        this.addBtn = document.getElementById('schedAddBtn');
+        this.runBtn = document.getElementById('schedRunBtn');
+        this.pauseBtn = document.getElementById('schedPauseBtn');
+        this.stepBtn = document.getElementById('schedStepBtn');
+        this.resetBtn = document.getElementById('schedResetBtn');
+
+        this.timer = null;
+        this.processes = SchedulerDemo.DEFAULT_PROCESSES.map(process => ({ ...process }));
+
+        this.renderProcessTable();
+        this.initializeEventListeners();
+        this.reset();
+    }
+
+    /**
+     * Initialize event listeners for the controls and the process table
+     */
+    initializeEventListeners() {
+        this.addBtn?.addEventListener('click', () => this.addProcess());
+        this.runBtn?.addEventListener('click', () => this.run());
+        this.pauseBtn?.addEventListener('click', () => this.pause());
+        this.stepBtn?.addEventListener('click', () => this.step());
+        this.resetBtn?.addEventListener('click', () => this.reset());
+
+        // Any change to the setup restarts the run from time 0
+        this.modeSelect?.addEventListener('change', () => this.reset());
+        this.quantumInput?.addEventListener('change', () => this.reset());
+
+        this.processTable?.addEventListener('change', (e) => {
+            const row = e.target.closest('tr');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+
+            const process = this.processes[Number(row.dataset.index)];
+            process[field] = field === 'name' ? e.target.value.trim() : Number(e.target.value);
+            this.reset();
+        });
+
+        this.processTable?.addEventListener('click', (e) => {
+            const button = e.target.closest('.sched-remove');
+            if (button) {
+                this.processes.splice(Number(button.closest('tr').dataset.index), 1);
+                this.renderProcessTable();
+                this.reset();
+            }
+        });
+    }
+
+    /**
+     * Safe notification wrapper
+     * @param {string} message - Message to show
+     * @param {string} type - success, info, warning or error
+     */
+    notify(message, type = 'info') {
+        if (typeof window.notifications === 'undefined') {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+        window.notifications[type]?.(message);
+    }
+
+    /**
+     * Add a process arriving after the last one
+     */
+    addProcess() {
+        if (this.processes.length >= SchedulerDemo.MAX_PROCESSES) {
+            this.notify(`Tối đa ${SchedulerDemo.MAX_PROCESSES} tiến trình`, 'warning');
+            return;
+        }
+
+        const taken = new Set(this.processes.map(process => process.name));
+        let number = this.processes.length + 1;
+        while (taken.has(`P${number}`)) number++;
+
+        const lastArrival = Math.max(0, ...this.processes.map(process => process.arrival));
+        this.processes.push({ name: `P${number}`, arrival: lastArrival + 1, burst: 3 });
+        this.renderProcessTable();
+        this.reset();
+    }
+
+    /**
+     * Check the process table
+     * @returns {string|null} - Problem to report, or null when it can run
+     */
+    validate() {
+        if (this.processes.length === 0) {
+            return 'Cần ít nhất một tiến trình';
+        }
+
+        const names = new Set();
+        for (const { name, arrival, burst } of this.processes) {
+            if (!name) return 'Tên tiến trình không được để trống';
+            if (names.has(name)) return `Tên ${name} bị trùng`;
+            names.add(name);
+
+            if (!Number.isInteger(arrival) || arrival < 0) {
+                return `${name}: thời điểm đến phải là số nguyên ≥ 0`;
+            }
+            if (!Number.isInteger(burst) || burst < 1 || burst > SchedulerDemo.MAX_BURST) {
+                return `${name}: burst phải là số nguyên từ 1 đến ${SchedulerDemo.MAX_BURST}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Quantum from the input, clamped to the allowed range
+     * @returns {number} - Time units per turn
+     */
+    getQuantum() {
+        return readIntInput(this.quantumInput, {
+            min: 1,
+            max: SchedulerDemo.MAX_QUANTUM,
+            fallback: SchedulerDemo.DEFAULT_QUANTUM
+        });
+    }
+
+    /**
+     * Fresh scheduling state at time 0
+     * @param {string} mode - 'rr' or 'fcfs'
+     * @returns {Object} - Run state
+     */
+    createRun(mode) {
+        return {
+            mode,
+            quantum: mode === 'rr' ? this.getQuantum() : Infinity,
+            time: 0,
+            // Stable sort keeps table order for equal arrival times
+            pending: this.processes
+                .map((process, index) => ({ ...process, index, remaining: process.burst, completion: null }))
+                .sort((a, b) => a.arrival - b.arrival),
+            ready: new Queue({ overflowPolicy: 'grow' }),
+            running: null,
+            sliceLeft: 0,
+            gantt: [],      // [{ name, start, end }], name null while idle
+            events: [],     // Messages for the last step
+            finished: [],
+            preempted: null, // Process sent back to the rear in the last step
+            preemptions: 0
+        };
+    }
+
+    /**
+     * Enqueue every process that has arrived by the current time
+     * @param {Object} run - Run state
+     */
+    admitArrivals(run) {
+        while (run.pending.length > 0 && run.pending[0].arrival <= run.time) {
+            const process = run.pending.shift();
+            run.ready.enqueue(process);
+            run.events.push(`${process.name} đến, vào cuối ready queue`);
+        }
+    }
+
+    /**
+     * Advance a run by one time unit
+     * @param {Object} run - Run state
+     * @returns {boolean} - True while processes remain
+     */
+    advance(run) {
+        run.events = [];
+        run.preempted = null;
+        this.admitArrivals(run);
+
+        if (!run.running && !run.ready.isEmpty()) {
+            run.running = run.ready.dequeue();
+            run.sliceLeft = run.quantum;
+            run.events.push(`Dequeue ${run.running.name} lên CPU`);
+        }
+
+        // Run one unit, extending the current Gantt block when nothing changed
+        const name = run.running ? run.running.name : null;
+        const last = run.gantt[run.gantt.length - 1];
+        if (last && last.name === name && last.end === run.time) {
+            last.end++;
+        } else {
+            run.gantt.push({ name, start: run.time, end: run.time + 1 });
+        }
+        run.time++;
+
+        // Arrivals during this unit queue up ahead of a process preempted at its end
+        this.admitArrivals(run);
+
+        if (run.running) {
+            const process = run.running;
+            process.remaining--;
+            run.sliceLeft--;
+
+            if (process.remaining === 0) {
+                process.completion = run.time;
+                run.finished.push(process);
+                run.running = null;
+                run.events.push(`${process.name} hoàn thành ở t = ${run.time}`);
+            } else if (run.sliceLeft === 0) {
+                if (run.ready.isEmpty()) {
+                    run.sliceLeft = run.quantum; // Nobody waiting: keep the CPU for another quantum
+                    run.events.push(`${process.name} hết quantum nhưng queue trống, chạy tiếp`);
+                } else {
+                    run.ready.enqueue(process);
+                    run.running = null;
+                    run.preempted = process;
+                    run.preemptions++;
+                    run.events.push(`${process.name} hết quantum, bị ngắt và enqueue lại (còn ${process.remaining})`);
+                }
+            }
+        }
+
+        return run.finished.length < this.processes.length;
+    }
+
+    /**
+     * Per-process and average times of a finished run
+     * @param {Object} run - Finished run state
+     * @returns {Object} - { rows, avgWaiting, avgTurnaround }
+     */
+    summarize(run) {
+        const rows = [...run.finished]
+            .sort((a, b) => a.index - b.index)
+            .map(process => {
+                const turnaround = process.completion - process.arrival;
+                return { ...process, turnaround, waiting: turnaround - process.burst };
+            });
+        const average = (key) => rows.reduce((sum, row) => sum + row[key], 0) / rows.length;
+
+        return { rows, avgWaiting: average('waiting'), avgTurnaround: average('turnaround') };
+    }
+
+    /**
+     * Run a mode to completion without animation
+     * @param {string} mode - 'rr' or 'fcfs'
+     * @returns {Object} - Finished run state
+     */
+    simulate(mode) {
+        const run = this.createRun(mode);
+        while (this.advance(run));
+        return run;
+    }
+
+    /**
+     * Stop and go back to time 0 with the current setup
+     */
+    reset() {
+        this.pause();
+        if (this.quantumInput) {
+            this.quantumInput.value = this.getQuantum();
+            this.quantumInput.disabled = this.modeSelect?.value === 'fcfs'; // FCFS never preempts
+        }
+
+        this.schedule = this.createRun(this.modeSelect?.value || 'rr');
+        this.done = false;
+        this.render();
+    }
+
+    /**
+     * Advance one time unit and redraw
+     * @returns {boolean} - True while processes remain
+     */
+    step() {
+        if (this.done) return false;
+
+        const problem = this.validate();
+        if (problem) {
+            this.notify(problem, 'warning');
+            this.pause();
+            return false;
+        }
+
+        const more = this.advance(this.schedule);
+        this.done = !more;
+        this.render();
+
+        if (this.done) {
+            this.pause();
+        }
+        return more;
+    }
+
+    /**
+     * Keep stepping at the selected speed until every process finishes or it is paused
+     */
+    run() {
+        if (this.timer || this.done) return;
+
+        const tick = () => {
+            this.timer = this.step() ? setTimeout(tick, this.getDelay()) : null;
+            this.updateButtons();
+        };
+
+        this.timer = setTimeout(tick, 0);
+        this.updateButtons();
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateButtons();
+    }
+
+    /**
+     * Delay between steps from the speed slider (right = faster)
+     * @returns {number} - Milliseconds
+     */
+    getDelay() {
+        const speed = Number(this.speedInput?.value ?? 5); // 1..10
+        return (11 - speed) * 100;
+    }
+
+    /**
+     * Rebuild the editable process table
+     */
+    renderProcessTable() {
+        if (!this.processTable) return;
+
+        this.processTable.innerHTML = '';
+        this.processes.forEach((process, index) => {
+            const row = document.createElement('tr');
+            row.dataset.index = index;
+            row.innerHTML = `
+                <td><input type="text" data-field="name" maxlength="4" aria-label="Tên"></td>
+                <td><input type="number" data-field="arrival" min="0" value="${process.arrival}" aria-label="Thời điểm đến"></td>
+                <td><input type="number" data-field="burst" min="1" max="${SchedulerDemo.MAX_BURST}" value="${process.burst}" aria-label="Burst"></td>
+                <td>
+                    <button class="sched-remove">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </td>
+            `;
+            // Names are typed by the user: set them as properties, never as markup
+            row.querySelector('[data-field="name"]').value = process.name;
+            row.querySelector('.sched-remove').title = `Xóa ${process.name}`;
+            this.processTable.appendChild(row);
+        });
+    }
+
+    /**
+     * Ready-queue item for a waiting process
+     * @param {Object} process - Process state
+     * @param {string} className - Classes for the item
+     * @returns {HTMLElement} - Queue item element
+     */
+    createQueueItem(process, className) {
+        const item = document.createElement('div');
+        item.className = className;
+
+        const name = document.createElement('span');
+        name.className = 'item-value';
+        name.textContent = process.name;
+
+        const remaining = document.createElement('small');
+        remaining.textContent = `còn ${process.remaining}`;
+
+        item.append(name, remaining);
+        return item;
+    }
+
+    /**
+     * Draw the CPU, ready queue, log, Gantt chart and (when done) the results
+     */
+    render() {
+        const run = this.schedule;
+
+        if (this.clockDisplay) {
+            this.clockDisplay.textContent = run.time;
+        }
+
+        if (this.cpuView) {
+            this.cpuView.className = `sched-cpu${run.running ? ' busy' : ''}`;
+            this.cpuView.innerHTML = '';
+
+            const name = document.createElement('strong');
+            name.textContent = run.running ? run.running.name : (this.done ? 'Xong' : 'Rảnh');
+            this.cpuView.appendChild(name);
+
+            if (run.running) {
+                const remaining = document.createElement('span');
+                remaining.textContent =
+                    `còn ${run.running.remaining}${run.mode === 'rr' ? ` · quantum còn ${run.sliceLeft}` : ''}`;
+                this.cpuView.appendChild(remaining);
+            }
+        }
+
+        if (this.queueView) {
+            const items = run.ready.toArray();
+            this.queueView.innerHTML = items.length === 0
+                ? '<div class="empty-state"><p>Ready queue trống</p></div>'
+                : '';
+
+            items.forEach((process, index) => {
+                const classes = ['queue-item'];
+                if (index === 0) classes.push('front-item');
+                if (index === items.length - 1) classes.push('rear-item');
+                if (process === run.preempted) classes.push('preempted', 'animate-queueEnqueue');
+                this.queueView.appendChild(this.createQueueItem(process, classes.join(' ')));
+            });
+        }
+
+        if (this.logView) {
+            this.logView.textContent = run.events.length > 0
+                ? `t = ${run.time - 1} → ${run.time}: ${run.events.join('; ')}`
+                : 'Nhấn Chạy hoặc Step để bắt đầu';
+        }
+
+        this.renderGantt(run, this.ganttView);
+        this.renderResults();
+    }
+
+    /**
+     * Draw a run's Gantt chart, one block per uninterrupted stretch
+     * @param {Object} run - Run state
+     * @param {HTMLElement} container - Element to draw into
+     */
+    renderGantt(run, container) {
+        if (!container) return;
+
+        const total = Math.max(run.time, 1);
+        container.innerHTML = '';
+
+        run.gantt.forEach(({ name, start, end }) => {
+            const index = this.processes.findIndex(process => process.name === name);
+
+            const block = document.createElement('div');
+            block.className = `gantt-block${name ? '' : ' idle'}`;
+            block.style.flex = `${end - start} 0 0`;
+            block.style.setProperty('--gantt-hue', index * 47);
+            block.title = `${name || 'Rảnh'}: ${start} → ${end}`;
+
+            const label = document.createElement('span');
+            label.textContent = name || '—';
+
+            const startTime = document.createElement('small');
+            startTime.textContent = start;
+
+            block.append(label, startTime);
+            container.appendChild(block);
+        });
+
+        if (run.gantt.length > 0) {
+            const endTime = document.createElement('div');
+            endTime.className = 'gantt-end';
+            endTime.textContent = total;
+            container.appendChild(endTime);
+        }
+    }
+
+    /**
+     * Results table for the finished run, next to the other mode's averages
+     */
+    renderResults() {
+        if (!this.resultsView) return;
+
+        if (!this.done) {
+            this.resultsView.hidden = true;
+            return;
+        }
+
+        const current = this.summarize(this.schedule);
+        const otherMode = this.schedule.mode === 'rr' ? 'fcfs' : 'rr';
+        const otherRun = this.simulate(otherMode);
+        const other = this.summarize(otherRun);
+        const label = (mode) => mode === 'rr' ? `Round-robin (q = ${this.getQuantum()})` : 'FCFS';
+
+        this.resultsView.hidden = false;
+        this.resultsView.innerHTML = `
+            <table class="sched-table">
+                <thead>
+                    <tr><th>Tiến trình</th><th>Đến</th><th>Burst</th><th>Xong</th><th>Turnaround</th><th>Chờ</th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <div class="sched-compare">
+                <div class="sched-compare-row current">
+                    <strong>${label(this.schedule.mode)}</strong>
+                    <span>Chờ TB ${current.avgWaiting.toFixed(2)}</span>
+                    <span>Turnaround TB ${current.avgTurnaround.toFixed(2)}</span>
+                    <span>${this.schedule.preemptions} lần ngắt</span>
+                </div>
+                <div class="sched-compare-row">
+                    <strong>${label(otherMode)}</strong>
+                    <span>Chờ TB ${other.avgWaiting.toFixed(2)}</span>
+                    <span>Turnaround TB ${other.avgTurnaround.toFixed(2)}</span>
+                    <span>${otherRun.preemptions} lần ngắt</span>
+                </div>
+            </div>
+        `;
+
+        const body = this.resultsView.querySelector('tbody');
+        current.rows.forEach(row => {
+            const tableRow = document.createElement('tr');
+            [row.name, row.arrival, row.burst, row.completion, row.turnaround, row.waiting].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                tableRow.appendChild(cell);
+            });
+            body.appendChild(tableRow);
+        });
+    }
+
+    /**
+     * Enable/disable playback buttons
+     */
+    updateButtons() {
+        const playing = this.timer !== null;
+
+        if (this.runBtn) {
+            this.runBtn.disabled = playing || this.done;
+        }
+        if (this.pauseBtn) {
+            this.pauseBtn.disabled = !playing;
+        }
+        if (this.stepBtn) {
+            this.stepBtn.disabled = playing || this.done;
+        }
+        if (this.addBtn) {
+            this.addBtn.disabled = playing;
+        }
+    }
+
+    /**
+     * Get current scheduling state for debugging
+     */
+    getState() {
+        return {
+            mode: this.schedule.mode,
+            time: this.schedule.time,
+            running: this.schedule.running?.name || null,
+            ready: this.schedule.ready.toArray().map(process => process.name),
+            gantt: this.schedule.gantt.map(({ name, start, end }) => `${name || '-'}:${start}-${end}`),
+            done: this.done
+        };
+    }
+}
+
+// Example workload shown on load
+SchedulerDemo.DEFAULT_PROCESSES = [
+    { name: 'P1', arrival: 0, burst: 5 },
+    { name: 'P2', arrival: 1, burst: 3 },
+    { name: 'P3', arrival: 2, burst: 8 },
+    { name: 'P4', arrival: 3, burst: 2 }
+];
+
+// Limits for the inputs
+SchedulerDemo.MAX_PROCESSES = 8;
+SchedulerDemo.MAX_BURST = 20;
+SchedulerDemo.DEFAULT_QUANTUM = 2;
+SchedulerDemo.MAX_QUANTUM = 10;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('schedulerDemo')) {
+        window.schedulerDemo = new SchedulerDemo();
+    }
+});
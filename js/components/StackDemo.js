@@ -11,15 +11,131 @@ class StackDemo {
         this.sizeDisplay = document.getElementById('stackSize');
         this.topDisplay = document.getElementById('stackTop');
         this.statusDisplay = document.getElementById('stackStatus');
+        this.capacityDisplay = document.getElementById('stackCapacity');
+        this.policySelect = document.getElementById('stackPolicySelect');
+        this.implSelect = document.getElementById('stackImplSelect');
+        this.pointerDisplay = this.container.parentElement?.querySelector('.stack-pointer');
+        this.linkedContainer = document.getElementById('stackLinkedView');
+        this.linkedView = this.linkedContainer
+            ? new LinkedListView(this.linkedContainer, { pointers: [{ name: 'top', role: 'first', side: 'above' }] })
+            : null;
+        this.minMaxView = document.getElementById('stackMinMaxView');
+        this.implementation = 'array';
+        this.muted = false; // Suppresses notifications during bulk updates
+        this.timelineContainer = document.getElementById('stackTimeline');
+        this.timeline = this.timelineContainer
+            ? new OperationTimeline(this.timelineContainer, {
+                snapshot: this.stack.toJSON(),
+                onTravel: (target, previous, direction) => this.travel(target, direction)
+            })
+            : null;
+        this.pseudoToggle = document.getElementById('stackPseudoToggle');
+        this.pseudocodeContainer = document.getElementById('stackPseudocode');
+        this.pseudocode = this.pseudocodeContainer ? new PseudocodePanel(this.pseudocodeContainer) : null;
+        this.pseudocode?.show('push(x)', StackDemo.PSEUDOCODE.push);
+        this.costContainer = document.getElementById('stackCostMeter');
+        this.costMeter = this.costContainer
+            ? new CostMeter(this.costContainer, { describe: (event) => this.describeCost(event) })
+            : null;
         
+        this.bindStackEvents();
         this.initializeEventListeners();
         this.updateDisplay();
     }
 
+    /**
+     * Render and notify from the stack's own events
+     */
+    bindStackEvents() {
+        // The linked view lists nodes from top to bottom, so top is its first node
+        const linked = () => this.implementation === 'linked';
+
+        this.stack.on('push', ({ value }) => {
+            if (linked()) {
+                this.linkedView.insertFirst(value);
+            } else {
+                this.addStackItem(value);
+            }
+            this.notify('stack.pushed', null, value);
+        });
+
+        this.stack.on('pop', ({ value }) => {
+            if (linked()) {
+                this.linkedView.removeFirst();
+            } else {
+                this.removeStackItem();
+            }
+            this.notify('stack.popped', null, value);
+        });
+
+        this.stack.on('clear', () => {
+            if (linked()) {
+                this.linkedView.show([]);
+            } else {
+                this.clearVisualization();
+            }
+            this.notify('stack.cleared');
+        });
+
+        this.stack.on('evict', ({ values, reason, policy }) => {
+            if (reason === 'overflow' && policy === 'drop-newest') {
+                // The incoming value never lands; flash it above the top and fade it out
+                if (!linked()) {
+                    this.showRejectedItem(values[0]);
+                }
+            } else if (linked()) {
+                values.forEach(() => this.linkedView.removeLast());
+            } else {
+                values.forEach(() => this.removeBottomItem());
+            }
+            this.notify('stack.evicted', null, values);
+        });
+
+        this.stack.on('resize', ({ maxSize, previousMaxSize }) => {
+            if (maxSize > previousMaxSize) {
+                this.notify('stack.resized', null, maxSize);
+            }
+        });
+
+        this.stack.on('reverse', () => {
+            if (linked()) {
+                this.linkedView.show([...this.stack]);
+            } else {
+                this.redrawItems(this.stack.toArray());
+            }
+        });
+
+        // Status panel and buttons follow every change
+        this.stack.on('*', () => this.updateDisplay());
+
+        if (this.stack instanceof MinMaxStack) {
+            this.bindExtremeEvents();
+        }
+
+        this.costMeter?.attach(this.stack.cost);
+    }
+
+    /**
+     * Animate the auxiliary min/max stacks of a MinMaxStack from their own events
+     */
+    bindExtremeEvents() {
+        const auxiliary = { min: this.stack.minStack, max: this.stack.maxStack };
+
+        Object.entries(auxiliary).forEach(([name, aux]) => {
+            aux.on('push', ({ value }) => this.addAuxItem(name, value));
+            aux.on('pop', () => this.removeAuxItem(name));
+            aux.on('clear', () => this.renderAuxStack(name));
+        });
+
+        this.stack.on('extremes', (event) => this.explainExtremes(event));
+    }
+
     /**
      * Safe notification wrapper - prevents undefined errors
      */
     notify(type, message, value = null) {
+        if (this.muted) return;
+
         if (typeof window.notifications === 'undefined') {
             console.warn('Notifications not loaded yet:', type, message, value);
             return;
@@ -47,14 +163,41 @@ class StackDemo {
             case 'stack.cleared':
                 window.notifications.stack?.cleared?.();
                 break;
+            case 'stack.evicted':
+                window.notifications.stack?.evicted?.(value);
+                break;
+            case 'stack.resized':
+                window.notifications.stack?.resized?.(value);
+                break;
             case 'info':
                 window.notifications.info?.(message);
                 break;
+            case 'error':
+                window.notifications.error?.(message);
+                break;
             default:
                 console.log('Notification:', type, message, value);
         }
     }
 
+    /**
+     * Map a failed stack operation to its notification
+     * @param {Error} error - Error thrown by the stack
+     */
+    handleError(error) {
+        if (error instanceof OverflowError) {
+            this.notify('stack.overflow');
+        } else if (error instanceof UnderflowError) {
+            this.notify('stack.empty');
+        } else if (error instanceof InvalidElementError) {
+            this.notify('validation', 'Không thể push giá trị rỗng');
+        } else if (error instanceof RuleViolationError) {
+            this.notify('validation', `Push bị từ chối: ${error.state.reason}`);
+        } else {
+            this.notify('error', error.message);
+        }
+    }
+
     /**
      * Initialize event listeners for stack controls
      */
@@ -69,6 +212,19 @@ class StackDemo {
         peekBtn?.addEventListener('click', () => this.peek());
         clearBtn?.addEventListener('click', () => this.clear());
 
+        document.getElementById('stackSearchBtn')?.addEventListener('click', () => this.search());
+        document.getElementById('stackReverseBtn')?.addEventListener('click', () => this.reverse());
+        document.getElementById('stackCloneBtn')?.addEventListener('click', () => this.clone());
+        document.getElementById('stackMergeBtn')?.addEventListener('click', () => this.merge());
+
+        this.policySelect?.addEventListener('change', () => {
+            this.stack.setOverflowPolicy(this.policySelect.value);
+            this.updateDisplay();
+        });
+
+        this.implSelect?.addEventListener('change', () => this.setImplementation(this.implSelect.value));
+        this.pseudoToggle?.addEventListener('change', () => this.updatePseudocodeVisibility());
+
         // Enter key support for input
         this.input?.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -97,7 +253,7 @@ class StackDemo {
         } else if (value.length > 15) {
             pushBtn.disabled = true;
             pushBtn.title = 'Value too long (max 15 characters)';
-        } else if (this.stack.size() >= this.stack.maxSize) {
+        } else if (this.stack.isFull() && this.stack.overflowPolicy === 'reject') {
             pushBtn.disabled = true;
             pushBtn.title = 'Stack is full';
         } else {
@@ -123,18 +279,35 @@ class StackDemo {
             return;
         }
 
-        try {
-            this.stack.push(value);
-            this.addStackItem(value);
+        if (this.usePseudocode()) {
+            this.input.value = '';
+            this.validateInput();
+            this.runPseudocode('push', value);
+            return;
+        }
+
+        if (this.applyPush(value)) {
             this.input.value = '';
-            this.updateDisplay();
             this.validateInput();
-            this.notify('stack.pushed', null, value);
             
             // Focus back to input for continuous use
             this.input.focus();
+        }
+    }
+
+    /**
+     * Push a validated value and log it
+     * @param {string} value - Value to push
+     * @returns {boolean} - False if the push failed
+     */
+    applyPush(value) {
+        try {
+            const added = this.stack.push(value);
+            this.recordOperation(added ? `push(${value})` : `push(${value}) (bị bỏ)`);
+            return true;
         } catch (error) {
-            this.notify('stack.overflow');
+            this.handleError(error);
+            return false;
         }
     }
 
@@ -142,22 +315,40 @@ class StackDemo {
      * Pop value from stack
      */
     pop() {
-        if (this.stack.isEmpty()) {
-            this.notify('stack.empty');
+        if (this.usePseudocode()) {
+            this.runPseudocode('pop');
             return;
         }
+        this.applyPop();
+    }
 
-        const value = this.stack.pop();
-        this.removeStackItem();
-        this.updateDisplay();
-        this.validateInput();
-        this.notify('stack.popped', null, value);
+    /**
+     * Pop the top value and log it
+     */
+    applyPop() {
+        try {
+            const value = this.stack.pop();
+            this.recordOperation(`pop() → ${value}`);
+        } catch (error) {
+            this.handleError(error);
+        }
     }
 
     /**
      * Peek at top value
      */
     peek() {
+        if (this.usePseudocode()) {
+            this.runPseudocode('peek');
+            return;
+        }
+        this.applyPeek();
+    }
+
+    /**
+     * Highlight the top item and report its value
+     */
+    applyPeek() {
         if (this.stack.isEmpty()) {
             this.notify('stack.empty');
             return;
@@ -168,20 +359,408 @@ class StackDemo {
         this.notify('stack.peeked', null, value);
     }
 
+    /**
+     * Whether operations should run line by line in the pseudocode panel.
+     * The pseudocode describes the array implementation, so linked mode never uses it.
+     * @returns {boolean} - True if step mode is on
+     */
+    usePseudocode() {
+        return Boolean(this.pseudocode && this.pseudoToggle?.checked && this.implementation === 'array');
+    }
+
+    /**
+     * Show the panel only while step mode is on; turning it off completes a pending operation
+     */
+    updatePseudocodeVisibility() {
+        if (!this.pseudocodeContainer) return;
+
+        if (!this.usePseudocode()) {
+            this.pseudocode.finish();
+        }
+        this.pseudocodeContainer.hidden = !this.usePseudocode();
+    }
+
+    /**
+     * Trace an operation from the current state and step through it in the panel
+     * @param {string} operation - push, pop or peek
+     * @param {string} [value] - Value to push
+     */
+    runPseudocode(operation, value) {
+        this.pseudocode.finish(); // A pending operation completes before the next one is traced
+
+        const title = operation === 'push' ? `push(${value})` : `${operation}()`;
+        this.pseudocode.run(title, StackDemo.PSEUDOCODE[operation], this.traceOperation(operation, value));
+    }
+
+    /**
+     * Steps of the array-based pseudocode for one operation. `top` is the
+     * index of the top element (-1 when empty), so length = top + 1.
+     * @param {string} operation - push, pop or peek
+     * @param {string} [value] - Value to push
+     * @returns {Object[]} - [{ line, vars, note, action }] for PseudocodePanel
+     */
+    traceOperation(operation, value) {
+        const items = this.stack.toArray();
+        const top = items.length - 1;
+        const maxSize = this.stack.getMaxSize();
+        const vars = (topIndex, extra = {}) => ({ ...extra, top: topIndex, length: topIndex + 1, maxSize });
+        const emptyCheck = `top == -1 → ${top} == -1 → ${top === -1}`;
+
+        if (operation === 'push') {
+            const full = top + 1 >= maxSize;
+            const steps = [
+                { line: 0, vars: vars(top, { x: value }) },
+                { line: 1, vars: vars(top, { x: value }), note: `top + 1 == maxSize → ${top + 1} == ${maxSize} → ${full}` }
+            ];
+
+            if (full) {
+                const policy = this.stack.overflowPolicy;
+                steps.push({
+                    line: 2,
+                    vars: vars(top, { x: value }),
+                    note: policy === 'reject' ? 'Stack đầy → Overflow' : `Stack đầy → chính sách "${policy}" xử lý`,
+                    action: () => this.applyPush(value)
+                });
+            } else {
+                steps.push(
+                    { line: 3, vars: vars(top + 1, { x: value }), note: `top = ${top} + 1 = ${top + 1}` },
+                    { line: 4, vars: vars(top + 1, { x: value }), note: `items[${top + 1}] = ${value}`, action: () => this.applyPush(value) }
+                );
+            }
+            return steps;
+        }
+
+        const steps = [
+            { line: 0, vars: vars(top) },
+            { line: 1, vars: vars(top), note: emptyCheck }
+        ];
+
+        if (top === -1) {
+            steps.push({
+                line: 2,
+                vars: vars(top),
+                note: operation === 'pop' ? 'Stack rỗng → Underflow' : 'Stack rỗng',
+                action: () => (operation === 'pop' ? this.applyPop() : this.applyPeek())
+            });
+        } else if (operation === 'pop') {
+            const x = items[top];
+            steps.push(
+                { line: 3, vars: vars(top, { x }), note: `x = items[${top}] = ${x}` },
+                { line: 4, vars: vars(top - 1, { x }), note: `top = ${top} - 1 = ${top - 1}`, action: () => this.applyPop() },
+                { line: 5, vars: vars(top - 1, { x }), note: `Trả về ${x}` }
+            );
+        } else {
+            steps.push({
+                line: 3,
+                vars: vars(top),
+                note: `Trả về items[${top}] = ${items[top]}`,
+                action: () => this.applyPeek()
+            });
+        }
+        return steps;
+    }
+
     /**
      * Clear the stack
      */
     clear() {
+        this.pseudocode?.finish();
+
         if (this.stack.isEmpty()) {
             this.notify('info', 'Stack is already empty');
             return;
         }
 
         this.stack.clear();
-        this.clearVisualization();
+        this.recordOperation('clear()');
+    }
+
+    /**
+     * Search for the input value and report its distance from the top
+     */
+    search() {
+        const value = this.input.value.trim();
+
+        if (!value) {
+            this.notify('validation', 'Nhập giá trị cần tìm');
+            this.input.focus();
+            return;
+        }
+
+        const position = this.stack.search(value);
+        this.notify('info', position === -1
+            ? `search(${value}): không có trong stack`
+            : `search(${value}) → cách đỉnh ${position} vị trí`);
+    }
+
+    /**
+     * Reverse the stack in place
+     */
+    reverse() {
+        this.pseudocode?.finish();
+        this.stack.reverse();
+        this.recordOperation('reverse()');
+    }
+
+    /**
+     * Copy the stack; only the cost is shown, the copy is discarded
+     */
+    clone() {
+        const copy = this.stack.clone();
+        this.notify('info', `clone() → bản sao ${copy.size()} phần tử`);
+    }
+
+    /**
+     * Merge the stack with a copy of itself; the current stack is unchanged
+     */
+    merge() {
+        // fromJSON builds the copy without a measured clone(), so the meter shows merge alone
+        const other = this.stack.constructor.fromJSON(this.stack.toJSON());
+        const merged = this.stack.merge(other);
+        this.notify('info', `merge() → stack mới ${merged.size()}/${merged.getMaxSize()} phần tử`);
+    }
+
+    /**
+     * Explain measured costs that differ from the usual case
+     * @param {Object} event - Measure event from CostCounter
+     * @returns {string|null} - Note for the cost meter
+     */
+    describeCost(event) {
+        if (event.operation === 'push' && event.moves > 1) {
+            return this.implementation === 'linked'
+                ? `Drop-oldest phải đi hết danh sách để gỡ node đáy: ${event.moves - 1} bước thêm, O(n)`
+                : `Drop-oldest dùng splice(0, 1): ${event.moves - 1} phần tử bị dời, O(n)`;
+        }
+        if (event.operation === 'merge') {
+            return 'Sao chép n phần tử của stack này rồi push m phần tử của stack kia';
+        }
+        return null;
+    }
+
+    /**
+     * Log an operation in the timeline with a snapshot of the resulting stack
+     * @param {string} label - Description such as 'push(A)'
+     */
+    recordOperation(label) {
+        this.timeline?.record(label, this.stack.toJSON());
+    }
+
+    /**
+     * Restore a state from the timeline. A step between linked entries is
+     * animated from the difference, so stepping back plays the operation in reverse.
+     * @param {Object} target - Timeline entry to show
+     * @param {string} direction - 'forward', 'backward' or 'jump'
+     */
+    travel(target, direction) {
+        this.pseudocode?.cancel(); // Its trace was computed for the state being left
+        const linked = this.implementation === 'linked';
+        const StackClass = StackDemo.IMPLEMENTATIONS[this.implementation];
+        const before = this.stack.toArray();
+
+        // The snapshot may come from another implementation; only its contents matter
+        this.stack = StackClass.fromJSON({ ...target.snapshot, type: StackClass.name }, StackDemo.compareValues);
+        this.bindStackEvents();
+        if (this.policySelect) {
+            this.policySelect.value = this.stack.overflowPolicy;
+        }
+
+        const after = this.stack.toArray();
+        const change = direction === 'jump' ? null : OperationTimeline.diff(before, after);
+        const topFirst = (items) => [...items].reverse();
+
+        if (change?.type === 'addLast') {
+            if (linked) {
+                this.linkedView?.show(topFirst(before));
+                this.linkedView?.insertFirst(change.value);
+            } else {
+                this.redrawItems(before);
+                this.addStackItem(change.value);
+            }
+        } else if (change?.type === 'removeLast') {
+            if (linked) {
+                this.linkedView?.show(topFirst(before));
+                this.linkedView?.removeFirst();
+            } else {
+                this.redrawItems(before);
+                this.removeStackItem();
+            }
+        } else if (linked) {
+            this.linkedView?.show(topFirst(after));
+        } else {
+            this.redrawItems(after);
+        }
+
+        this.renderExtremes();
         this.updateDisplay();
-        this.validateInput();
-        this.notify('stack.cleared');
+    }
+
+    /**
+     * Swap the backing implementation, keeping the current elements and settings
+     * @param {string} kind - 'array' (Stack), 'linked' (LinkedStack) or 'minmax' (MinMaxStack)
+     */
+    setImplementation(kind) {
+        this.pseudocode?.finish();
+        const previous = this.stack;
+        this.implementation = StackDemo.IMPLEMENTATIONS[kind] ? kind : 'array';
+        const StackClass = StackDemo.IMPLEMENTATIONS[this.implementation];
+
+        this.stack = new StackClass({
+            strict: previous.strict,
+            overflowPolicy: previous.overflowPolicy,
+            comparator: StackDemo.compareValues
+        });
+        this.stack.maxSize = previous.getMaxSize();
+        previous.toArray().forEach(item => this.stack.push(item)); // Before binding: no animations
+        this.bindStackEvents();
+
+        const linked = this.implementation === 'linked';
+        this.container.hidden = linked;
+        if (this.pointerDisplay) {
+            this.pointerDisplay.hidden = linked;
+        }
+        if (this.linkedContainer) {
+            this.linkedContainer.hidden = !linked;
+        }
+        if (this.minMaxView) {
+            this.minMaxView.hidden = this.implementation !== 'minmax';
+        }
+        if (this.pseudoToggle) {
+            // The pseudocode describes the plain array stack only
+            this.pseudoToggle.disabled = this.implementation !== 'array';
+        }
+        this.updatePseudocodeVisibility();
+
+        if (linked) {
+            this.linkedView?.show([...this.stack]);
+        } else {
+            this.redrawItems(this.stack.toArray());
+        }
+
+        this.renderExtremes();
+        this.updateDisplay();
+        this.notify('info', `Stack dùng ${StackDemo.IMPLEMENTATION_LABELS[this.implementation]}`);
+    }
+
+    /**
+     * Redraw both auxiliary stacks without animation
+     */
+    renderExtremes() {
+        if (!this.minMaxView || !(this.stack instanceof MinMaxStack)) return;
+
+        this.renderAuxStack('min');
+        this.renderAuxStack('max');
+        this.setExtremesNote(this.stack.isEmpty() ? 'Push một giá trị để bắt đầu' : '');
+    }
+
+    /**
+     * Column element of an auxiliary stack
+     * @param {string} name - 'min' or 'max'
+     * @returns {HTMLElement|null} - Items container
+     */
+    auxColumn(name) {
+        return this.minMaxView?.querySelector(`.aux-stack[data-aux="${name}"] .aux-items`) || null;
+    }
+
+    /**
+     * Draw one auxiliary stack and its top value
+     * @param {string} name - 'min' or 'max'
+     */
+    renderAuxStack(name) {
+        const column = this.auxColumn(name);
+        if (!column) return;
+
+        const aux = name === 'min' ? this.stack.minStack : this.stack.maxStack;
+        column.innerHTML = '';
+        aux.toArray().forEach(value => column.appendChild(this.createAuxItem(value)));
+        this.updateAuxTop(name);
+    }
+
+    /**
+     * Create the element for one auxiliary stack entry
+     * @param {*} value - Entry value
+     * @returns {HTMLElement} - Item element
+     */
+    createAuxItem(value) {
+        const item = document.createElement('div');
+        item.className = 'aux-item';
+        item.textContent = value;
+        return item;
+    }
+
+    /**
+     * Animate a value onto an auxiliary stack
+     * @param {string} name - 'min' or 'max'
+     * @param {*} value - Pushed value
+     */
+    addAuxItem(name, value) {
+        const column = this.auxColumn(name);
+        if (!column) return;
+
+        const item = this.createAuxItem(value);
+        item.classList.add('animate-stackPush');
+        column.appendChild(item);
+        this.updateAuxTop(name);
+    }
+
+    /**
+     * Animate the top value off an auxiliary stack
+     * @param {string} name - 'min' or 'max'
+     */
+    removeAuxItem(name) {
+        const items = this.auxColumn(name)?.querySelectorAll('.aux-item:not(.removing)') || [];
+        const topItem = items[items.length - 1];
+        if (topItem) {
+            topItem.classList.add('removing', 'animate-stackPop');
+            setTimeout(() => topItem.remove(), 400);
+        }
+        this.updateAuxTop(name);
+    }
+
+    /**
+     * Show getMin() or getMax() above its column
+     * @param {string} name - 'min' or 'max'
+     */
+    updateAuxTop(name) {
+        const label = this.minMaxView?.querySelector(`.aux-stack[data-aux="${name}"] .aux-top`);
+        if (!label) return;
+
+        const value = name === 'min' ? this.stack.getMin() : this.stack.getMax();
+        label.textContent = `${name === 'min' ? 'getMin()' : 'getMax()'} = ${value ?? 'None'}`;
+    }
+
+    /**
+     * Explain how the auxiliary stacks reacted to an operation
+     * @param {Object} event - extremes event from MinMaxStack
+     */
+    explainExtremes(event) {
+        const { operation, value, changed } = event;
+        const explain = (name, symbol) => {
+            if (operation === 'push') {
+                return changed[name]
+                    ? `${value} ${symbol} ${name} cũ → push lên ${name} stack`
+                    : `${name} stack giữ nguyên`;
+            }
+            return changed[name]
+                ? `${value} là ${name} → pop khỏi ${name} stack`
+                : `${name} stack giữ nguyên`;
+        };
+
+        if (operation === 'rebuild') {
+            this.setExtremesNote('Đáy stack hoặc thứ tự thay đổi → dựng lại min/max stack, O(n)');
+        } else {
+            this.setExtremesNote(`${operation}(${operation === 'push' ? value : ''}): ${explain('min', '≤')}; ${explain('max', '≥')}`);
+        }
+    }
+
+    /**
+     * Set the caption under the auxiliary stacks
+     * @param {string} text - Caption
+     */
+    setExtremesNote(text) {
+        const note = this.minMaxView?.querySelector('.minmax-note');
+        if (note) {
+            note.textContent = text;
+        }
     }
 
     /**
@@ -219,11 +798,28 @@ class StackDemo {
         });
     }
 
+    /**
+     * Replace the visual items without animating them
+     * @param {Array} items - Values, bottom first
+     */
+    redrawItems(items) {
+        this.container.innerHTML = '';
+        items.forEach(item => this.addStackItem(item));
+        this.container.querySelectorAll('.animate-stackPush').forEach(item => {
+            item.classList.remove('animate-stackPush');
+        });
+
+        if (items.length === 0) {
+            this.showEmptyState();
+        }
+    }
+
     /**
      * Remove top item from stack visualization
      */
     removeStackItem() {
-        const items = this.container.querySelectorAll('.stack-item');
+        // Skip items that are already animating out after a rapid pop
+        const items = this.container.querySelectorAll('.stack-item:not(.removing)');
         if (items.length === 0) return;
 
         const topItem = items[items.length - 1];
@@ -243,11 +839,49 @@ class StackDemo {
         }, 400);
     }
 
+    /**
+     * Animate the bottom item out (evicted by drop-oldest or a smaller max size)
+     */
+    removeBottomItem() {
+        const bottomItem = this.container.querySelector('.stack-item:not(.removing)');
+        if (!bottomItem) return;
+
+        bottomItem.classList.add('removing', 'evicted', 'animate-stackPop');
+
+        setTimeout(() => {
+            if (bottomItem.parentNode) {
+                bottomItem.remove();
+            }
+        }, 400);
+    }
+
+    /**
+     * Briefly show a value dropped by the drop-newest policy on top of the stack
+     * @param {*} value - Dropped value
+     */
+    showRejectedItem(value) {
+        const ghost = document.createElement('div');
+        ghost.className = 'stack-item removing evicted animate-stackPush';
+        ghost.textContent = value;
+        ghost.title = `Dropped: ${value}`;
+        this.container.appendChild(ghost);
+
+        setTimeout(() => {
+            ghost.classList.replace('animate-stackPush', 'animate-stackPop');
+        }, 400);
+
+        setTimeout(() => {
+            if (ghost.parentNode) {
+                ghost.remove();
+            }
+        }, 800);
+    }
+
     /**
      * Highlight the top item
      */
     highlightTopItem() {
-        const items = this.container.querySelectorAll('.stack-item');
+        const items = this.container.querySelectorAll('.stack-item:not(.removing)');
         if (items.length === 0) return;
 
         const topItem = items[items.length - 1];
@@ -312,6 +946,10 @@ class StackDemo {
         // Update size
         this.sizeDisplay.textContent = this.stack.size();
 
+        if (this.capacityDisplay) {
+            this.capacityDisplay.textContent = this.stack.getMaxSize();
+        }
+
         // Update top element
         const top = this.stack.peek();
         this.topDisplay.textContent = top !== null ? top : 'None';
@@ -361,6 +999,22 @@ class StackDemo {
         this.validateInput();
     }
 
+    /**
+     * Comparator for MinMaxStack: input values are strings, so numbers are
+     * compared by value (10 > 9) and anything else alphabetically
+     * @param {string} a - First value
+     * @param {string} b - Second value
+     * @returns {number} - Negative, 0 or positive
+     */
+    static compareValues(a, b) {
+        const x = Number(a);
+        const y = Number(b);
+        if (!Number.isNaN(x) && !Number.isNaN(y)) {
+            return x - y;
+        }
+        return String(a).localeCompare(String(b));
+    }
+
     /**
      * Get current stack state for debugging
      */
@@ -377,15 +1031,53 @@ class StackDemo {
      * Load state from array (for testing)
      */
     loadState(items) {
-        this.clear();
-        items.forEach(item => {
-            this.stack.push(item);
-            this.addStackItem(item);
-        });
-        this.updateDisplay();
+        this.muted = true;
+        this.stack.clear();
+        items.forEach(item => this.stack.push(item));
+        this.muted = false;
+        this.timeline?.reset(this.stack.toJSON()); // The loaded state is the new starting point
     }
 }
 
+// Backing classes selectable in the implementation menu
+StackDemo.IMPLEMENTATIONS = {
+    array: Stack,
+    linked: LinkedStack,
+    minmax: MinMaxStack
+};
+
+// How each implementation is named in notifications
+StackDemo.IMPLEMENTATION_LABELS = {
+    array: 'mảng (Stack)',
+    linked: 'danh sách liên kết (LinkedStack)',
+    minmax: 'mảng kèm min/max stack (MinMaxStack)'
+};
+
+// Array-based pseudocode shown in step mode, one entry per line
+StackDemo.PSEUDOCODE = {
+    push: [
+        'push(x):',
+        '    if top + 1 == maxSize:',
+        '        error Overflow',
+        '    top ← top + 1',
+        '    items[top] ← x'
+    ],
+    pop: [
+        'pop():',
+        '    if top == -1:',
+        '        error Underflow',
+        '    x ← items[top]',
+        '    top ← top - 1',
+        '    return x'
+    ],
+    peek: [
+        'peek():',
+        '    if top == -1:',
+        '        error Empty',
+        '    return items[top]'
+    ]
+};
+
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     if (document.getElementById('stackVisualization')) {
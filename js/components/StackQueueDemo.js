@@ -0,0 +1,246 @@
+/**
+ * Stack Queue Demo Component
+ * Queue built from two stacks: shows inbox and outbox side by side, plays
+ * the transfer element by element and keeps a running count of moves so the
+ * amortised cost per operation can be read off
+ */
+
+class StackQueueDemo {
+    constructor() {
+        this.queue = new StackQueue();
+        this.container = document.getElementById('stackQueueView');
+        this.view = new TransferView(this.container, {
+            lanes: [
+                { key: 'inbox', label: 'Inbox (Stack)', kind: 'stack' },
+                { key: 'outbox', label: 'Outbox (Stack)', kind: 'stack' }
+            ]
+        });
+        this.input = document.getElementById('stackQueueInput');
+        this.sizeDisplay = document.getElementById('stackQueueSize');
+        this.frontDisplay = document.getElementById('stackQueueFront');
+        this.movesDisplay = document.getElementById('stackQueueMoves');
+        this.amortisedDisplay = document.getElementById('stackQueueAmortised');
+
+        this.enqueueBtn = document.getElementById('stackQueueEnqueueBtn');
+        this.dequeueBtn = document.getElementById('stackQueueDequeueBtn');
+        this.frontBtn = document.getElementById('stackQueueFrontBtn');
+        this.clearBtn = document.getElementById('stackQueueClearBtn');
+
+        // Running totals over every measured operation
+        this.totalMoves = 0;
+        this.operations = 0;
+
+        this.costContainer = document.getElementById('stackQueueCostMeter');
+        this.costMeter = this.costContainer
+            ? new CostMeter(this.costContainer, { describe: (event) => this.describeCost(event) })
+            : null;
+        this.costMeter?.attach(this.queue.cost);
+
+        this.bindQueueEvents();
+        this.initializeEventListeners();
+        this.updateDisplay();
+    }
+
+    /**
+     * Animate and notify from the queue's own events
+     */
+    bindQueueEvents() {
+        this.queue.on('enqueue', ({ value }) => {
+            this.view.play(
+                [{ lane: 'inbox', action: 'add', value }],
+                `enqueue(${value}): push lên inbox, 1 bước`
+            );
+            this.notify(`Đã thêm: ${value}`, 'success');
+        });
+
+        this.queue.on('transfer', ({ values }) => {
+            const steps = values.flatMap(value => [
+                { lane: 'inbox', action: 'remove', value },
+                { lane: 'outbox', action: 'add', value, moved: true }
+            ]);
+            this.view.play(
+                steps,
+                `Outbox rỗng: chuyển ${values.length} phần tử từ inbox sang outbox, ${2 * values.length} bước`
+            );
+        });
+
+        this.queue.on('dequeue', ({ value }) => {
+            this.view.play(
+                [{ lane: 'outbox', action: 'remove', value }],
+                `dequeue(): pop khỏi outbox → ${value}`
+            );
+            this.notify(`Đã lấy ra: ${value}`, 'info');
+        });
+
+        this.queue.on('clear', () => {
+            this.view.show({});
+            this.notify('Đã xóa toàn bộ queue', 'info');
+        });
+
+        // Totals are final only once the operation has been measured
+        this.queue.cost.on('measure', ({ moves }) => {
+            this.totalMoves += moves;
+            this.operations++;
+            this.updateDisplay();
+        });
+
+        // Status panel and buttons follow every change
+        this.queue.on('*', () => this.updateDisplay());
+    }
+
+    /**
+     * Safe notification wrapper
+     * @param {string} message - Message to show
+     * @param {string} type - success, info, warning or error
+     */
+    notify(message, type = 'info') {
+        if (typeof window.notifications === 'undefined') {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+        window.notifications[type]?.(message);
+    }
+
+    /**
+     * Map a failed queue operation to its notification
+     * @param {Error} error - Error thrown by the queue
+     */
+    handleError(error) {
+        if (error instanceof OverflowError) {
+            this.notify(`Queue đã đầy! Kích thước tối đa là ${error.state.maxSize}`, 'error');
+        } else if (error instanceof UnderflowError) {
+            this.notify('Queue đang trống!', 'warning');
+        } else if (error instanceof InvalidElementError) {
+            this.notify('Không thể thêm giá trị rỗng', 'warning');
+        } else {
+            this.notify(error.message, 'error');
+        }
+    }
+
+    /**
+     * Initialize event listeners for the controls
+     */
+    initializeEventListeners() {
+        this.enqueueBtn?.addEventListener('click', () => this.enqueue());
+        this.dequeueBtn?.addEventListener('click', () => this.dequeue());
+        this.frontBtn?.addEventListener('click', () => this.front());
+        this.clearBtn?.addEventListener('click', () => this.clear());
+
+        this.input?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.enqueue();
+            }
+        });
+    }
+
+    /**
+     * Enqueue the input value
+     */
+    enqueue() {
+        const value = this.input.value.trim();
+
+        if (!value) {
+            this.notify('Vui lòng nhập giá trị!', 'warning');
+            this.input.focus();
+            return;
+        }
+
+        if (value.length > 15) {
+            this.notify('Giá trị quá dài (tối đa 15 ký tự)', 'warning');
+            return;
+        }
+
+        try {
+            this.queue.enqueue(value);
+            this.input.value = '';
+            this.input.focus();
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Dequeue the front value
+     */
+    dequeue() {
+        try {
+            this.queue.dequeue();
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Show the front value, which may need a transfer first
+     */
+    front() {
+        const value = this.queue.front();
+        if (value === null) {
+            this.notify('Queue đang trống!', 'warning');
+            return;
+        }
+        this.notify(`Phần tử đầu: ${value} (đỉnh outbox)`, 'info');
+    }
+
+    /**
+     * Clear the queue
+     */
+    clear() {
+        this.queue.clear();
+    }
+
+    /**
+     * Note for the cost meter: why a transfer does not make the queue O(n)
+     * @param {Object} event - measure event from CostCounter
+     * @returns {string|null} - Explanation, or null for nothing to add
+     */
+    describeCost(event) {
+        const transferred = Math.floor(event.moves / 2);
+        if ((event.operation === 'dequeue' || event.operation === 'front') && transferred > 0) {
+            return `Lần này chuyển ${transferred} phần tử (${event.moves} bước), nhưng mỗi phần tử chỉ được chuyển ` +
+                'một lần trong đời: tổng chi phí chia đều cho các thao tác vẫn là O(1)';
+        }
+        return null;
+    }
+
+    /**
+     * Update status panel, move totals and buttons
+     */
+    updateDisplay() {
+        const isEmpty = this.queue.isEmpty();
+
+        this.sizeDisplay.textContent = this.queue.size();
+        // toArray() reads the front without triggering a transfer
+        this.frontDisplay.textContent = isEmpty ? 'None' : this.queue.toArray()[0];
+        this.movesDisplay.textContent = `${this.totalMoves} sau ${this.operations} thao tác`;
+        this.amortisedDisplay.textContent = this.operations === 0
+            ? '-'
+            : `${(this.totalMoves / this.operations).toFixed(2)} bước/thao tác`;
+
+        [this.dequeueBtn, this.frontBtn, this.clearBtn].forEach(btn => {
+            if (btn) {
+                btn.disabled = isEmpty;
+            }
+        });
+    }
+
+    /**
+     * Get current state for debugging
+     */
+    getState() {
+        return {
+            items: this.queue.toArray(),
+            inbox: this.queue.inbox.toArray(),
+            outbox: this.queue.outbox.toArray(),
+            totalMoves: this.totalMoves,
+            operations: this.operations
+        };
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('stackQueueView')) {
+        window.stackQueueDemo = new StackQueueDemo();
+    }
+});
@@ -0,0 +1,163 @@
+/**
+ * Transfer View Component
+ * Draws the inner structures of a composed structure side by side, as
+ * stacks (bottom to top) or queues (front to rear), and plays each element
+ * move one frame at a time so a transfer between them can be followed.
+ * Shared by the StackQueue and QueueStack demos.
+ */
+
+class TransferView {
+    /**
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Object} options - View options
+     * @param {Array} options.lanes - [{ key, label, kind: 'stack'|'queue' }]
+     * @param {number} [options.stepDelay=350] - Milliseconds between animation frames
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.lanes = options.lanes;
+        this.stepDelay = options.stepDelay || 350;
+
+        this.contents = {}; // Lane key -> values after every queued step
+        this.frames = [];
+        this.isAnimating = false;
+        this.generation = 0; // Bumped to abandon a replay in progress
+
+        this.container.innerHTML = '';
+        this.laneElements = {};
+        this.lanes.forEach(({ key, label, kind }) => {
+            const lane = document.createElement('div');
+            lane.className = `transfer-lane ${kind}`;
+            lane.innerHTML = `
+                <div class="transfer-lane-header">
+                    <span class="transfer-lane-label"></span>
+                    <span class="transfer-lane-badge"></span>
+                </div>
+                <div class="transfer-items"></div>
+            `;
+            lane.querySelector('.transfer-lane-label').textContent = label;
+            this.container.appendChild(lane);
+            this.laneElements[key] = lane;
+        });
+
+        this.caption = document.createElement('div');
+        this.caption.className = 'transfer-caption';
+        this.container.appendChild(this.caption);
+
+        this.show({});
+    }
+
+    /**
+     * Redraw immediately, dropping any pending animation
+     * @param {Object} contents - Lane key -> values (stack bottom first, queue front first)
+     * @param {string} [caption] - Text under the lanes
+     */
+    show(contents, caption = '') {
+        this.generation++;
+        this.frames = [];
+        this.isAnimating = false;
+        this.contents = {};
+        this.lanes.forEach(({ key }) => {
+            this.contents[key] = [...(contents[key] || [])];
+        });
+        this.drawFrame({ contents: this.contents, caption });
+    }
+
+    /**
+     * Set the small badge next to a lane's label, e.g. which queue is in use
+     * @param {string} key - Lane key
+     * @param {string} text - Badge text ('' hides it)
+     */
+    setBadge(key, text) {
+        const badge = this.laneElements[key]?.querySelector('.transfer-lane-badge');
+        if (badge) {
+            badge.textContent = text;
+            badge.hidden = !text;
+        }
+    }
+
+    /**
+     * Queue the frames for a sequence of single-element steps. A stack lane
+     * adds and removes at its top; a queue lane adds at the rear and removes
+     * from the front.
+     * @param {Object[]} steps - [{ lane, action: 'add'|'remove', value, moved }]
+     * @param {string} [caption] - Text shown while the steps play and afterwards
+     */
+    play(steps, caption = '') {
+        const frames = [];
+        let contents = this.contents;
+
+        steps.forEach(({ lane, action, value, moved }) => {
+            const values = contents[lane];
+
+            if (action === 'add') {
+                contents = { ...contents, [lane]: [...values, value] };
+                frames.push({ contents, caption, highlight: { lane, index: values.length, type: moved ? 'moved' : 'new' } });
+            } else if (values.length > 0) {
+                const position = this.kindOf(lane) === 'stack' ? values.length - 1 : 0;
+                frames.push({ contents, caption, highlight: { lane, index: position, type: 'removing' } });
+                contents = { ...contents, [lane]: values.filter((item, i) => i !== position) };
+            }
+        });
+
+        frames.push({ contents, caption });
+        this.contents = contents;
+        this.frames.push(...frames);
+
+        if (!this.isAnimating) {
+            this.playFrames();
+        }
+    }
+
+    /**
+     * Kind of a lane
+     * @param {string} key - Lane key
+     * @returns {string} - 'stack' or 'queue'
+     */
+    kindOf(key) {
+        return this.lanes.find(lane => lane.key === key)?.kind;
+    }
+
+    /**
+     * Play queued frames one at a time
+     */
+    async playFrames() {
+        const generation = this.generation;
+        this.isAnimating = true;
+
+        while (this.frames.length > 0) {
+            this.drawFrame(this.frames.shift());
+            await new Promise(resolve => setTimeout(resolve, this.stepDelay));
+            if (generation !== this.generation) return;
+        }
+
+        this.isAnimating = false;
+    }
+
+    /**
+     * Draw one frame: every lane's items and the caption
+     * @param {Object} frame - { contents, caption, highlight: { lane, index, type } }
+     */
+    drawFrame({ contents, caption = '', highlight = null }) {
+        this.lanes.forEach(({ key, kind }) => {
+            const items = this.laneElements[key].querySelector('.transfer-items');
+            items.innerHTML = '';
+
+            (contents[key] || []).forEach((value, index) => {
+                const item = document.createElement('div');
+                item.className = 'transfer-item';
+                item.textContent = value;
+
+                if (highlight && highlight.lane === key && highlight.index === index) {
+                    item.classList.add(highlight.type);
+                    if (highlight.type !== 'removing') {
+                        item.classList.add(kind === 'stack' ? 'animate-stackPush' : 'animate-queueEnqueue');
+                    }
+                }
+                items.appendChild(item);
+            });
+        });
+
+        this.caption.textContent = caption;
+    }
+}
@@ -0,0 +1,352 @@
+/**
+ * Undo/Redo Editor Component
+ * Text editor whose history lives on two Stacks: every edit is pushed on the
+ * undo stack, undo moves it to the redo stack and redo moves it back
+ *
+ * Edits are grouped into units: consecutive typing (up to a word boundary)
+ * or consecutive deleting within GROUP_DELAY ms becomes one entry, while
+ * paste, cut and drop are always their own entry.
+ */
+
+class UndoRedoEditor {
+    constructor() {
+        this.editor = document.getElementById('textEditor');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
+        this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.undoStackView = document.getElementById('undoStackView');
+        this.redoStackView = document.getElementById('redoStackView');
+        this.undoCountDisplay = document.getElementById('undoCount');
+        this.redoCountDisplay = document.getElementById('redoCount');
+        this.historyLimitDisplay = document.getElementById('historyLimit');
+
+        // drop-oldest turns the undo stack into a capped history: the oldest edit falls off
+        this.undoStack = new Stack({ overflowPolicy: 'drop-oldest' });
+        this.redoStack = new Stack({ overflowPolicy: 'drop-oldest' });
+        this.setHistoryLimit(UndoRedoEditor.HISTORY_LIMIT);
+
+        this.lastState = this.captureState();
+        this.lastEditTime = 0;
+        this.groupOpen = false; // Whether the top undo entry may still absorb typing
+
+        this.bindHistoryEvents();
+        this.initializeEventListeners();
+        this.updateDisplay();
+    }
+
+    /**
+     * Re-render whenever either stack changes
+     */
+    bindHistoryEvents() {
+        [this.undoStack, this.redoStack].forEach(stack => {
+            stack.on('*', () => this.updateDisplay());
+        });
+    }
+
+    /**
+     * Initialize event listeners for the editor and its controls
+     */
+    initializeEventListeners() {
+        this.editor?.addEventListener('input', (e) => this.recordEdit(e.inputType));
+
+        // Keep the caret position fresh so an edit elsewhere is not merged into the last group
+        ['keyup', 'mouseup'].forEach(type => {
+            this.editor?.addEventListener(type, () => {
+                this.lastState = this.captureState();
+            });
+        });
+        this.editor?.addEventListener('blur', () => this.closeGroup());
+
+        this.editor?.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && e.shiftKey) {
+                e.preventDefault();
+                this.redo();
+            } else if (key === 'z') {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        this.undoBtn?.addEventListener('click', () => this.undo());
+        this.redoBtn?.addEventListener('click', () => this.redo());
+        this.clearHistoryBtn?.addEventListener('click', () => this.clearHistory());
+    }
+
+    /**
+     * Snapshot of the editor text and selection
+     * @returns {Object} - { text, start, end }
+     */
+    captureState() {
+        return {
+            text: this.editor?.value ?? '',
+            start: this.editor?.selectionStart ?? 0,
+            end: this.editor?.selectionEnd ?? 0
+        };
+    }
+
+    /**
+     * Put a snapshot back into the editor
+     * @param {Object} state - { text, start, end }
+     */
+    restoreState(state) {
+        this.editor.value = state.text;
+        this.editor.setSelectionRange(state.start, state.end);
+        this.lastState = this.captureState();
+    }
+
+    /**
+     * Classify an input event as insert, delete or a standalone edit
+     * @param {string} [inputType] - InputEvent.inputType, if the browser provides it
+     * @param {Object} before - State before the edit
+     * @param {Object} after - State after the edit
+     * @returns {string} - 'insert', 'delete' or 'other'
+     */
+    classifyEdit(inputType, before, after) {
+        if (inputType) {
+            if (inputType === 'insertText') return 'insert';
+            if (inputType.startsWith('delete') && !inputType.includes('ByCut') && !inputType.includes('ByDrag')) {
+                return 'delete';
+            }
+            return 'other'; // Paste, cut, drop, line breaks from IME, ...
+        }
+
+        // Fallback without inputType: single-character changes group, anything bigger stands alone
+        const delta = after.text.length - before.text.length;
+        if (delta === 1) return 'insert';
+        if (delta === -1) return 'delete';
+        return 'other';
+    }
+
+    /**
+     * Record the change the last input event made, extending the open group when possible
+     * @param {string} [inputType] - InputEvent.inputType
+     */
+    recordEdit(inputType) {
+        const before = this.lastState;
+        const after = this.captureState();
+        if (before.text === after.text) return;
+
+        const now = Date.now();
+        const kind = this.classifyEdit(inputType, before, after);
+        const top = this.undoStack.peek();
+
+        // A typed space or newline after a word ends that word's group
+        const typed = after.text.slice(before.start, after.end);
+        const wordBoundary = kind === 'insert' && /\s/.test(typed) && top?.kind === 'insert' &&
+            !/\s$/.test(top.after.text.slice(0, top.after.end));
+
+        const extendsGroup = this.groupOpen && top && top.kind === kind && kind !== 'other' &&
+            now - this.lastEditTime <= UndoRedoEditor.GROUP_DELAY &&
+            before.start === top.after.start && !wordBoundary;
+
+        if (extendsGroup) {
+            top.after = after;
+            this.updateDisplay(); // Same entry changed in place, no stack event
+        } else {
+            // A new edit makes the redo history unreachable
+            if (!this.redoStack.isEmpty()) {
+                this.redoStack.clear();
+            }
+            this.undoStack.push({ kind, before, after });
+        }
+
+        this.groupOpen = kind !== 'other';
+        this.lastEditTime = now;
+        this.lastState = after;
+    }
+
+    /**
+     * Stop extending the current group; the next edit starts a new entry
+     */
+    closeGroup() {
+        this.groupOpen = false;
+        this.lastState = this.captureState();
+    }
+
+    /**
+     * Revert the most recent edit unit
+     * @returns {boolean} - True if something was undone
+     */
+    undo() {
+        if (this.undoStack.isEmpty()) {
+            this.notify('Không còn thao tác để hoàn tác', 'info');
+            return false;
+        }
+
+        const entry = this.undoStack.pop();
+        this.redoStack.push(entry);
+        this.restoreState(entry.before);
+        this.groupOpen = false;
+        return true;
+    }
+
+    /**
+     * Re-apply the most recently undone edit unit
+     * @returns {boolean} - True if something was redone
+     */
+    redo() {
+        if (this.redoStack.isEmpty()) {
+            this.notify('Không còn thao tác để làm lại', 'info');
+            return false;
+        }
+
+        const entry = this.redoStack.pop();
+        this.undoStack.push(entry);
+        this.restoreState(entry.after);
+        this.groupOpen = false;
+        return true;
+    }
+
+    /**
+     * Forget all history but keep the current text
+     */
+    clearHistory() {
+        this.undoStack.clear();
+        this.redoStack.clear();
+        this.closeGroup();
+    }
+
+    /**
+     * Change how many edit units each stack keeps
+     * @param {number} limit - Maximum entries per stack
+     */
+    setHistoryLimit(limit) {
+        this.undoStack.setMaxSize(limit);
+        this.redoStack.setMaxSize(limit);
+        if (this.historyLimitDisplay) {
+            this.historyLimitDisplay.textContent = limit;
+        }
+    }
+
+    /**
+     * Reset the editor to an empty document with no history
+     */
+    reset() {
+        if (this.editor) {
+            this.editor.value = '';
+        }
+        this.clearHistory();
+    }
+
+    /**
+     * Safe notification wrapper
+     * @param {string} message - Message to show
+     * @param {string} type - success, info, warning or error
+     */
+    notify(message, type = 'info') {
+        if (typeof window.notifications === 'undefined') {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+        window.notifications[type]?.(message);
+    }
+
+    /**
+     * Short human-readable description of an edit unit
+     * @param {Object} entry - { kind, before, after }
+     * @returns {string} - Label such as 'Gõ "hello"'
+     */
+    describe(entry) {
+        const a = entry.before.text;
+        const b = entry.after.text;
+
+        // Strip the common prefix and suffix to find what changed
+        let prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix &&
+               a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+        const removed = a.slice(prefix, a.length - suffix);
+        const inserted = b.slice(prefix, b.length - suffix);
+        const quote = (text) => {
+            const visible = text.replace(/\n/g, '↵');
+            return `"${visible.length > 14 ? `${visible.slice(0, 14)}…` : visible}"`;
+        };
+
+        if (removed && inserted) return `Thay ${quote(removed)} → ${quote(inserted)}`;
+        if (inserted) return `${entry.kind === 'other' ? 'Dán' : 'Gõ'} ${quote(inserted)}`;
+        return `Xóa ${quote(removed)}`;
+    }
+
+    /**
+     * Draw one history stack, top entry first
+     * @param {HTMLElement} container - Target element
+     * @param {Stack} stack - Undo or redo stack
+     * @param {string} emptyText - Placeholder for an empty stack
+     */
+    renderStack(container, stack, emptyText) {
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (stack.isEmpty()) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = emptyText;
+            container.appendChild(empty);
+            return;
+        }
+
+        [...stack].forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = `history-item${index === 0 ? ' history-top' : ''}`;
+            item.textContent = this.describe(entry);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Update both stack views, counters and buttons
+     */
+    updateDisplay() {
+        this.renderStack(this.undoStackView, this.undoStack, 'Undo stack trống');
+        this.renderStack(this.redoStackView, this.redoStack, 'Redo stack trống');
+
+        if (this.undoCountDisplay) {
+            this.undoCountDisplay.textContent = this.undoStack.size();
+        }
+        if (this.redoCountDisplay) {
+            this.redoCountDisplay.textContent = this.redoStack.size();
+        }
+        if (this.undoBtn) {
+            this.undoBtn.disabled = this.undoStack.isEmpty();
+        }
+        if (this.redoBtn) {
+            this.redoBtn.disabled = this.redoStack.isEmpty();
+        }
+        if (this.clearHistoryBtn) {
+            this.clearHistoryBtn.disabled = this.undoStack.isEmpty() && this.redoStack.isEmpty();
+        }
+    }
+
+    /**
+     * Get current editor state for debugging
+     */
+    getState() {
+        return {
+            text: this.editor?.value ?? '',
+            undo: [...this.undoStack].map(entry => this.describe(entry)),
+            redo: [...this.redoStack].map(entry => this.describe(entry))
+        };
+    }
+}
+
+// Typing pauses longer than this start a new undo entry
+UndoRedoEditor.GROUP_DELAY = 1000;
+
+// Entries kept on each stack
+UndoRedoEditor.HISTORY_LIMIT = 20;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('textEditor')) {
+        window.undoRedoEditor = new UndoRedoEditor();
+    }
+});
@@ -48,9 +48,20 @@ class StackQueueApp {
                 animationUtils: window.animationUtils,
                 stackDemo: window.stackDemo,
                 queueDemo: window.queueDemo,
+                dequeDemo: window.dequeDemo,
+                priorityQueueDemo: window.priorityQueueDemo,
+                stackQueueDemo: window.stackQueueDemo,
+                queueStackDemo: window.queueStackDemo,
                 bracketChecker: window.bracketChecker,
+                expressionEvaluator: window.expressionEvaluator,
+                callStackDemo: window.callStackDemo,
+                hanoiDemo: window.hanoiDemo,
+                mazeDemo: window.mazeDemo,
                 bfsDemo: window.bfsDemo,
-                undoRedoEditor: window.undoRedoEditor
+                producerConsumerSim: window.producerConsumerSim,
+                schedulerDemo: window.schedulerDemo,
+                undoRedoEditor: window.undoRedoEditor,
+                browserHistoryDemo: window.browserHistoryDemo
             };
 
             // Mark as initialized
@@ -256,6 +267,14 @@ class StackQueueApp {
                         e.preventDefault();
                         this.scrollToSection(document.getElementById('queue-section'));
                         break;
+                    case 'd':
+                        e.preventDefault();
+                        this.scrollToSection(document.getElementById('deque-section'));
+                        break;
+                    case 'p':
+                        e.preventDefault();
+                        this.scrollToSection(document.getElementById('priority-queue-section'));
+                        break;
                     case 'e':
                         e.preventDefault();
                         this.scrollToSection(document.getElementById('examples-section'));
@@ -360,6 +379,14 @@ class StackQueueApp {
                             <kbd>Alt/Ctrl + Q</kbd>
                             <span>Go to Queue section</span>
                         </div>
+                        <div class="shortcut-item">
+                            <kbd>Alt/Ctrl + D</kbd>
+                            <span>Go to Deque section</span>
+                        </div>
+                        <div class="shortcut-item">
+                            <kbd>Alt/Ctrl + P</kbd>
+                            <span>Go to Priority Queue section</span>
+                        </div>
                         <div class="shortcut-item">
                             <kbd>Alt/Ctrl + E</kbd>
                             <span>Go to Examples section</span>
@@ -527,8 +554,20 @@ class StackQueueApp {
             // Reset individual components
             this.components.stackDemo?.clear?.();
             this.components.queueDemo?.clear?.();
+            this.components.dequeDemo?.clear?.();
+            this.components.priorityQueueDemo?.clear?.();
+            this.components.stackQueueDemo?.clear?.();
+            this.components.queueStackDemo?.clear?.();
+            this.components.callStackDemo?.reset?.();
+            this.components.hanoiDemo?.reset?.();
+            this.components.mazeDemo?.reset?.();
             this.components.bfsDemo?.reset?.();
+            this.components.producerConsumerSim?.reset?.();
+            this.components.schedulerDemo?.reset?.();
             this.components.bracketChecker?.clearResult?.();
+            this.components.expressionEvaluator?.clearResult?.();
+            this.components.undoRedoEditor?.reset?.();
+            this.components.browserHistoryDemo?.reset?.();
             
             // Clear any active notifications
             this.components.notifications?.hide?.();
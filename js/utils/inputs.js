@@ -0,0 +1,29 @@
+/**
+ * Input Helpers
+ * Reads numeric settings from form inputs
+ */
+
+/**
+ * Read a whole number from an input, clamped to a range
+ * @param {HTMLInputElement} [input] - Input to read; a missing input counts as empty
+ * @param {Object} range - Accepted range and default
+ * @param {number} range.min - Smallest value returned (0 and negatives clamp up to it)
+ * @param {number} range.max - Largest value returned
+ * @param {number} range.fallback - Returned when the input is empty or not a number
+ * @returns {number} - Rounded, clamped value, or the fallback
+ */
+function readIntInput(input, { min, max, fallback }) {
+    const text = String(input?.value ?? '').trim();
+    const value = text === '' ? NaN : Math.round(Number(text));
+    if (!Number.isFinite(value)) {
+        return fallback;
+    }
+    return Math.min(Math.max(value, min), max);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { readIntInput };
+} else if (typeof window !== 'undefined') {
+    window.readIntInput = readIntInput;
+}
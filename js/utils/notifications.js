@@ -11,6 +11,7 @@ class NotificationSystem {
         this.defaultDuration = 4000;
         
         this.init();
+        this.createOperationHelpers();
     }
 
     /**
@@ -21,6 +22,34 @@ class NotificationSystem {
         this.injectStyles();
     }
 
+    /**
+     * Create shortcut notifications for data structure operations
+     * (used as notifications.stack.pushed(value), notifications.queue.dequeued(value), ...)
+     */
+    createOperationHelpers() {
+        this.stack = {
+            pushed: (value) => this.success(`Đã push: ${value}`, { title: 'Push' }),
+            popped: (value) => this.info(`Đã pop: ${value}`, { title: 'Pop' }),
+            peeked: (value) => this.info(`Phần tử đỉnh: ${value}`, { title: 'Peek' }),
+            overflow: () => this.error('Stack đã đầy, không thể push thêm!', { title: 'Stack Overflow' }),
+            empty: () => this.warning('Stack đang trống!', { title: 'Stack Underflow' }),
+            cleared: () => this.info('Đã xóa toàn bộ stack', { title: 'Clear' }),
+            evicted: (values) => this.warning(`Đã loại bỏ: ${values.join(', ')}`, { title: 'Evicted' }),
+            resized: (maxSize) => this.info(`Stack tăng kích thước lên ${maxSize}`, { title: 'Grow' })
+        };
+
+        this.queue = {
+            enqueued: (value) => this.success(`Đã thêm: ${value}`, { title: 'Enqueue' }),
+            dequeued: (value) => this.info(`Đã lấy ra: ${value}`, { title: 'Dequeue' }),
+            frontViewed: (value) => this.info(`Phần tử đầu: ${value}`, { title: 'Front' }),
+            overflow: (maxSize) => this.error(`Queue đã đầy! Kích thước tối đa là ${maxSize}`, { title: 'Queue Overflow' }),
+            empty: () => this.warning('Queue đang trống!', { title: 'Queue Underflow' }),
+            cleared: () => this.info('Đã xóa toàn bộ queue', { title: 'Clear' }),
+            evicted: (values) => this.warning(`Đã loại bỏ: ${values.join(', ')}`, { title: 'Evicted' }),
+            resized: (maxSize) => this.info(`Queue tăng kích thước lên ${maxSize}`, { title: 'Grow' })
+        };
+    }
+
     /**
      * Create the notification container
      */
@@ -426,6 +455,19 @@ class NotificationSystem {
         return this.show(message, 'info', options);
     }
 
+    /**
+     * Show validation warning for a form field
+     * @param {string} field - Field name
+     * @param {string} message - Validation message
+     * @param {Object} options - Additional options
+     */
+    validationError(field, message, options = {}) {
+        return this.show(message, 'warning', {
+            title: `${field} không hợp lệ`,
+            ...options
+        });
+    }
+
     /**
      * Get default title for toast type
      * @param {string} type - Toast type